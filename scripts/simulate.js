@@ -0,0 +1,150 @@
+/**
+ * Headless level runner
+ * Runs levels through the gameplay simulation without a browser and prints
+ * the results. With no level selected, every level of every mode is run.
+ *
+ * Usage:
+ *   npm run simulate -- [--mode skate|surf] [--level index] [--seed seed]
+ *                       [--ticks count] [--inputs file.json]
+ *                       [--replay file.json] [--json]
+ *
+ * An inputs file holds a list of {tick, action, active} entries; a replay
+ * file is a recorded replay and fixes the mode, level and seed itself.
+ */
+
+require("@babel/register");
+
+const fs = require("fs");
+const {runSimulation} = require("../src/systems/simulation");
+const {GAME_MODES} = require("../src/constants/game-modes");
+const {getLevelsForMode} = require("../src/constants/levels");
+
+const USAGE = `Usage:
+  npm run simulate -- [--mode skate|surf] [--level index] [--seed seed]
+                      [--ticks count] [--inputs file.json]
+                      [--replay file.json] [--json]`;
+
+// Options that take a value, and flags that don't
+const VALUE_OPTIONS = ["mode", "level", "seed", "ticks", "inputs", "replay"];
+const FLAGS = ["json", "help"];
+
+/**
+ * Print usage and exit
+ * @param {string} error - Error to print first, or nothing for --help
+ */
+function exitWithUsage(error) {
+  if (error) {
+    console.error(`${error}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  console.log(USAGE);
+  process.exit(0);
+}
+
+/**
+ * Parse command line arguments
+ * Unknown options, stray arguments and options missing a value exit with
+ * the usage.
+ * @param {Array} args - Raw arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const name = arg.startsWith("--") ? arg.slice(2) : null;
+
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = args[++i];
+      if (value === undefined || value.startsWith("--")) {
+        exitWithUsage(`Option ${arg} needs a value`);
+      }
+      options[name] = value;
+    } else {
+      exitWithUsage(`Unknown argument ${arg}`);
+    }
+  }
+
+  if (options.help) {
+    exitWithUsage();
+  }
+  if (options.mode && !Object.values(GAME_MODES).includes(options.mode)) {
+    exitWithUsage(`Unknown mode ${options.mode}`);
+  }
+
+  return options;
+}
+
+/**
+ * Read a JSON file
+ * @param {string} path - File path
+ * @returns {*} Parsed contents
+ */
+function readJSON(path) {
+  return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+/**
+ * Format a run result as a single summary line
+ * @param {Object} state - Final simulation state
+ * @returns {string} Summary line
+ */
+function formatResult(state) {
+  let status = "incomplete";
+  if (state.levelComplete) {
+    const met = state.objectives.filter((objective) => objective.complete);
+    status = `finished, ${met.length}/${state.objectives.length} objectives`;
+  } else if (state.gameOver) {
+    status = `game over (${state.gameOverReason})`;
+  }
+
+  return [
+    `${state.mode}/${state.levelId}`.padEnd(24),
+    `seed ${state.seed}`.padEnd(16),
+    `score ${state.score.score}`.padEnd(14),
+    `${state.time.toFixed(2)}s`.padEnd(10),
+    status,
+  ].join(" ");
+}
+
+const options = parseArgs(process.argv.slice(2));
+const inputs = options.inputs ? readJSON(options.inputs) : [];
+const ticks = options.ticks ? Number(options.ticks) : null;
+
+// Build the list of runs
+const runs = [];
+if (options.replay) {
+  runs.push({replay: readJSON(options.replay), ticks});
+} else {
+  const modes = options.mode ? [options.mode] : Object.values(GAME_MODES);
+
+  for (const mode of modes) {
+    const levelCount = getLevelsForMode(mode).length;
+    const levels =
+      options.level !== undefined
+        ? [Number(options.level)]
+        : [...Array(levelCount).keys()];
+    // A chosen level has to exist in every mode being run
+    const valid = (index) =>
+      Number.isInteger(index) && index >= 0 && index < levelCount;
+    if (!levels.every(valid)) {
+      exitWithUsage(`No ${mode} level ${options.level}`);
+    }
+
+    for (const levelIndex of levels) {
+      runs.push({mode, levelIndex, seed: options.seed ?? null, ticks, inputs});
+    }
+  }
+}
+
+const results = runs.map((run) => runSimulation(run));
+
+if (options.json) {
+  console.log(JSON.stringify(results, null, 2));
+} else {
+  results.forEach((state) => console.log(formatResult(state)));
+}
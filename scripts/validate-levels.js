@@ -0,0 +1,59 @@
+/**
+ * Level pack validator
+ * Checks level pack files against the level schema and prints every error.
+ * With no files given, the built-in levels are checked as packs instead.
+ *
+ * Usage:
+ *   npm run validate-levels -- [pack.json ...]
+ */
+
+require("@babel/register");
+
+const fs = require("fs");
+const {
+  validateLevelPack,
+  formatLevelErrors,
+} = require("../src/utils/level-validator");
+const {GAME_MODES} = require("../src/constants/game-modes");
+const {getLevelsForMode} = require("../src/constants/levels");
+
+const USAGE = `Usage:
+  npm run validate-levels -- [pack.json ...]`;
+
+// Everything but --help is a pack file
+const files = process.argv.slice(2);
+if (files.includes("--help")) {
+  console.log(USAGE);
+  process.exit(0);
+}
+const unknown = files.find((file) => file.startsWith("-"));
+if (unknown) {
+  console.error(`Unknown option ${unknown}\n${USAGE}`);
+  process.exit(1);
+}
+
+// Build the list of packs to check
+const packs = files.length
+  ? files.map((file) => ({
+      name: file,
+      pack: JSON.parse(fs.readFileSync(file, "utf8")),
+    }))
+  : Object.values(GAME_MODES).map((mode) => ({
+      name: `built-in ${mode} levels`,
+      pack: {version: 1, mode, levels: getLevelsForMode(mode)},
+    }));
+
+let failed = false;
+for (const {name, pack} of packs) {
+  const errors = validateLevelPack(pack);
+
+  if (errors.length > 0) {
+    failed = true;
+    console.log(`${name}: ${errors.length} error(s)`);
+    console.log(formatLevelErrors(errors));
+  } else {
+    console.log(`${name}: ok`);
+  }
+}
+
+process.exitCode = failed ? 1 : 0;
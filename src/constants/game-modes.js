@@ -21,6 +21,18 @@ export const PHYSICS_CONFIG = {
     acceleration: 0.5,
     jumpForce: 12,
     groundLevel: 300, // Default ground level
+    groundSnap: 8, // Largest drop the rider follows without leaving the ground
+    rampStepUp: 12, // Highest step onto a ramp's slope ridden rather than hit
+    gapFallDepth: 40, // How far the rider can sink into a gap and recover
+    grindFriction: 0.995, // Speed kept per frame while grinding
+    grindBalanceDrift: 0.02, // How fast an uncorrected lean grows per frame
+    grindBalanceControl: 0.05, // Lean corrected per frame of input
+    grindStartLean: 0.1, // Lean when landing on a grindable
+    spinSpeed: 10, // Degrees turned per frame while spinning in the air
+    manualFriction: 0.99, // Speed kept per frame while in a manual
+    vertFriction: 0.998, // Speed kept per frame riding a pipe's transition
+    vertPumpAcceleration: 0.2, // Speed gained per frame pumping down a wall
+    vertMaxSpeed: 12, // Fastest the rider moves along a transition
   },
   [GAME_MODES.SURF]: {
     gravity: 0.3,
@@ -28,9 +40,15 @@ export const PHYSICS_CONFIG = {
     maxSpeed: 7,
     acceleration: 0.3,
     jumpForce: 8,
-    waterLevel: 250, // Default water level
-    waveAmplitude: 50, // How high waves can get
-    waveFrequency: 0.02, // Wave oscillation frequency
+    groundSnap: 8, // Largest drop the rider follows without leaving the wave
+    pocketPush: 0.15, // Speed added per frame riding a breaking wave's pocket
+    whitewaterDrag: 0.96, // Speed kept per frame in the whitewater
+    paddleStroke: 0.6, // Speed added by each paddle stroke
+    paddleMaxSpeed: 3.5, // Fastest the rider can paddle
+    paddleFriction: 0.97, // Speed kept per frame lying on the board
+    duckDiveFriction: 0.9, // Speed kept per frame while duck-diving
+    rollerWashBack: 3, // Speed a roller of whitewater pushes the rider back
+    popUpSpeed: 4, // Speed the rider is carried off at after catching a wave
   },
 };
 
@@ -45,6 +63,14 @@ export const CHARACTER_CONFIG = {
     defaultAnimation: "idle",
     trickDuration: 20, // Frames
     groundCollisionOffset: 5, // Feet position offset
+    bailRecoveryTime: 60, // Frames before control returns after a bail
+    bailSpeedKept: 0.3, // Share of speed kept when bailing
+    spinLandingTolerance: 40, // Degrees off a half turn a spin still lands
+    manualWindow: 12, // Frames after touching down to start a manual
+    manualStartLean: 0.1, // Lean when starting a manual
+    manualBalanceDrift: 0.02, // How fast an uncorrected lean grows per frame
+    manualBalanceControl: 0.05, // Lean corrected per frame of input
+    manualMinSpeed: 0.5, // Slower than this and the manual rolls to a stop
   },
   [GAME_MODES.SURF]: {
     width: 32,
@@ -53,6 +79,18 @@ export const CHARACTER_CONFIG = {
     defaultAnimation: "idle",
     trickDuration: 25, // Frames
     boardWidth: 40, // Width of the surfboard
+    bailRecoveryTime: 90, // Frames before control returns after a wipeout
+    bailSpeedKept: 0.2, // Share of speed kept when wiping out
+    tubeBalanceDrift: 0.015, // How fast an uncorrected lean grows per frame
+    tubeBalanceControl: 0.04, // Lean corrected per frame of input
+    tubeWavePush: 0.02, // Lean added per frame by the slope of the wave face
+    tubeOpenShare: 0.75, // Share of the curl's run through the zone left open
+    tubeExitWindow: 0.3, // Last share of the open tube that exits cleanly
+    whitewaterWipeoutTime: 1.5, // Seconds in the whitewater before wiping out
+    catchWindow: 60, // Distance behind the rider a crest can be popped up on
+    catchSpeed: 1.5, // Slowest the rider can paddle and still catch a wave
+    rollerReach: 20, // Distance from a roller's crest that washes the rider
+    popUpTime: 20, // Frames spent springing up onto the board
   },
 };
 
@@ -68,7 +106,10 @@ export const ENVIRONMENT_CONFIG = {
       {id: "skate-bg-near", parallaxFactor: 0.6},
     ],
     obstacleTypes: ["rail", "bench", "ramp", "gap", "halfpipe"],
+    // Obstacles only placed by level data, never generated
+    placedObstacleTypes: ["handrail", "quarterpipe"],
     collectibleTypes: ["coin", "powerup", "score_boost"],
+    finishRunout: 200, // Distance from the finish line to the level's end
   },
   [GAME_MODES.SURF]: {
     scrollSpeed: 4,
@@ -79,6 +120,7 @@ export const ENVIRONMENT_CONFIG = {
     ],
     obstacleTypes: ["buoy", "swimmer", "rock", "driftwood"],
     collectibleTypes: ["coin", "powerup", "score_boost", "wave_boost"],
+    finishRunout: 200,
   },
 };
 
@@ -89,6 +131,7 @@ export const SCORING_CONFIG = {
   [GAME_MODES.SKATE]: {
     baseTrickPoints: 100,
     comboMultiplier: 0.5, // Each trick in combo adds 0.5 to multiplier
+    comboLinkBonus: 0.5, // Extra for linking a different kind of trick
     collectibleValue: {
       coin: 10,
       powerup: 50,
@@ -105,7 +148,9 @@ export const SCORING_CONFIG = {
       score_boost: 200,
       wave_boost: 100,
     },
-    tubeRidePointsPerSecond: 50,
+    tubeRidePointsPerSecond: 50, // Used when neither zone nor trick set a rate
+    tubeCleanExitMultiplier: 1.5, // Bonus for exiting just before the closeout
+    missedWavePenalty: 50, // Points lost for paddling for a wave and missing it
     maxMultiplier: 10,
   },
 };
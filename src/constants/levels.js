@@ -14,8 +14,10 @@ export const SKATE_LEVELS = [
     description: "A beginner-friendly skate park with various obstacles",
     difficulty: 1,
     timeLimit: 120, // seconds
+    seed: 1101, // fixed course layout
     backgroundLayers: ["skate-bg-far", "skate-bg-mid", "skate-bg-near"],
     music: "skate-theme-1",
+    ambience: "crowd",
 
     // Level objectives
     objectives: {
@@ -71,12 +73,14 @@ export const SKATE_LEVELS = [
     description: "Navigate the urban landscape and find skate spots",
     difficulty: 2,
     timeLimit: 150, // seconds
+    seed: 1202, // fixed course layout
     backgroundLayers: [
       "downtown-bg-far",
       "downtown-bg-mid",
       "downtown-bg-near",
     ],
     music: "skate-theme-2",
+    ambience: "city",
 
     // Level objectives
     objectives: {
@@ -146,8 +150,10 @@ export const SURF_LEVELS = [
     description: "Gentle waves perfect for learning the basics",
     difficulty: 1,
     timeLimit: 120, // seconds
+    seed: 2101, // fixed course layout
     backgroundLayers: ["surf-bg-far", "surf-bg-mid", "surf-bg-near"],
     music: "surf-theme-1",
+    ambience: "ocean",
 
     // Level objectives
     objectives: {
@@ -216,8 +222,10 @@ export const SURF_LEVELS = [
     description: "A popular spot with consistent waves and some challenges",
     difficulty: 2,
     timeLimit: 150, // seconds
+    seed: 2202, // fixed course layout
     backgroundLayers: ["sunset-bg-far", "sunset-bg-mid", "sunset-bg-near"],
     music: "surf-theme-2",
+    ambience: "ocean",
 
     // Level objectives
     objectives: {
@@ -264,7 +272,8 @@ export const SURF_LEVELS = [
       {type: "normal", x: 4300, length: 700},
       {type: "choppy", x: 5000, length: 500},
       {type: "normal", x: 5500, length: 600},
-      {type: "breaking", x: 6100, length: 900},
+      {type: "breaking", x: 6100, length: 600},
+      {type: "normal", x: 6700, length: 300},
     ],
 
     // More obstacles
@@ -293,7 +302,7 @@ export const SURF_LEVELS = [
       {type: "wave_boost", x: 3000, width: 400},
       {type: "tube_zone", x: 3500, width: 800},
       {type: "score_multiplier", x: 5000, width: 500, multiplier: 3},
-      {type: "tube_zone", x: 6100, width: 900},
+      {type: "tube_zone", x: 6100, width: 600},
     ],
   },
 
@@ -336,6 +345,18 @@ export function getLevelById(levelId, mode) {
   return null;
 }
 
+/**
+ * Find where a level sits in its mode's level list
+ * Indices shift as level packs are registered, so stored runs refer to
+ * levels by ID and look the index up when they are played.
+ * @param {string} levelId - Level identifier
+ * @param {string} mode - Game mode
+ * @returns {number} Level index, or -1 if not found
+ */
+export function getLevelIndexById(levelId, mode) {
+  return getLevelsForMode(mode).findIndex((level) => level.id === levelId);
+}
+
 /**
  * Get level by index/number
  * @param {number} index - Level index (0-based)
@@ -353,10 +374,33 @@ export function getLevelByIndex(index, mode) {
   return null;
 }
 
+/**
+ * Add the levels of a loaded level pack to its mode's level list
+ * A level with the same ID as an existing one replaces it.
+ * @param {Object} pack - Validated level pack {mode, levels}
+ * @returns {Array} Indices of the pack's levels in the mode's level list
+ */
+export function registerLevelPack(pack) {
+  const levels = getLevelsForMode(pack.mode);
+
+  return pack.levels.map((level) => {
+    const index = levels.findIndex((existing) => existing.id === level.id);
+    if (index !== -1) {
+      levels[index] = level;
+      return index;
+    }
+
+    levels.push(level);
+    return levels.length - 1;
+  });
+}
+
 export default {
   SKATE: SKATE_LEVELS,
   SURF: SURF_LEVELS,
   getForMode: getLevelsForMode,
   getById: getLevelById,
+  getIndexById: getLevelIndexById,
   getByIndex: getLevelByIndex,
+  registerPack: registerLevelPack,
 };
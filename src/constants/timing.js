@@ -0,0 +1,34 @@
+/**
+ * Simulation timing constants
+ */
+
+/**
+ * Fixed-step simulation settings
+ */
+export const TIMING_CONFIG = {
+  tickRate: 120, // Simulation ticks per second
+  baseFrameRate: 60, // Frame rate that per-frame config values are tuned for
+  maxFrameTime: 0.1, // Longest frame (in seconds) fed into the simulation
+};
+
+/**
+ * Duration of one simulation tick in seconds
+ */
+export const FIXED_TIME_STEP = 1 / TIMING_CONFIG.tickRate;
+
+/**
+ * Convert a time step into base frames
+ * Physics, trick and combo values are expressed per 60fps frame, so a
+ * 120Hz tick advances them by half a frame.
+ * @param {number} deltaTime - Time step in seconds
+ * @returns {number} Number of base frames covered by the time step
+ */
+export function getFrameScale(deltaTime) {
+  return deltaTime * TIMING_CONFIG.baseFrameRate;
+}
+
+export default {
+  CONFIG: TIMING_CONFIG,
+  FIXED_TIME_STEP,
+  getFrameScale,
+};
@@ -20,7 +20,7 @@ export const SKATE_TRICKS = {
     animationName: "ollie",
     description: "Basic jump trick",
     input: {
-      keys: ["SPACE"],
+      keys: ["DOWN"],
       buttons: ["A"],
     },
   },
@@ -34,6 +34,7 @@ export const SKATE_TRICKS = {
     frameRate: 12,
     duration: 20,
     airOnly: true,
+    spinCombo: true,
     animationName: "kickflip",
     description: "Flip the board along its length",
     input: {
@@ -51,6 +52,7 @@ export const SKATE_TRICKS = {
     frameRate: 12,
     duration: 20,
     airOnly: true,
+    spinCombo: true,
     animationName: "heelflip",
     description: "Opposite of a kickflip",
     input: {
@@ -69,6 +71,7 @@ export const SKATE_TRICKS = {
     frameRate: 12,
     duration: 25,
     airOnly: true,
+    spinCombo: true,
     animationName: "pop_shuvit",
     description: "Board rotates 180° without the body rotating",
     input: {
@@ -86,6 +89,7 @@ export const SKATE_TRICKS = {
     frameRate: 15,
     duration: 30,
     airOnly: true,
+    spinCombo: true,
     animationName: "impossible",
     description: "Board wraps around your foot",
     input: {
@@ -94,6 +98,24 @@ export const SKATE_TRICKS = {
     },
   },
 
+  VARIAL_KICKFLIP: {
+    id: "varial_kickflip",
+    name: "Varial Kickflip",
+    baseScore: 175,
+    difficulty: 3,
+    frames: [8, 9, 10, 11],
+    frameRate: 15,
+    duration: 25,
+    airOnly: true,
+    spinCombo: true,
+    animationName: "kickflip",
+    description: "Kickflip with the board spinning a half turn",
+    input: {
+      combo: ["DOWN", "Z"],
+      buttons: ["DOWN", "X"],
+    },
+  },
+
   // Grinding tricks
   BOARDSLIDE: {
     id: "boardslide",
@@ -132,6 +154,203 @@ export const SKATE_TRICKS = {
     },
     scorePerSecond: 60,
   },
+
+  // Manuals, balanced on two wheels from a landing to link tricks together
+  MANUAL: {
+    id: "manual",
+    name: "Manual",
+    baseScore: 80,
+    difficulty: 2,
+    frames: [34, 35],
+    frameRate: 8,
+    duration: 0, // Duration is determined by how long the balance holds
+    airOnly: false,
+    manualTrick: true,
+    lean: -1, // Balanced on the tail
+    animationName: "manual",
+    description: "Roll on the back wheels with the nose up",
+    input: {
+      keys: ["UP"],
+      buttons: ["UP"],
+    },
+    scorePerSecond: 40,
+  },
+
+  NOSE_MANUAL: {
+    id: "nose_manual",
+    name: "Nose Manual",
+    baseScore: 100,
+    difficulty: 3,
+    frames: [36, 37],
+    frameRate: 8,
+    duration: 0, // Duration is determined by how long the balance holds
+    airOnly: false,
+    manualTrick: true,
+    lean: 1, // Balanced on the nose
+    animationName: "nose_manual",
+    description: "Roll on the front wheels with the tail up",
+    input: {
+      keys: ["DOWN"],
+      buttons: ["DOWN"],
+    },
+    scorePerSecond: 50,
+  },
+
+  // Vert tricks, done in the air above a halfpipe or quarter-pipe's coping
+  FRONTSIDE_AIR: {
+    id: "frontside_air",
+    name: "Frontside Air",
+    baseScore: 120,
+    difficulty: 2,
+    frames: [31, 32, 33],
+    frameRate: 10,
+    duration: 15,
+    airOnly: true,
+    spinCombo: true,
+    vertTrick: true,
+    animationName: "grab",
+    description: "Grab the toe edge out over the coping",
+    input: {
+      keys: ["DOWN"],
+      buttons: ["A"],
+    },
+  },
+
+  INDY: {
+    id: "indy",
+    name: "Indy",
+    baseScore: 150,
+    difficulty: 2,
+    frames: [31, 32, 33],
+    frameRate: 10,
+    duration: 18,
+    airOnly: true,
+    spinCombo: true,
+    vertTrick: true,
+    animationName: "grab",
+    description: "Back hand grabs the toe edge between the feet",
+    input: {
+      keys: ["Z"],
+      buttons: ["X"],
+    },
+  },
+
+  MELON: {
+    id: "melon",
+    name: "Melon",
+    baseScore: 160,
+    difficulty: 3,
+    frames: [31, 32, 33],
+    frameRate: 10,
+    duration: 18,
+    airOnly: true,
+    spinCombo: true,
+    vertTrick: true,
+    animationName: "grab",
+    description: "Front hand grabs the heel edge between the feet",
+    input: {
+      keys: ["X"],
+      buttons: ["Y"],
+    },
+  },
+
+  METHOD: {
+    id: "method",
+    name: "Method",
+    baseScore: 200,
+    difficulty: 3,
+    frames: [31, 32, 33],
+    frameRate: 10,
+    duration: 20,
+    airOnly: true,
+    spinCombo: true,
+    vertTrick: true,
+    animationName: "grab",
+    description: "Heel-edge grab with the board arched behind the back",
+    input: {
+      keys: ["C"],
+      buttons: ["B"],
+    },
+  },
+
+  // Spins, turned by pressing left or right in the air; landed within a
+  // tolerance of a half turn they combine with any spinCombo trick done in
+  // the same air, e.g. "360 Kickflip"
+  SPIN_180: {
+    id: "spin_180",
+    name: "180",
+    baseScore: 100,
+    difficulty: 2,
+    frames: [],
+    frameRate: 0,
+    duration: 0, // Scored on landing from how far the rider turned
+    airOnly: true,
+    spinTrick: true,
+    rotation: 180,
+    animationName: "jump",
+    description: "Half turn in the air, frontside or backside",
+    input: {
+      keys: ["LEFT", "RIGHT"],
+      buttons: ["LB", "RB"],
+    },
+  },
+
+  SPIN_360: {
+    id: "spin_360",
+    name: "360",
+    baseScore: 250,
+    difficulty: 3,
+    frames: [],
+    frameRate: 0,
+    duration: 0, // Scored on landing from how far the rider turned
+    airOnly: true,
+    spinTrick: true,
+    rotation: 360,
+    animationName: "jump",
+    description: "Full turn in the air",
+    input: {
+      keys: ["LEFT", "RIGHT"],
+      buttons: ["LB", "RB"],
+    },
+  },
+
+  SPIN_540: {
+    id: "spin_540",
+    name: "540",
+    baseScore: 450,
+    difficulty: 4,
+    frames: [],
+    frameRate: 0,
+    duration: 0, // Scored on landing from how far the rider turned
+    airOnly: true,
+    spinTrick: true,
+    rotation: 540,
+    animationName: "jump",
+    description: "One and a half turns in the air",
+    input: {
+      keys: ["LEFT", "RIGHT"],
+      buttons: ["LB", "RB"],
+    },
+  },
+
+  SPIN_720: {
+    id: "spin_720",
+    name: "720",
+    baseScore: 700,
+    difficulty: 5,
+    frames: [],
+    frameRate: 0,
+    duration: 0, // Scored on landing from how far the rider turned
+    airOnly: true,
+    spinTrick: true,
+    rotation: 720,
+    animationName: "jump",
+    description: "Two full turns in the air",
+    input: {
+      keys: ["LEFT", "RIGHT"],
+      buttons: ["LB", "RB"],
+    },
+  },
 };
 
 /**
@@ -200,6 +419,7 @@ export const SURF_TRICKS = {
     frameRate: 12,
     duration: 25,
     waveRequired: true,
+    lipRequired: true,
     animationName: "floater",
     description: "Float over the breaking section of a wave",
     input: {
@@ -217,6 +437,7 @@ export const SURF_TRICKS = {
     frameRate: 12,
     duration: 25,
     waveRequired: true,
+    lipRequired: true,
     animationName: "off_the_lip",
     description: "Hit the lip of the wave",
     input: {
@@ -1,15 +1,22 @@
 import ResourceLoader from "./systems/resources";
-import PhysicsController from "./systems/physics";
-import CharacterController from "./systems/character";
-import LevelSystem from "./systems/level";
-import ScoringSystem from "./systems/scoring";
+import Simulation from "./systems/simulation";
 import InputHandler from "./systems/input";
 import AnimationSystem from "./systems/animation";
 import UIManager from "./systems/ui";
 import AudioManager from "./systems/audio";
+import SoundSynth, {SOUND_EFFECTS} from "./systems/synth";
+import AdaptiveMusic from "./systems/music";
+import ReplaySystem from "./systems/replay";
+import GhostSystem, {GHOST_CONFIG} from "./systems/ghost";
+import LevelSystem from "./systems/level";
+import LevelEditor, {EDITOR_CONFIG} from "./systems/editor";
+import {formatLevelErrors} from "./utils/level-validator";
+import {degToRad} from "./utils/math";
 
 import {GAME_MODES} from "./constants/game-modes";
-import {getLevelByIndex} from "./constants/levels";
+import {getLevelByIndex, getLevelIndexById} from "./constants/levels";
+import {getTricksForMode} from "./constants/tricks";
+import {TIMING_CONFIG, FIXED_TIME_STEP} from "./constants/timing";
 
 export default class Game {
   constructor(canvas) {
@@ -27,6 +34,17 @@ export default class Game {
     this.currentLevel = 0;
     this.levelData = null;
 
+    // Level editor, and the play-test started from it {x}
+    this.editor = null;
+    this.playtest = null;
+
+    // Level generation seed from the URL (?seed=...), if any
+    this.seedOverride = this.getURLParam("seed");
+
+    // Level pack from the URL (?levels=...), and where its levels start
+    this.levelPackURL = this.getURLParam("levels");
+    this.levelPackStart = null;
+
     // Timing variables
     this.lastFrameTime = 0;
     this.deltaTime = 0;
@@ -34,8 +52,13 @@ export default class Game {
     this.fpsTimer = 0;
     this.fps = 0;
 
+    // Time carried over between fixed simulation steps
+    this.accumulator = 0;
+
     // Initialize systems
     this.resources = new ResourceLoader();
+    this.replay = new ReplaySystem();
+    this.ghosts = new GhostSystem();
     this.onLoadProgress = null;
 
     // Initialize UI first since we need it for the title screen
@@ -47,10 +70,16 @@ export default class Game {
       if (action === "start") {
         this.gameMode = GAME_MODES[selectedMode.toUpperCase()];
         this.startGame();
+      } else if (action === "editor") {
+        this.openEditor(GAME_MODES[selectedMode.toUpperCase()]);
+      } else if (action === "replay") {
+        this.gameMode = GAME_MODES[selectedMode.toUpperCase()];
+        this.watchSavedReplay(this.getStartLevel().id);
       }
     };
 
     // Systems to be initialized after assets are loaded
+    this.simulation = null;
     this.physics = null;
     this.character = null;
     this.level = null;
@@ -58,6 +87,40 @@ export default class Game {
     this.input = null;
     this.animations = null;
     this.audio = null;
+    this.music = null;
+
+    // Obstacle sounds playing, by sound id
+    this.obstacleSounds = [];
+  }
+
+  /**
+   * Read a parameter from the page URL
+   * @param {string} name - Parameter name
+   * @returns {string|null} Parameter value or null if not set
+   */
+  getURLParam(name) {
+    if (typeof window === "undefined" || !window.location) return null;
+
+    const params = new URLSearchParams(window.location.search);
+    return params.get(name);
+  }
+
+  /**
+   * Load the level pack requested in the URL, if any
+   * A pack that fails to load or validate is reported and skipped so the
+   * built-in levels stay playable.
+   * @returns {Promise} Promise that resolves once the pack is handled
+   */
+  loadLevelPack() {
+    if (!this.levelPackURL) return Promise.resolve();
+
+    return LevelSystem.loadLevelPack(this.resources, this.levelPackURL)
+      .then(({pack, indices}) => {
+        this.levelPackStart = {mode: pack.mode, index: indices[0]};
+      })
+      .catch((error) => {
+        console.error("Error loading level pack:", error.message);
+      });
   }
 
   /**
@@ -102,31 +165,38 @@ export default class Game {
         loaded: true
       };
 
-      return Promise.resolve();
+      return this.loadLevelPack();
     }
 
-    // For production, load real assets
+    // For production, load real assets; the riders are packed atlases
+    // whose JSON names the sheet beside it
     const assets = [
       {
         id: "skater",
-        type: "spritesheet",
-        src: "/assets/images/sprites/skater.png",
+        type: "atlas",
+        src: "/assets/images/sprites/skater.json",
       },
       {
         id: "surfer",
-        type: "spritesheet",
-        src: "/assets/images/sprites/surfer.png",
+        type: "atlas",
+        src: "/assets/images/sprites/surfer.json",
       }
     ];
 
     // Start loading
-    return this.resources.loadAll(assets);
+    return this.resources
+      .loadAll(assets)
+      .then(() => this.loadLevelPack());
   }
 
   /**
    * Initialize game systems
    */
   initialize() {
+    // Editor keys are seen before game keys, so a key that switches
+    // between the editor and a play-test only acts once
+    this.setupEditorInput();
+
     // Initialize input system first
     this.input = new InputHandler();
     this.input.onKeyChange = this.handleInputChange.bind(this);
@@ -147,6 +217,8 @@ export default class Game {
 
   /**
    * Set up animations
+   * Grid spritesheets use the frame indices below and in the trick
+   * definitions; packed atlases replace them with their tagged animations.
    */
   setupAnimations() {
     // Skater animations
@@ -165,27 +237,78 @@ export default class Game {
       frameHeight: 48,
     });
 
-    this.animations.define("kickflip", "skater", [8, 9, 10, 11], 12, {
+    // Fall (or wipeout) played once on the mode's sheet while the rider
+    // recovers from a bail
+    const sheet = this.gameMode === GAME_MODES.SURF ? "surfer" : "skater";
+    const bailFrames = sheet === "surfer" ? [35, 36, 37, 38] : [27, 28, 29, 30];
+    this.animations.define("bail", sheet, bailFrames, 8, {
+      frameWidth: 32,
+      frameHeight: 48,
+      loop: false,
+    });
+
+    // Surfer animations while paddling for a wave, ducking under rollers
+    // and springing up once it is caught
+    this.animations.define("paddling", "surfer", [26, 27, 28, 29], 8, {
+      frameWidth: 32,
+      frameHeight: 48,
+    });
+
+    this.animations.define("duck_dive", "surfer", [30, 31], 6, {
       frameWidth: 32,
       frameHeight: 48,
     });
 
-    // Define more animations as needed
+    this.animations.define("pop_up", "surfer", [32, 33, 34], 15, {
+      frameWidth: 32,
+      frameHeight: 48,
+      loop: false,
+    });
+
+    // Trick animations on the mode's sheet; tricks sharing an animation use
+    // the frames of the first to name it, and tricks without frames reuse
+    // one defined elsewhere
+    const trickAnimations = new Set();
+    for (const trick of Object.values(getTricksForMode(this.gameMode))) {
+      const name = trick.animationName;
+      if (trick.frames.length === 0 || trickAnimations.has(name)) continue;
+
+      trickAnimations.add(name);
+      this.animations.define(name, sheet, trick.frames, trick.frameRate, {
+        frameWidth: 32,
+        frameHeight: 48,
+      });
+    }
+
+    // Atlas tags take over, the mode's own sheet last so its tags win
+    const once = {loop: false};
+    const overrides = {bail: once, pop_up: once};
+    const other = sheet === "surfer" ? "skater" : "surfer";
+    this.animations.defineFromAtlas(other, 10, overrides);
+    this.animations.defineFromAtlas(sheet, 10, overrides);
   }
 
   /**
    * Set up audio
    */
   setupAudio() {
-    // Load sound effects
-    /* Placeholder for when assets are available
-    this.audio.loadSound('jump', 'assets/audio/sfx/jump.wav', 'sfx');
-    this.audio.loadSound('trick', 'assets/audio/sfx/trick.wav', 'sfx');
-    this.audio.loadSound('land', 'assets/audio/sfx/land.wav', 'sfx');
-    this.audio.loadSound('collect', 'assets/audio/sfx/collect.wav', 'sfx');
-    this.audio.loadSound('crash', 'assets/audio/sfx/crash.wav', 'sfx');
-    
+    if (!this.audio.audioSupported) return;
+
+    // Sound effects are synthesized until sampled assets exist; loading a
+    // file under the same id instead swaps it in
+    const synth = new SoundSynth(this.audio.context.sampleRate);
+    for (const [id, effect] of Object.entries(SOUND_EFFECTS)) {
+      this.audio.loadSamples(
+        id,
+        synth.render(effect),
+        synth.sampleRate,
+        effect.group,
+        effect.options
+      );
+    }
+
     // Load music
+    /* Placeholder for when assets are available
     this.audio.loadSound('title_music', 'assets/audio/music/title.mp3', 'music', { loop: true });
     this.audio.loadSound('game_music', 'assets/audio/music/game.mp3', 'music', { loop: true });
     
@@ -198,45 +321,108 @@ export default class Game {
    * Connect systems together
    */
   connectSystems() {
-    // Connect character and scoring system
-    this.character.onTrickPerformed = (trick, score, combo) => {
-      this.scoring.recordTrick(trick, score);
+    // Gameplay wiring lives in the simulation; react to its events here
+    this.simulation.onJump = () => {
+      this.audio.play("jump");
+    };
+
+    this.simulation.onLand = () => {
+      this.audio.play("land");
+    };
+
+    this.simulation.onTrickPerformed = (trick, score, combo) => {
       this.ui.showTrick(trick, score);
-      //this.audio.play('trick');
+      this.audio.play("trick");
 
       if (combo > 1) {
         this.ui.addNotification(`Combo x${combo}!`, 60);
       }
     };
 
-    this.character.onComboEnd = (comboCount) => {
+    this.simulation.onComboEnd = (comboCount) => {
       if (comboCount > 1) {
         this.ui.addNotification(`Combo ended: ${comboCount} tricks!`, 120);
       }
     };
 
-    // Connect level system with scoring
-    this.level.onCollectibleCollected = (collectible) => {
-      this.scoring.recordCollectible(collectible);
-      //this.audio.play('collect');
+    this.simulation.onGrindEnd = (trick, duration, points, reason) => {
+      // Falling off is reported by the bail handler
+      if (reason === "balance") return;
+
+      this.ui.addNotification(
+        `${trick.name} ${duration.toFixed(1)}s +${points}`,
+        90
+      );
+    };
+
+    this.simulation.onManualEnd = (trick, duration, points, reason) => {
+      // Losing balance is reported by the bail handler
+      if (reason === "balance") return;
+
+      this.ui.addNotification(
+        `${trick.name} ${duration.toFixed(1)}s +${points}`,
+        90
+      );
+    };
+
+    this.simulation.onCollectibleCollected = (collectible) => {
+      this.audio.play("collect");
       this.ui.addNotification(`+${collectible.value} points`, 60);
     };
 
-    this.level.onSpecialZoneEntered = (zone) => {
+    this.simulation.onSpecialZoneEntered = (zone) => {
       if (zone.subType === "score_multiplier") {
-        this.scoring.startSpecialMode(
-          zone.properties.duration,
-          zone.properties.scoreMultiplier
-        );
         this.ui.addNotification(
           `Score x${zone.properties.scoreMultiplier} for ${zone.properties.duration}s!`,
           120
         );
       } else if (zone.subType === "speed_boost") {
-        this.physics.velocity.x *= zone.properties.velocityBoost;
         this.ui.addNotification(`Speed Boost!`, 60);
+      } else if (zone.subType === "tube_zone") {
+        this.ui.addNotification("Tube zone! Press down in the barrel", 120);
       }
     };
+
+    this.simulation.onTubeRideEnd = (ride, points) => {
+      // Wipeouts are reported by the bail handler
+      if (ride.wipedOut) return;
+
+      const exit = ride.exit === "clean" ? "Clean exit! " : "";
+      this.ui.addNotification(
+        `${exit}${ride.trick.name} ${ride.duration.toFixed(1)}s +${points}`,
+        120
+      );
+    };
+
+    this.simulation.onBail = (reason) => {
+      const messages = {
+        landing: "Bailed!",
+        rotation: "Landed sideways!",
+        obstacle: "Crashed!",
+        balance: "Lost balance!",
+        closeout: "Closed out!",
+        whitewater: "Caught by the whitewater!",
+        roller: "Washed back! Hold down to duck-dive",
+      };
+      const label = this.gameMode === GAME_MODES.SURF ? "WIPEOUT" : "BAIL";
+
+      this.ui.showMessage(label, "#FF5252", 60);
+      this.ui.addNotification(messages[reason] || "Bailed!", 90);
+      this.audio.play("crash");
+    };
+
+    this.simulation.onObstacleHit = (obstacle) => {
+      this.audio.playAt("impact", obstacle.x + obstacle.width / 2);
+    };
+
+    this.simulation.onWaveMissed = (penalty) => {
+      const lost = penalty > 0 ? ` -${penalty}` : "";
+      this.ui.addNotification(`Missed the wave!${lost}`, 90);
+    };
+
+    this.simulation.onObjectivesComplete = () => {
+      this.ui.addNotification("Objectives complete! Head for the finish", 180);
+    };
   }
 
   /**
@@ -250,13 +436,72 @@ export default class Game {
    * Set up state change handlers
    */
   setupStateHandlers() {
-    // Scoring system level complete handler
-    this.scoring.onLevelComplete = () => {
+    // Level complete handler (crossed the finish line)
+    this.simulation.onLevelComplete = () => {
+      this.stopSoundLoops();
+
+      if (this.playtest) {
+        this.stopPlaytest(`Play-test finished: ${this.scoring.score} points`);
+        return;
+      }
+
+      const tick = this.simulation.tick;
+      const stats = this.simulation.getRunStats();
+
+      // Keep the finished run so it can be watched again
+      if (this.replay.isRecording()) {
+        this.replay.save(
+          this.replay.stopRecording(tick, {score: this.scoring.score})
+        );
+      } else {
+        this.replay.stopPlayback();
+        this.ui.setReplayMode(false);
+      }
+
+      // Compare against the ghost; a level's first finish becomes its ghost
+      const ghostResult = this.ghosts.finish(tick, this.scoring.score);
+      if (!ghostResult.hadGhost) {
+        this.ghosts.save();
+      }
+      const offerGhost = ghostResult.hadGhost && ghostResult.beatGhost;
+
+      // The next level opens once every objective is met
       this.ui.showLevelComplete(
-        {score: this.scoring.score},
-        this.nextLevel.bind(this),
+        {...stats, ghostDelta: ghostResult.timeDelta},
+        stats.complete ? this.nextLevel.bind(this) : null,
         this.restartLevel.bind(this),
-        this.returnToTitle.bind(this)
+        this.returnToTitle.bind(this),
+        this.watchReplay.bind(this),
+        offerGhost ? this.saveGhost.bind(this) : null
+      );
+    };
+
+    // Game over handler (out of time or fell into a gap)
+    this.simulation.onGameOver = (reason) => {
+      this.stopSoundLoops();
+
+      if (this.playtest) {
+        this.stopPlaytest(`Play-test over (${reason})`);
+        return;
+      }
+
+      // A failed run is kept neither as a replay nor as a ghost
+      if (this.replay.isPlaying()) {
+        this.replay.stopPlayback();
+        this.ui.setReplayMode(false);
+      } else {
+        this.replay.stop();
+      }
+      this.ghosts.stopRecording();
+
+      // The level's last finished run can still be watched
+      const levelId = this.level.levelData.id;
+      const saved = this.replay.load(this.gameMode, levelId);
+      this.ui.showGameOver(
+        this.simulation.getRunStats(),
+        this.restartLevel.bind(this),
+        this.returnToTitle.bind(this),
+        saved ? () => this.watchReplay(saved) : null
       );
     };
   }
@@ -271,7 +516,9 @@ export default class Game {
     this.lastFrameTime = timestamp;
 
     // Cap delta time to prevent large jumps
-    if (this.deltaTime > 0.1) this.deltaTime = 0.1;
+    if (this.deltaTime > TIMING_CONFIG.maxFrameTime) {
+      this.deltaTime = TIMING_CONFIG.maxFrameTime;
+    }
 
     // Calculate FPS
     this.fpsCounter++;
@@ -285,6 +532,13 @@ export default class Game {
     // Clear the canvas
     this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
+    // The level editor draws under the UI
+    if (this.editor && this.ui.getCurrentScreen() === "editor") {
+      this.editor.update(this.deltaTime);
+      this.editor.render(this.context, this.resources);
+      this.ui.update(null, this.deltaTime);
+    }
+
     // Always render UI
     this.ui.render(this.context);
 
@@ -308,49 +562,144 @@ export default class Game {
     // Handle UI input if not in game screen
     if (this.ui.getCurrentScreen() !== "game") {
       this.handleMenuInputs();
-      this.ui.update();
+      this.ui.update(null, this.deltaTime);
+      this.stopSoundLoops();
       return;
     }
 
-    // Update character physics and controls
-    this.physics.update(this.deltaTime);
-    this.character.update(this.deltaTime);
+    // Advance the simulation in fixed steps, carrying over any remainder
+    this.accumulator += this.deltaTime;
+    while (
+      this.accumulator >= FIXED_TIME_STEP &&
+      !this.simulation.isFinished()
+    ) {
+      this.step(FIXED_TIME_STEP);
+      this.accumulator -= FIXED_TIME_STEP;
+    }
 
-    // Check collisions with level
-    const collisions = this.level.checkCollisions({
-      x: this.physics.position.x,
-      y: this.physics.position.y,
-      width: this.character.getDimensions().width,
-      height: this.character.getDimensions().height,
+    // Update animations
+    this.animations.update(this.deltaTime);
+
+    // Update UI with current game state
+    this.ui.setTimeRemaining(this.simulation.getTimeRemaining());
+    this.ui.setObjectives(this.scoring.getObjectives());
+    this.ui.setTubeMeter(this.character.getTubeMeter());
+    this.ui.setManualMeter(this.character.getManualMeter());
+    this.ui.update(this.scoring.getScoreState(), this.deltaTime);
+
+    // Update audio, heard from the middle of the view
+    this.audio.setListener(this.level.camera.x + this.canvas.width / 2);
+    this.updateSoundLoops(!this.simulation.isFinished());
+    this.music.update({
+      speed: Math.abs(this.physics.velocity.x) / this.physics.maxSpeed,
+      combo: this.scoring.currentCombo.length,
+      special: this.scoring.specialModeActive,
+      timeRemaining: this.simulation.getTimeRemaining(),
     });
+  }
 
-    // Handle ground collision
-    if (collisions.ground) {
-      this.physics.handleGroundCollision(collisions.groundY);
+  /**
+   * Keep the looping sounds in step with the rider
+   * @param {boolean} running - Whether a run is on screen and going
+   */
+  updateSoundLoops(running) {
+    if (!this.audio) return;
+
+    this.audio.setLoop("grind", running && this.character.isGrinding());
+
+    // Wheels or fins on the surface, following the rider's speed
+    const surfing = this.gameMode === GAME_MODES.SURF;
+    const rolling =
+      running &&
+      this.physics.grounded &&
+      !this.character.isGrinding() &&
+      !this.character.isPaddling() &&
+      !this.character.isBailing();
+    const speed = running
+      ? Math.abs(this.physics.velocity.x) / this.physics.maxSpeed
+      : 0;
+    this.audio.setSpeedLoop("roll", rolling && !surfing, speed);
+    this.audio.setSpeedLoop("carve", rolling && surfing, speed);
+
+    // The level's ambient bed
+    const ambience = running ? this.levelData.ambience : null;
+    for (const id of this.audio.groups.ambience || []) {
+      this.audio.setLoop(id, id === ambience);
     }
 
-    // Handle obstacle collisions
-    for (const collision of collisions.obstacles) {
-      this.physics.handleObstacleCollision(
-        collision.obstacle,
-        collision.overlap
-      );
-    }
+    this.updateObstacleSounds(running);
+  }
 
-    // Update level
-    this.level.update(this.physics.position.x, performance.now());
+  /**
+   * Silence every looping sound: on pausing, at the end of a run and on
+   * leaving a play-test; update() brings them back once a run goes on
+   */
+  stopSoundLoops() {
+    this.updateSoundLoops(false);
+  }
 
-    // Update scoring system
-    this.scoring.update();
+  /**
+   * Keep each kind of sounding obstacle heard from the nearest one
+   * @param {boolean} running - Whether a run is on screen and going
+   */
+  updateObstacleSounds(running) {
+    const nearest = {};
+    if (running) {
+      for (const obstacle of this.level.obstacles) {
+        const id = obstacle.properties && obstacle.properties.sound;
+        if (!id) continue;
+
+        const x = obstacle.x + obstacle.width / 2;
+        const distance = Math.abs(x - this.audio.listenerX);
+        if (!nearest[id] || distance < nearest[id].distance) {
+          nearest[id] = {x, distance};
+        }
+      }
+    }
 
-    // Update animations
-    this.animations.update(this.deltaTime);
+    // Kinds no longer near enough fall silent
+    const ids = new Set([...this.obstacleSounds, ...Object.keys(nearest)]);
+    for (const id of ids) {
+      const placement = nearest[id]
+        ? this.audio.getPlacement(nearest[id].x)
+        : {volume: 0};
+      this.audio.setLoop(id, placement.volume > 0, placement);
+    }
+    this.obstacleSounds = Object.keys(nearest);
+  }
 
-    // Update UI with current game state
-    this.ui.update(this.scoring.getScoreState());
+  /**
+   * Advance the simulation by one fixed step
+   * @param {number} deltaTime - Step duration in seconds
+   */
+  step(deltaTime) {
+    const tick = this.simulation.tick;
+
+    // Feed recorded inputs when watching a replay
+    if (this.replay.isPlaying()) {
+      if (this.replay.isPlaybackFinished(tick)) {
+        this.stopReplay();
+      } else {
+        for (const input of this.replay.getInputsForTick(tick)) {
+          this.handleInputChange(input.action, input.active, true);
+        }
+      }
+    }
+
+    this.simulation.step(deltaTime);
 
-    // Update audio
-    //this.audio.update();
+    // Track the run for ghost racing
+    this.ghosts.recordFrame(
+      this.physics.position,
+      this.animations.getState("character")
+    );
+    const ghostDelta = this.ghosts.checkCheckpoint(
+      tick,
+      this.physics.position.x
+    );
+    if (ghostDelta !== null) {
+      this.ui.showGhostDelta(ghostDelta);
+    }
   }
 
   /**
@@ -395,11 +744,16 @@ export default class Game {
       return;
     }
 
+    // Blend between the last two simulation steps
+    const alpha = this.accumulator / FIXED_TIME_STEP;
+    const playerPosition = this.physics.getInterpolatedPosition(alpha);
+    this.level.updateCamera(playerPosition.x);
+
     // Render level (background, obstacles, etc.)
     this.level.render(this.context, this.resources);
 
     // Render player character
-    this.renderPlayer();
+    this.renderPlayer(playerPosition, alpha);
 
     // Render UI
     this.ui.render(this.context);
@@ -415,14 +769,26 @@ export default class Game {
 
   /**
    * Render player character
+   * @param {Object} position - Interpolated player position {x, y}
+   * @param {number} alpha - Interpolation factor between simulation steps
    */
-  renderPlayer() {
-    // Calculate player screen position
-    const screenX = this.physics.position.x - this.level.camera.x;
-    const screenY = this.physics.position.y;
+  renderPlayer(position = this.physics.position, alpha = 0) {
+    // Draw the ghost behind the player
+    this.renderGhost(alpha);
 
-    // Draw player animation
+    // Calculate player screen position
+    const screenX = position.x - this.level.camera.x;
+    const screenY = position.y;
+
+    // Draw player animation; spins turn the rider side-on and round
+    const {width} = this.character.getDimensions();
+    const turn = Math.cos(degToRad(this.physics.rotation));
+    this.context.save();
+    this.context.translate(screenX + width / 2, 0);
+    this.context.scale(turn, 1);
+    this.context.translate(-(screenX + width / 2), 0);
     this.animations.draw(this.context, screenX, screenY, "character");
+    this.context.restore();
 
     // Fallback rendering if animation fails
     if (
@@ -439,12 +805,52 @@ export default class Game {
     }
   }
 
+  /**
+   * Render the ghost of the best previous run
+   * @param {number} alpha - Interpolation factor between simulation steps
+   */
+  renderGhost(alpha) {
+    // The last completed step is tick - 1
+    const frame = this.ghosts.getFrame(this.simulation.tick - 1, alpha);
+    if (!frame) return;
+
+    const screenX = frame.x - this.level.camera.x;
+    const screenY = frame.y;
+
+    this.context.save();
+    this.context.globalAlpha = GHOST_CONFIG.opacity;
+
+    if (frame.animation) {
+      this.animations.play("ghost", frame.animation, {
+        flipped: frame.flipped,
+      });
+      this.animations.draw(this.context, screenX, screenY, "ghost");
+    }
+
+    // Fallback rendering if animation fails
+    if (
+      process.env.NODE_ENV === "development" &&
+      !this.animations.isPlaying("ghost")
+    ) {
+      this.context.fillStyle = "#FFFFFF";
+      this.context.fillRect(
+        screenX,
+        screenY,
+        this.character.getDimensions().width,
+        this.character.getDimensions().height
+      );
+    }
+
+    this.context.restore();
+  }
+
   /**
    * Handle input change
    * @param {string} action - Input action
    * @param {boolean} active - Whether action is active
+   * @param {boolean} fromReplay - Whether input comes from replay playback
    */
-  handleInputChange(action, active) {
+  handleInputChange(action, active, fromReplay = false) {
     // Always handle UI inputs first
     if (this.ui.handleMenuInput(action)) {
       return;
@@ -463,9 +869,13 @@ export default class Game {
       case "trick1":
       case "trick2":
       case "trick3":
-        // Pass input to character controller
-        if (this.character) {
-          this.character.setKey(action, active);
+        // Live input is ignored while a replay drives the character
+        if (this.replay.isPlaying() && !fromReplay) break;
+
+        // Pass input to the simulation
+        if (this.simulation) {
+          this.simulation.setInput(action, active);
+          this.replay.recordInput(this.simulation.tick, action, active);
         }
         break;
       case "pause":
@@ -507,35 +917,41 @@ export default class Game {
    * @param {string} mode - Game mode
    */
   startGame() {
-    this.currentLevel = 0;
+    this.levelData = this.getStartLevel();
+    this.launchLevel(this.seedOverride);
+  }
 
-    // Get level data
-    this.levelData = getLevelByIndex(this.currentLevel, this.gameMode);
+  /**
+   * Pick the level a new game starts on
+   * A loaded level pack starts on its first level.
+   * @returns {Object} Level definition; currentLevel is set to its index
+   */
+  getStartLevel() {
+    const packStart = this.levelPackStart;
+    this.currentLevel =
+      packStart && packStart.mode === this.gameMode ? packStart.index : 0;
 
-    // Initialize physics system
-    this.physics = new PhysicsController(this.gameMode);
+    return getLevelByIndex(this.currentLevel, this.gameMode);
+  }
 
+  /**
+   * Set up the game systems for the current level data and start playing
+   * @param {number|string} seed - Level generation seed
+   */
+  launchLevel(seed) {
     // Initialize animation system
     this.animations = new AnimationSystem(this.resources);
     this.setupAnimations();
 
-    // Initialize character controller
-    this.character = new CharacterController(
-      this.physics,
-      this.animations,
-      this.gameMode
-    );
-
-    // Initialize level system
-    this.level = new LevelSystem(this.gameMode, this.currentLevel);
-    this.level.initializeLevel();
-
-    // Initialize scoring system
-    this.scoring = new ScoringSystem(this.gameMode, this.levelData);
+    // Initialize gameplay simulation
+    this.createSimulation(seed);
 
-    // Initialize audio system
-    this.audio = new AudioManager();
-    this.setupAudio();
+    // Initialize audio system once; its audio context outlives the level
+    if (!this.audio) {
+      this.audio = new AudioManager();
+      this.music = new AdaptiveMusic(this.audio);
+      this.setupAudio();
+    }
 
     // Connect all systems
     this.connectSystems();
@@ -546,40 +962,164 @@ export default class Game {
     this.ui.showGameHUD();
 
     // Start the game
+    this.accumulator = 0;
+    this.startRun();
     this.isPaused = false;
     this.isRunning = true;
 
-    // Switch music
-    //this.audio.stopMusic(true);
-    //this.audio.playMusic('game_music', true);
+    // Switch to the level's track
+    this.music.start(this.levelData.music);
   }
 
   /**
-   * Reset game systems
+   * Create the gameplay simulation for the current level
+   * @param {number|string} seed - Level generation seed
    */
-  resetGameSystems() {
-    // Reset physics
-    this.physics = new PhysicsController(this.gameMode);
+  createSimulation(seed) {
+    this.simulation = new Simulation({
+      mode: this.gameMode,
+      levelIndex: this.currentLevel,
+      levelData: this.levelData,
+      seed,
+      animations: this.animations,
+    });
 
-    // Reset character controller
-    this.character = new CharacterController(
-      this.physics,
-      this.animations,
-      this.gameMode
-    );
+    // Shortcuts to the simulated systems
+    this.physics = this.simulation.physics;
+    this.character = this.simulation.character;
+    this.level = this.simulation.level;
+    this.scoring = this.simulation.scoring;
 
-    // Reset level
-    this.level = new LevelSystem(this.gameMode, this.currentLevel);
-    this.level.initializeLevel();
+    // Play-tests start where the editor's cursor was
+    if (this.playtest) {
+      this.simulation.placeRider(this.playtest.x);
+    }
 
-    // Reset scoring
-    this.scoring = new ScoringSystem(this.gameMode, this.levelData);
+    this.ui.setSeed(this.level.seed);
+  }
+
+  /**
+   * Reset game systems
+   * @param {number|string} seed - Level generation seed
+   */
+  resetGameSystems(seed = this.level.seed) {
+    // Rebuild the simulation from scratch
+    this.createSimulation(seed);
 
     // Reconnect systems
     this.connectSystems();
+    this.setupStateHandlers();
+
+    // Drop any partial step left from the previous run
+    this.accumulator = 0;
 
     // Reset input
     this.input.resetAllInputs();
+
+    // Record the new run
+    this.startRun();
+  }
+
+  /**
+   * Start recording the current run for replays and ghosts
+   */
+  startRun() {
+    // Play-tests are neither replays nor ghost runs
+    if (this.playtest) {
+      this.replay.stop();
+      this.ghosts.clear();
+      this.ui.setReplayMode(false);
+      return;
+    }
+
+    this.replay.startRecording({
+      mode: this.gameMode,
+      levelId: this.level.levelData.id,
+      seed: this.level.seed,
+    });
+    this.ghosts.start({
+      mode: this.gameMode,
+      levelId: this.level.levelData.id,
+      seed: this.level.seed,
+      levelWidth: this.level.width,
+    });
+    this.ui.setReplayMode(false);
+  }
+
+  /**
+   * Replace the stored ghost with the run that just beat it
+   */
+  saveGhost() {
+    if (this.ghosts.save()) {
+      this.ui.addNotification("Ghost replaced!", 120);
+    } else {
+      this.ui.addNotification("Ghost already saved", 60);
+    }
+  }
+
+  /**
+   * Watch a recorded run
+   * @param {Object} replay - Replay data (defaults to the last run)
+   */
+  watchReplay(replay = this.replay.replay) {
+    if (!replay) return;
+
+    // Rebuild the exact course the run was recorded on; levels are found by
+    // ID since packs can move them
+    const index = getLevelIndexById(replay.levelId, replay.mode);
+    if (index === -1) {
+      this.ui.addNotification("Replay level not found", 120);
+      return;
+    }
+    this.gameMode = replay.mode;
+    this.currentLevel = index;
+    this.levelData = getLevelByIndex(index, replay.mode);
+
+    // From the title screen the level is set up from scratch
+    if (this.ui.getCurrentScreen() === "title") {
+      this.launchLevel(replay.seed);
+    } else {
+      this.resetGameSystems(replay.seed);
+    }
+
+    if (this.replay.startPlayback(replay)) {
+      // A replay is not a new run, so it never becomes a ghost
+      this.ghosts.stopRecording();
+      this.ui.setReplayMode(true);
+    } else {
+      this.ui.addNotification("Replay unavailable", 120);
+    }
+
+    this.ui.showGameHUD();
+    this.isPaused = false;
+  }
+
+  /**
+   * Watch the replay saved from an earlier session
+   * @param {string} levelId - Level identifier, in the current mode
+   */
+  watchSavedReplay(levelId) {
+    const replay = this.replay.load(this.gameMode, levelId);
+    if (!replay) {
+      this.ui.addNotification("No saved replay for this level yet", 120);
+      return;
+    }
+
+    this.watchReplay(replay);
+  }
+
+  /**
+   * Stop replay playback and hand control back to the player
+   */
+  stopReplay() {
+    this.replay.stopPlayback();
+    this.ui.setReplayMode(false);
+
+    if (this.character) {
+      this.character.resetKeys();
+    }
+
+    this.ui.addNotification("Replay finished", 120);
   }
 
   /**
@@ -597,11 +1137,12 @@ export default class Game {
         this.returnToTitle.bind(this)
       );
 
-      //this.audio.pauseMusic();
+      this.audio.pauseMusic();
+      this.stopSoundLoops();
     } else {
       this.ui.showGameHUD();
 
-      //this.audio.resumeMusic();
+      this.audio.resumeMusic();
     }
   }
 
@@ -612,13 +1153,19 @@ export default class Game {
     this.isPaused = false;
     this.ui.showGameHUD();
 
-    //this.audio.resumeMusic();
+    this.audio.resumeMusic();
   }
 
   /**
    * Show menu
    */
   showMenu() {
+    // Leaving a play-test goes back to the editor
+    if (this.playtest) {
+      this.stopPlaytest();
+      return;
+    }
+
     if (this.ui.getCurrentScreen() === "game") {
       this.togglePause();
     }
@@ -642,8 +1189,8 @@ export default class Game {
     // Reload level data
     this.levelData = getLevelByIndex(this.currentLevel, this.gameMode);
 
-    // Reset game systems
-    this.resetGameSystems();
+    // Reset game systems on the level's course unless a seed was requested
+    this.resetGameSystems(this.seedOverride);
 
     // Show game UI
     this.ui.showGameHUD();
@@ -656,13 +1203,144 @@ export default class Game {
    * Return to title screen
    */
   returnToTitle() {
-    //this.audio.stopMusic(true);
-    //this.audio.playMusic('title_music', true);
+    if (this.playtest) {
+      this.stopPlaytest();
+      return;
+    }
+
+    this.music.stop();
+
+    this.replay.stop();
+    this.ui.setReplayMode(false);
 
     this.ui.showTitleScreen();
     this.isPaused = false;
   }
 
+  /**
+   * Forward mouse and keyboard input to the level editor while it is open
+   */
+  setupEditorInput() {
+    const isEditing = () =>
+      this.editor && this.ui.getCurrentScreen() === "editor";
+
+    this.canvas.addEventListener("mousedown", (event) => {
+      if (isEditing()) this.editor.pointerDown(event.offsetX, event.offsetY);
+    });
+    this.canvas.addEventListener("mousemove", (event) => {
+      if (isEditing()) this.editor.pointerMove(event.offsetX, event.offsetY);
+    });
+    this.canvas.addEventListener("mouseup", (event) => {
+      if (isEditing()) this.editor.pointerUp(event.offsetX, event.offsetY);
+    });
+
+    document.addEventListener("keydown", (event) => {
+      if (!isEditing()) return;
+
+      // Keep Backspace from navigating away
+      if (event.code === "Backspace") event.preventDefault();
+      this.editor.keyDown(event.code, event.shiftKey);
+    });
+    document.addEventListener("keyup", (event) => {
+      if (isEditing()) this.editor.keyUp(event.code, event.shiftKey);
+    });
+  }
+
+  /**
+   * Open the level editor
+   * @param {string} mode - Game mode to edit levels for
+   */
+  openEditor(mode) {
+    this.gameMode = mode;
+    this.isRunning = false;
+    this.isPaused = false;
+
+    this.editor = new LevelEditor(mode);
+    this.editor.onPlaytest = this.startPlaytest.bind(this);
+    this.editor.onExport = this.handleEditorExport.bind(this);
+    this.editor.onExit = this.closeEditor.bind(this);
+
+    this.ui.showEditor();
+  }
+
+  /**
+   * Close the level editor and go back to the title screen
+   */
+  closeEditor() {
+    this.editor = null;
+    this.ui.showTitleScreen();
+  }
+
+  /**
+   * Play a level from the editor
+   * @param {Object} levelData - Level definition
+   * @param {number} x - Where the rider starts
+   */
+  startPlaytest(levelData, x) {
+    this.playtest = {x};
+    this.levelData = levelData;
+    this.input.resetAllInputs();
+    this.launchLevel(EDITOR_CONFIG.previewSeed);
+  }
+
+  /**
+   * End a play-test and go back to the editor
+   * @param {string} message - Notification to show (optional)
+   */
+  stopPlaytest(message = null) {
+    this.playtest = null;
+    this.isRunning = false;
+    this.isPaused = false;
+    this.input.resetAllInputs();
+    this.editor.resetKeys();
+    this.music.stop();
+    this.stopSoundLoops();
+    this.ui.showEditor();
+
+    if (message) {
+      this.ui.addNotification(message, 180);
+    }
+  }
+
+  /**
+   * Hand an exported level to the designer as a downloaded file, also
+   * copied to the clipboard where the browser allows it
+   * @param {string} source - Level source for constants/levels.js
+   * @param {Array} errors - Problems found by the level validator
+   */
+  handleEditorExport(source, errors) {
+    const fileName = `${this.editor.level.id}.js`;
+    const url = URL.createObjectURL(
+      new Blob([source], {type: "text/javascript"})
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+
+    // The download starts after this handler returns, so free it later
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+      link.remove();
+    }, 1000);
+
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(source).catch(() => {});
+    }
+
+    if (errors.length > 0) {
+      // The first problem is shown; the rest turn up once it is fixed
+      this.ui.addNotification(
+        `Exported with ${errors.length} problem(s): ` +
+          formatLevelErrors(errors.slice(0, 1)),
+        300
+      );
+    } else {
+      this.ui.addNotification(`Level exported to ${fileName}`);
+    }
+  }
+
   /**
    * Handle window resize
    * @param {number} width - New width
@@ -1,6 +1,11 @@
 /**
  * Animation system
  * Manages sprite animations and transitions
+ *
+ * Frames come from a spritesheet laid out as a grid, by index, or from a
+ * packed texture atlas, by name. Atlas frames may be trimmed, keeping their
+ * offset inside the full sprite, and may carry their own durations; an
+ * atlas's tags can define its animations wholesale.
  */
 
 export default class AnimationSystem {
@@ -12,22 +17,27 @@ export default class AnimationSystem {
     this.resources = resources;
     this.animations = {};
     this.activeAnimations = {};
-    this.lastFrameTime = 0;
   }
 
   /**
    * Define a new animation
    * @param {string} name - Animation name
-   * @param {string} spritesheet - Spritesheet resource ID
-   * @param {Array} frames - Animation frames
-   * @param {number} frameRate - Frames per second
+   * @param {string} spritesheet - Spritesheet or atlas resource ID
+   * @param {Array} frames - Animation frames: grid indices, atlas frame
+   *   names or frame rectangles {x, y, width, height}
+   * @param {number} frameRate - Frames per second, for frames without a
+   *   duration of their own
    * @param {Object} options - Additional options
    */
   define(name, spritesheet, frames, frameRate, options = {}) {
     const frameTime = 1000 / frameRate;
 
-    // Process frames if they are just indices
+    // Process frames if they are just indices or names
     const processedFrames = frames.map((frame) => {
+      if (typeof frame === "string") {
+        return this.getAtlasFrame(spritesheet, frame);
+      }
+
       if (typeof frame === "number") {
         // If frame is just a number, calculate x and y based on options
         const frameWidth = options.frameWidth || 32;
@@ -46,6 +56,7 @@ export default class AnimationSystem {
       }
       return frame;
     });
+    if (processedFrames.includes(null)) return;
 
     this.animations[name] = {
       spritesheet,
@@ -60,6 +71,49 @@ export default class AnimationSystem {
     };
   }
 
+  /**
+   * Define an animation for every tag of a texture atlas
+   * Tags replace animations of the same name already defined.
+   * @param {string} spritesheet - Atlas resource ID
+   * @param {number} frameRate - Frames per second, for frames without a
+   *   duration of their own
+   * @param {Object} overrides - Extra options for particular animations,
+   *   by name, such as {bail: {loop: false}}
+   * @returns {number} Number of animations defined; 0 if the resource isn't
+   *   a loaded atlas
+   */
+  defineFromAtlas(spritesheet, frameRate = 10, overrides = {}) {
+    if (!this.resources.isLoaded(spritesheet)) return 0;
+
+    const atlas = this.resources.get(spritesheet);
+    if (!atlas.tags) return 0;
+
+    for (const tag of atlas.tags) {
+      this.define(tag.name, spritesheet, tag.frames, frameRate, {
+        loop: tag.loop,
+        ...overrides[tag.name],
+      });
+    }
+    return atlas.tags.length;
+  }
+
+  /**
+   * Get a named frame of a texture atlas
+   * @param {string} spritesheet - Atlas resource ID
+   * @param {string} name - Frame name
+   * @returns {Object|null} Frame, or null if the atlas has no such frame
+   */
+  getAtlasFrame(spritesheet, name) {
+    const atlas = this.resources.get(spritesheet);
+    const frame = atlas && atlas.frames && atlas.frames[name];
+
+    if (!frame) {
+      console.warn(`Atlas frame not found: ${spritesheet}/${name}`);
+      return null;
+    }
+    return frame;
+  }
+
   /**
    * Start playing an animation
    * @param {string} id - Instance ID
@@ -91,7 +145,7 @@ export default class AnimationSystem {
       flipped: animation.flippable ? flipped : false,
       currentFrame: 0,
       frameTime: animation.frameTime,
-      lastUpdateTime: performance.now(),
+      frameElapsed: 0, // Milliseconds spent on the current frame
       finished: false,
       options,
     };
@@ -111,11 +165,11 @@ export default class AnimationSystem {
 
   /**
    * Update all active animations
-   * @param {number} deltaTime - Time since last update
+   * Frames advance with the game's own clock, so they hold still while the
+   * game isn't being updated.
+   * @param {number} deltaTime - Time since last update in seconds
    */
   update(deltaTime = 1 / 60) {
-    const currentTime = performance.now();
-
     for (const id in this.activeAnimations) {
       const instance = this.activeAnimations[id];
       const animation = this.animations[instance.name];
@@ -123,9 +177,12 @@ export default class AnimationSystem {
       if (!animation) continue;
 
       // Check if enough time has passed to advance the frame
-      if (currentTime - instance.lastUpdateTime >= animation.frameTime) {
+      const frame = animation.frames[instance.currentFrame];
+      const frameTime = frame?.duration ?? animation.frameTime;
+      instance.frameElapsed += deltaTime * 1000;
+      if (instance.frameElapsed >= frameTime) {
         instance.currentFrame++;
-        instance.lastUpdateTime = currentTime;
+        instance.frameElapsed = 0;
 
         // Handle end of animation
         if (instance.currentFrame >= animation.frames.length) {
@@ -153,8 +210,6 @@ export default class AnimationSystem {
         }
       }
     }
-
-    this.lastFrameTime = currentTime;
   }
 
   /**
@@ -174,8 +229,10 @@ export default class AnimationSystem {
     const frame = animation.frames[instance.currentFrame];
     if (!frame) return;
 
-    const spritesheet = this.resources.get(animation.spritesheet);
-    if (!spritesheet) return;
+    // Atlases carry their sheet as an image
+    const resource = this.resources.get(animation.spritesheet);
+    if (!resource) return;
+    const spritesheet = resource.image || resource;
 
     // Save context for transformations
     context.save();
@@ -185,22 +242,24 @@ export default class AnimationSystem {
     const offsetX = instance.options.offsetX || animation.offsetX;
     const offsetY = instance.options.offsetY || animation.offsetY;
 
-    // Handle flipping
+    // Handle flipping, across the full sprite so trimmed frames mirror in
+    // place
     if (instance.flipped) {
-      context.translate(x + frame.width * scale, y);
+      const width = frame.sourceWidth || frame.width;
+      context.translate(x + width * scale, 0);
       context.scale(-1, 1);
       x = 0;
     }
 
-    // Draw the frame
+    // Draw the frame, trimmed frames at their offset in the full sprite
     context.drawImage(
       spritesheet,
       frame.x,
       frame.y,
       frame.width,
       frame.height,
-      x + offsetX,
-      y + offsetY,
+      x + offsetX + (frame.offsetX || 0) * scale,
+      y + offsetY + (frame.offsetY || 0) * scale,
       frame.width * scale,
       frame.height * scale
     );
@@ -1,8 +1,37 @@
 /**
  * Audio Manager
  * Handles game sound effects and music
+ *
+ * Sounds are decoded into Web Audio buffers and every play starts a voice:
+ * a buffer source with its own gain, routed through a gain bus for its group
+ * (music, sfx, ui) into the master gain. Volumes are set on the buses and
+ * fades are ramps scheduled on the audio clock.
+ *
+ * Music can carry layers: other music sounds started on the same sample as
+ * the track and kept in step with it through pauses and seeks, each with a
+ * volume of its own so they can be brought in and out.
+ *
+ * Sounds can be placed in the level: played at an X position, they are
+ * panned and quietened by their distance from the listener, which follows
+ * the camera. Looping sounds can have their volume, pitch and pan changed
+ * while they play.
  */
 
+/**
+ * Audio settings
+ */
+export const AUDIO_CONFIG = {
+  soundVoices: 4, // Copies of one sound that can play at once
+  // Voices each group's bus can play at once; the oldest is cut off
+  groupVoices: {music: 16, sfx: 16, ui: 4, ambience: 4},
+  musicStartDelay: 0.05, // Seconds ahead music and its layers are scheduled
+  panDistance: 400, // Distance from the listener a sound is fully to one side
+  hearingDistance: 1000, // Distance from the listener a sound fades out by
+  smoothingTime: 0.05, // Seconds loops take to follow volume, pitch and pan
+  // Playback rates of speed-driven loops at a standstill and at top speed
+  speedRates: {min: 0.6, max: 1.4},
+};
+
 export default class AudioManager {
   /**
    * Create an audio manager
@@ -14,11 +43,13 @@ export default class AudioManager {
     this.sfxVolume = 1.0;
     this.muted = false;
 
-    // Audio resources
+    // Audio resources {buffer, group, options, voices, loaded, pausedAt}
     this.sounds = {};
-    this.music = null;
     this.currentMusicId = null;
 
+    // Volume of each layer playing in step with the current music, by id
+    this.musicLayers = {};
+
     // Sound groups
     this.groups = {
       music: [],
@@ -29,79 +60,133 @@ export default class AudioManager {
     // Sound cooldowns (to prevent spamming)
     this.cooldowns = {};
 
+    // Voices playing across every sound, oldest first
+    this.voices = [];
+
+    // Level X position placed sounds are heard from
+    this.listenerX = 0;
+
     // Check audio support
-    this.audioSupported = typeof Audio !== "undefined";
+    const AudioContext =
+      typeof window !== "undefined" &&
+      (window.AudioContext || window.webkitAudioContext);
+    this.audioSupported = Boolean(AudioContext);
     if (!this.audioSupported) {
       console.warn("Audio is not supported in this browser");
+      return;
     }
+
+    // Mixing graph: voices feed their group's bus, buses feed the master
+    this.context = new AudioContext();
+    this.master = this.context.createGain();
+    this.master.connect(this.context.destination);
+
+    this.buses = {};
+    for (const group in this.groups) {
+      this.createBus(group);
+    }
+    this.updateAllVolumes();
+  }
+
+  /**
+   * Create the gain bus a group of sounds plays through
+   * @param {string} group - Sound group
+   * @returns {GainNode} Group bus
+   */
+  createBus(group) {
+    const bus = this.context.createGain();
+    bus.connect(this.master);
+    this.buses[group] = bus;
+    return bus;
   }
 
   /**
    * Load a sound
+   * The sound is fetched and decoded in the background; plays asked for
+   * before it is ready are skipped.
    * @param {string} id - Sound identifier
    * @param {string} src - Sound file path
    * @param {string} group - Sound group
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options {loop, volume, overlap,
+   *   maxVoices, cooldown, onEnd}
    * @returns {boolean} Whether sound was loaded
    */
   loadSound(id, src, group = "sfx", options = {}) {
-    if (!this.audioSupported) return false;
-
-    if (this.sounds[id]) {
-      console.warn(`Sound with ID "${id}" already exists`);
-      return false;
-    }
+    const sound = this.addSound(id, group, options);
+    if (!sound) return false;
 
-    try {
-      const audio = new Audio(src);
+    sound.ready = fetch(src)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then((data) => this.context.decodeAudioData(data))
+      .then((buffer) => {
+        sound.buffer = buffer;
+        sound.loaded = true;
+      })
+      .catch((error) => {
+        console.error(`Failed to load sound "${id}":`, error);
+      });
 
-      // Set options
-      if (options.loop) audio.loop = true;
-      if (options.volume !== undefined) audio.volume = options.volume;
+    return true;
+  }
 
-      // Set initial volume based on group
-      if (group === "music") {
-        audio.volume = this.musicVolume * this.masterVolume;
-      } else {
-        audio.volume = this.sfxVolume * this.masterVolume;
-      }
+  /**
+   * Load a sound from samples rendered in code
+   * @param {string} id - Sound identifier
+   * @param {Float32Array} samples - Mono samples from -1 to 1
+   * @param {number} sampleRate - Samples per second
+   * @param {string} group - Sound group
+   * @param {Object} options - Additional options, as for loadSound
+   * @returns {boolean} Whether sound was loaded
+   */
+  loadSamples(id, samples, sampleRate, group = "sfx", options = {}) {
+    const sound = this.addSound(id, group, options);
+    if (!sound) return false;
 
-      // Store sound
-      this.sounds[id] = {
-        audio: audio,
-        group: group,
-        options: options,
-        playing: false,
-        loaded: false,
-      };
-
-      // Add to group
-      if (this.groups[group]) {
-        this.groups[group].push(id);
-      } else {
-        this.groups[group] = [id];
-      }
+    sound.buffer = this.context.createBuffer(1, samples.length, sampleRate);
+    sound.buffer.getChannelData(0).set(samples);
+    sound.loaded = true;
+    sound.ready = Promise.resolve();
+    return true;
+  }
 
-      // Set loaded callback
-      audio.addEventListener("canplaythrough", () => {
-        this.sounds[id].loaded = true;
-      });
+  /**
+   * Register a sound and its group, before its buffer is ready
+   * @param {string} id - Sound identifier
+   * @param {string} group - Sound group
+   * @param {Object} options - Additional options
+   * @returns {Object|null} Sound, or null if it can't be added
+   */
+  addSound(id, group, options) {
+    if (!this.audioSupported) return null;
 
-      // Set ended callback
-      audio.addEventListener("ended", () => {
-        this.sounds[id].playing = false;
+    if (this.sounds[id]) {
+      console.warn(`Sound with ID "${id}" already exists`);
+      return null;
+    }
 
-        // Call onEnd callback if provided
-        if (options.onEnd) {
-          options.onEnd();
-        }
-      });
+    const sound = {
+      buffer: null,
+      group: group,
+      options: options,
+      voices: [],
+      loaded: false,
+      pausedAt: null, // Seconds into the sound when it was paused
+    };
+    this.sounds[id] = sound;
 
-      return true;
-    } catch (error) {
-      console.error(`Failed to load sound "${id}":`, error);
-      return false;
+    // Add to group
+    if (this.groups[group]) {
+      this.groups[group].push(id);
+    } else {
+      this.groups[group] = [id];
+      this.createBus(group);
+      this.updateGroupVolume(group);
     }
+
+    return sound;
   }
 
   /**
@@ -125,18 +210,29 @@ export default class AudioManager {
 
   /**
    * Play a sound
+   * Sounds overlap by default, up to their voice limit; music restarts
+   * instead unless asked to overlap. While muted only looping sounds start,
+   * so music carries on silently.
    * @param {string} id - Sound identifier
-   * @param {Object} options - Playback options
-   * @returns {HTMLAudioElement|null} Audio element or null if failed
+   * @param {Object} options - Playback options {volume, loop, overlap,
+   *   cooldown, offset, when, rate, pan}; when is the audio clock time to
+   *   start at, rate the playback speed (1 is normal pitch) and pan from -1
+   *   (left) to 1 (right)
+   * @returns {Object|null} Voice {id, source, gain, panner, volume} or null
+   *   if failed
    */
   play(id, options = {}) {
-    if (!this.audioSupported || this.muted) return null;
+    if (!this.audioSupported) return null;
 
     const sound = this.sounds[id];
     if (!sound) {
       console.warn(`Sound "${id}" not found`);
       return null;
     }
+    if (!sound.buffer) return null;
+
+    const loop = options.loop ?? Boolean(sound.options.loop);
+    if (this.muted && !loop) return null;
 
     // Check cooldown
     const now = Date.now();
@@ -144,73 +240,187 @@ export default class AudioManager {
       return null;
     }
 
-    try {
-      // For short sounds, it's better to create a new Audio instance
-      // to allow overlapping playback
-      let audioToPlay;
+    // Browsers keep the context suspended until the page is interacted with
+    if (this.context.state === "suspended") {
+      this.context.resume();
+    }
 
-      if (options.overlap || sound.options.overlap) {
-        // Create new audio instance for overlapping playback
-        audioToPlay = new Audio(sound.audio.src);
-        audioToPlay.volume = sound.audio.volume;
-      } else {
-        // Use existing audio instance
-        audioToPlay = sound.audio;
+    const overlap =
+      options.overlap ?? sound.options.overlap ?? sound.group !== "music";
+    if (!overlap) {
+      this.stopVoices(sound);
+    }
 
-        // Reset audio to beginning if it's already playing
-        if (sound.playing) {
-          audioToPlay.currentTime = 0;
-        }
-      }
+    const voice = this.startVoice(id, sound, {
+      loop,
+      when: options.when || 0,
+      offset: options.offset || 0,
+      volume: (options.volume ?? 1) * (sound.options.volume ?? 1),
+      rate: options.rate ?? 1,
+      pan: options.pan,
+    });
+
+    // Set cooldown if specified
+    if (options.cooldown || sound.options.cooldown) {
+      const cooldownTime = options.cooldown || sound.options.cooldown;
+      this.cooldowns[id] = now + cooldownTime;
+    }
 
-      // Apply volume
-      if (sound.group === "music") {
-        audioToPlay.volume = this.musicVolume * this.masterVolume;
-      } else {
-        audioToPlay.volume = this.sfxVolume * this.masterVolume;
-      }
+    // If this is music, pause any other music
+    if (sound.group === "music" && !overlap) {
+      this.pauseOtherMusic(id);
+      this.currentMusicId = id;
+    }
 
-      // Apply options
-      if (options.volume !== undefined) {
-        audioToPlay.volume *= options.volume;
-      }
+    return voice;
+  }
 
-      if (options.loop !== undefined) {
-        audioToPlay.loop = options.loop;
-      }
+  /**
+   * Start a voice of a sound, cutting off the oldest voice of the sound or
+   * its group when either is at its limit
+   * @param {string} id - Sound identifier
+   * @param {Object} sound - Loaded sound
+   * @param {Object} playback - Playback {loop, when, offset, volume, rate,
+   *   pan}; voices only get a panner when given a pan
+   * @returns {Object} Voice
+   */
+  startVoice(id, sound, {loop, when, offset, volume, rate, pan}) {
+    const groupLimit =
+      AUDIO_CONFIG.groupVoices[sound.group] || AUDIO_CONFIG.soundVoices;
+    const groupVoices = this.voices.filter(
+      (voice) => voice.sound.group === sound.group
+    );
+    if (groupVoices.length >= groupLimit) {
+      this.stopVoice(groupVoices[0]);
+    }
 
-      // Set cooldown if specified
-      if (options.cooldown || sound.options.cooldown) {
-        const cooldownTime = options.cooldown || sound.options.cooldown;
-        this.cooldowns[id] = now + cooldownTime;
-      }
+    const soundLimit = sound.options.maxVoices || AUDIO_CONFIG.soundVoices;
+    if (sound.voices.length >= soundLimit) {
+      this.stopVoice(sound.voices[0]);
+    }
+
+    const source = this.context.createBufferSource();
+    source.buffer = sound.buffer;
+    source.loop = loop;
+    source.playbackRate.value = rate;
+
+    const gain = this.context.createGain();
+    gain.gain.value = volume;
+    source.connect(gain);
+
+    // Older browsers without stereo panners play placed sounds centred
+    let panner = null;
+    if (pan !== undefined && this.context.createStereoPanner) {
+      panner = this.context.createStereoPanner();
+      panner.pan.value = pan;
+      gain.connect(panner);
+      panner.connect(this.buses[sound.group]);
+    } else {
+      gain.connect(this.buses[sound.group]);
+    }
+
+    const voice = {
+      id,
+      sound,
+      source,
+      gain,
+      panner,
+      volume,
+      startTime: Math.max(when, this.context.currentTime),
+      offset: offset % sound.buffer.duration,
+      stopped: false,
+    };
 
-      // Play the sound
-      const playPromise = audioToPlay.play();
+    source.onended = () => {
+      this.releaseVoice(voice);
+      gain.disconnect();
+      if (panner) panner.disconnect();
 
-      // Handle promise (needed for modern browsers)
-      if (playPromise !== undefined) {
-        playPromise.catch((error) => {
-          console.error(`Error playing sound "${id}":`, error);
-        });
+      // Call onEnd callback if provided
+      if (!voice.stopped && sound.options.onEnd) {
+        sound.options.onEnd();
       }
+    };
 
-      // Update playing state
-      sound.playing = true;
+    source.start(when, voice.offset);
+    sound.voices.push(voice);
+    this.voices.push(voice);
+    return voice;
+  }
 
-      // If this is music, pause any other music
-      if (sound.group === "music" && !options.overlap) {
-        this.pauseOtherMusic(id);
-        this.currentMusicId = id;
-      }
+  /**
+   * Change a playing voice's volume, pitch or pan, smoothed on the audio
+   * clock so the change doesn't click
+   * @param {Object} voice - Voice from play
+   * @param {Object} params - Any of {volume, rate, pan}, as for play
+   */
+  updateVoice(voice, {volume, rate, pan}) {
+    const now = this.context.currentTime;
+    const smoothing = AUDIO_CONFIG.smoothingTime;
 
-      return audioToPlay;
-    } catch (error) {
-      console.error(`Failed to play sound "${id}":`, error);
-      return null;
+    if (volume !== undefined) {
+      voice.volume = volume * (voice.sound.options.volume ?? 1);
+      voice.gain.gain.setTargetAtTime(voice.volume, now, smoothing);
+    }
+    if (rate !== undefined) {
+      voice.source.playbackRate.setTargetAtTime(rate, now, smoothing);
+    }
+    if (pan !== undefined && voice.panner) {
+      voice.panner.pan.setTargetAtTime(pan, now, smoothing);
     }
   }
 
+  /**
+   * Stop a voice, fading it out first if asked
+   * The voice stops counting as playing straight away.
+   * @param {Object} voice - Voice from play
+   * @param {number} fadeTime - Fade time in milliseconds
+   */
+  stopVoice(voice, fadeTime = 0) {
+    voice.stopped = true;
+    this.releaseVoice(voice);
+
+    if (fadeTime > 0) {
+      this.fadeVolume(voice.gain, voice.gain.gain.value, 0, fadeTime);
+    }
+    voice.source.stop(this.context.currentTime + fadeTime / 1000);
+  }
+
+  /**
+   * Stop every voice of a sound
+   * @param {Object} sound - Loaded sound
+   * @param {number} fadeTime - Fade time in milliseconds
+   */
+  stopVoices(sound, fadeTime = 0) {
+    for (const voice of [...sound.voices]) {
+      this.stopVoice(voice, fadeTime);
+    }
+  }
+
+  /**
+   * Forget a voice that has stopped or is stopping
+   * @param {Object} voice - Voice from play
+   */
+  releaseVoice(voice) {
+    voice.sound.voices = voice.sound.voices.filter((other) => other !== voice);
+    this.voices = this.voices.filter((other) => other !== voice);
+  }
+
+  /**
+   * Get how far into its sound a voice has played
+   * @param {Object} voice - Voice from play
+   * @returns {number} Position in seconds
+   */
+  getVoicePosition(voice) {
+    const duration = voice.sound.buffer.duration;
+    const position =
+      voice.offset + Math.max(0, this.context.currentTime - voice.startTime);
+
+    return voice.source.loop
+      ? position % duration
+      : Math.min(position, duration);
+  }
+
   /**
    * Pause a sound
    * @param {string} id - Sound identifier
@@ -220,16 +430,14 @@ export default class AudioManager {
     if (!this.audioSupported) return false;
 
     const sound = this.sounds[id];
-    if (!sound || !sound.playing) return false;
-
-    try {
-      sound.audio.pause();
-      sound.playing = false;
-      return true;
-    } catch (error) {
-      console.error(`Failed to pause sound "${id}":`, error);
-      return false;
-    }
+    if (!sound || sound.voices.length === 0) return false;
+
+    // Sources can't pause, so remember where the newest voice was
+    sound.pausedAt = this.getVoicePosition(
+      sound.voices[sound.voices.length - 1]
+    );
+    this.stopVoices(sound);
+    return true;
   }
 
   /**
@@ -243,15 +451,9 @@ export default class AudioManager {
     const sound = this.sounds[id];
     if (!sound) return false;
 
-    try {
-      sound.audio.pause();
-      sound.audio.currentTime = 0;
-      sound.playing = false;
-      return true;
-    } catch (error) {
-      console.error(`Failed to stop sound "${id}":`, error);
-      return false;
-    }
+    this.stopVoices(sound);
+    sound.pausedAt = null;
+    return true;
   }
 
   /**
@@ -259,9 +461,11 @@ export default class AudioManager {
    * @param {string} id - Music identifier
    * @param {boolean} fadeIn - Whether to fade in
    * @param {number} fadeTime - Fade time in milliseconds
-   * @returns {HTMLAudioElement|null} Audio element or null if failed
+   * @param {Object} layers - Starting volume of each layer to play in step
+   *   with the music, by sound id
+   * @returns {Object|null} Voice or null if failed
    */
-  playMusic(id, fadeIn = false, fadeTime = 1000) {
+  playMusic(id, fadeIn = false, fadeTime = 1000, layers = {}) {
     if (!this.audioSupported) return null;
 
     const music = this.sounds[id];
@@ -270,33 +474,80 @@ export default class AudioManager {
       return null;
     }
 
-    // Stop current music
+    // Fade the current music out underneath the new one
     if (this.currentMusicId && this.currentMusicId !== id) {
-      this.stopMusic(fadeIn);
+      this.stopMusic(fadeIn, fadeTime);
     }
 
     // Set as current music
     this.currentMusicId = id;
+    this.musicLayers = {...layers};
 
-    // Start at zero volume if fading in
+    // Play the music
+    const voices = this.startMusic(0);
+
+    // Fade in if requested
     if (fadeIn) {
-      music.audio.volume = 0;
+      for (const voice of voices) {
+        this.fadeVolume(voice.gain, 0, voice.volume, fadeTime);
+      }
     }
 
-    // Play the music
-    const audioElement = this.play(id, {loop: true});
+    return voices[0] || null;
+  }
 
-    // Fade in if requested
-    if (fadeIn && audioElement) {
-      this.fadeVolume(
-        audioElement,
-        0,
-        this.musicVolume * this.masterVolume,
-        fadeTime
-      );
+  /**
+   * Start the current music and its layers together
+   * @param {number} offset - Seconds into the music to start from
+   * @returns {Array} Voices started, the music's own first
+   */
+  startMusic(offset) {
+    const when = this.context.currentTime + AUDIO_CONFIG.musicStartDelay;
+    const voice = this.play(this.currentMusicId, {loop: true, offset, when});
+    if (!voice) return [];
+
+    // Layers overlap the music rather than replacing it, so restart them
+    // by hand
+    const voices = [voice];
+    for (const [id, volume] of Object.entries(this.musicLayers)) {
+      const layer = this.sounds[id];
+      if (!layer) continue;
+
+      this.stopVoices(layer);
+      layer.pausedAt = null;
+      const layerVoice = this.play(id, {
+        loop: true,
+        overlap: true,
+        offset,
+        when,
+        volume,
+      });
+      if (layerVoice) voices.push(layerVoice);
     }
 
-    return audioElement;
+    return voices;
+  }
+
+  /**
+   * Bring a layer of the current music in or out
+   * @param {string} id - Layer sound identifier
+   * @param {number} volume - Volume (0-1)
+   * @param {number} fadeTime - Fade time in milliseconds
+   * @param {number} delay - Seconds to wait before fading, such as to the
+   *   next beat
+   * @returns {boolean} Whether the layer belongs to the current music
+   */
+  setMusicLayerVolume(id, volume, fadeTime = 0, delay = 0) {
+    if (!this.audioSupported || !(id in this.musicLayers)) return false;
+
+    const previous = this.musicLayers[id];
+    this.musicLayers[id] = volume;
+
+    for (const voice of this.sounds[id].voices) {
+      voice.volume = volume;
+      this.fadeVolume(voice.gain, previous, volume, fadeTime, delay);
+    }
+    return true;
   }
 
   /**
@@ -309,21 +560,18 @@ export default class AudioManager {
     if (!this.audioSupported || !this.currentMusicId) return false;
 
     const music = this.sounds[this.currentMusicId];
-    if (!music || !music.playing) return false;
+    if (!music || music.voices.length === 0) return false;
 
-    if (fadeOut) {
-      // Fade out and then stop
-      this.fadeVolume(music.audio, music.audio.volume, 0, fadeTime, () => {
-        this.stop(this.currentMusicId);
-        this.currentMusicId = null;
-      });
-      return true;
-    } else {
-      // Stop immediately
-      this.stop(this.currentMusicId);
-      this.currentMusicId = null;
-      return true;
+    for (const id of [this.currentMusicId, ...Object.keys(this.musicLayers)]) {
+      const sound = this.sounds[id];
+      if (!sound) continue;
+
+      this.stopVoices(sound, fadeOut ? fadeTime : 0);
+      sound.pausedAt = null;
     }
+    this.currentMusicId = null;
+    this.musicLayers = {};
+    return true;
   }
 
   /**
@@ -333,6 +581,9 @@ export default class AudioManager {
   pauseMusic() {
     if (!this.audioSupported || !this.currentMusicId) return false;
 
+    for (const id in this.musicLayers) {
+      if (this.sounds[id]) this.stopVoices(this.sounds[id]);
+    }
     return this.pause(this.currentMusicId);
   }
 
@@ -344,16 +595,11 @@ export default class AudioManager {
     if (!this.audioSupported || !this.currentMusicId) return false;
 
     const music = this.sounds[this.currentMusicId];
-    if (!music || music.playing) return false;
+    if (!music || music.voices.length > 0) return false;
 
-    try {
-      music.audio.play();
-      music.playing = true;
-      return true;
-    } catch (error) {
-      console.error(`Failed to resume music "${this.currentMusicId}":`, error);
-      return false;
-    }
+    const voices = this.startMusic(music.pausedAt || 0);
+    music.pausedAt = null;
+    return voices.length > 0;
   }
 
   /**
@@ -371,30 +617,20 @@ export default class AudioManager {
   }
 
   /**
-   * Fade sound volume
-   * @param {HTMLAudioElement} audio - Audio element
+   * Fade a gain from one volume to another, ramped on the audio clock
+   * @param {GainNode} node - Gain node, such as a voice's gain or a bus
    * @param {number} startVolume - Start volume
    * @param {number} endVolume - End volume
    * @param {number} duration - Fade duration in milliseconds
-   * @param {Function} callback - Callback function
+   * @param {number} delay - Seconds from now the fade starts
    */
-  fadeVolume(audio, startVolume, endVolume, duration, callback) {
-    if (!this.audioSupported || !audio) return;
-
-    const startTime = Date.now();
-    const volumeDiff = endVolume - startVolume;
-
-    const fadeInterval = setInterval(() => {
-      const elapsed = Date.now() - startTime;
-      const progress = Math.min(elapsed / duration, 1);
+  fadeVolume(node, startVolume, endVolume, duration, delay = 0) {
+    if (!this.audioSupported || !node) return;
 
-      audio.volume = startVolume + volumeDiff * progress;
-
-      if (progress >= 1) {
-        clearInterval(fadeInterval);
-        if (callback) callback();
-      }
-    }, 16);
+    const start = this.context.currentTime + delay;
+    node.gain.cancelScheduledValues(start);
+    node.gain.setValueAtTime(startVolume, start);
+    node.gain.linearRampToValueAtTime(endVolume, start + duration / 1000);
   }
 
   /**
@@ -403,7 +639,7 @@ export default class AudioManager {
    */
   setMasterVolume(volume) {
     this.masterVolume = Math.max(0, Math.min(1, volume));
-    this.updateAllVolumes();
+    this.updateMasterVolume();
   }
 
   /**
@@ -430,13 +666,7 @@ export default class AudioManager {
    */
   mute() {
     this.muted = true;
-
-    // Pause all playing sounds
-    for (const id in this.sounds) {
-      if (this.sounds[id].playing) {
-        this.sounds[id].audio.pause();
-      }
-    }
+    this.updateMasterVolume();
   }
 
   /**
@@ -444,11 +674,7 @@ export default class AudioManager {
    */
   unmute() {
     this.muted = false;
-
-    // Resume current music if any
-    if (this.currentMusicId) {
-      this.resumeMusic();
-    }
+    this.updateMasterVolume();
   }
 
   /**
@@ -465,10 +691,21 @@ export default class AudioManager {
     return this.muted;
   }
 
+  /**
+   * Update the master gain from the master volume and mute state
+   */
+  updateMasterVolume() {
+    if (!this.audioSupported) return;
+
+    const volume = this.muted ? 0 : this.masterVolume;
+    this.master.gain.setValueAtTime(volume, this.context.currentTime);
+  }
+
   /**
    * Update all sound volumes
    */
   updateAllVolumes() {
+    this.updateMasterVolume();
     for (const group in this.groups) {
       this.updateGroupVolume(group);
     }
@@ -479,16 +716,13 @@ export default class AudioManager {
    * @param {string} group - Sound group
    */
   updateGroupVolume(group) {
-    if (!this.audioSupported) return;
+    if (!this.audioSupported || !this.buses[group]) return;
 
     const groupVolume = group === "music" ? this.musicVolume : this.sfxVolume;
-
-    for (const id of this.groups[group] || []) {
-      const sound = this.sounds[id];
-      if (sound) {
-        sound.audio.volume = groupVolume * this.masterVolume;
-      }
-    }
+    this.buses[group].gain.setValueAtTime(
+      groupVolume,
+      this.context.currentTime
+    );
   }
 
   /**
@@ -500,7 +734,7 @@ export default class AudioManager {
     if (!this.audioSupported) return false;
 
     const sound = this.sounds[id];
-    return sound ? sound.playing : false;
+    return sound ? sound.voices.length > 0 : false;
   }
 
   /**
@@ -513,7 +747,7 @@ export default class AudioManager {
     const playingSounds = [];
 
     for (const id in this.sounds) {
-      if (this.sounds[id].playing) {
+      if (this.sounds[id].voices.length > 0) {
         playingSounds.push(id);
       }
     }
@@ -521,6 +755,87 @@ export default class AudioManager {
     return playingSounds;
   }
 
+  /**
+   * Keep a looping sound playing while a condition holds
+   * @param {string} id - Sound identifier
+   * @param {boolean} active - Whether the sound should be playing
+   * @param {Object} params - Volume, pitch and pan {volume, rate, pan} to
+   *   start with or change to, as for play
+   */
+  setLoop(id, active, params = {}) {
+    if (active && !this.isPlaying(id)) {
+      this.play(id, {...params, loop: true});
+    } else if (active) {
+      for (const voice of this.sounds[id].voices) {
+        this.updateVoice(voice, params);
+      }
+    } else if (this.isPlaying(id)) {
+      this.stop(id);
+    }
+  }
+
+  /**
+   * Keep a looping sound playing while a condition holds, its pitch and
+   * volume rising with speed
+   * @param {string} id - Sound identifier
+   * @param {boolean} active - Whether the sound should be playing
+   * @param {number} speed - Speed as a share of top speed (0-1)
+   */
+  setSpeedLoop(id, active, speed) {
+    const share = Math.max(0, Math.min(1, speed));
+    const {min, max} = AUDIO_CONFIG.speedRates;
+
+    this.setLoop(id, active && share > 0, {
+      volume: share,
+      rate: min + (max - min) * share,
+    });
+  }
+
+  /**
+   * Move the listener placed sounds are heard from
+   * @param {number} x - Level X position, usually the middle of the view
+   */
+  setListener(x) {
+    this.listenerX = x;
+  }
+
+  /**
+   * Get how a sound at a level position is heard from the listener
+   * @param {number} x - Level X position of the sound
+   * @returns {Object} Placement {volume, pan}; volume falls to 0 at the
+   *   hearing distance and pan reaches either side at the pan distance
+   */
+  getPlacement(x) {
+    const distance = x - this.listenerX;
+
+    return {
+      volume: Math.max(
+        0,
+        1 - Math.abs(distance) / AUDIO_CONFIG.hearingDistance
+      ),
+      pan: Math.max(-1, Math.min(1, distance / AUDIO_CONFIG.panDistance)),
+    };
+  }
+
+  /**
+   * Play a sound placed in the level, panned and quietened by its distance
+   * from the listener
+   * @param {string} id - Sound identifier
+   * @param {number} x - Level X position of the sound
+   * @param {Object} options - Playback options, as for play
+   * @returns {Object|null} Voice, or null if failed or out of hearing
+   */
+  playAt(id, x, options = {}) {
+    const {volume, pan} = this.getPlacement(x);
+    if (volume <= 0) return null;
+
+    return this.play(id, {
+      ...options,
+      volume: (options.volume ?? 1) * volume,
+      pan,
+    });
+  }
+
   /**
    * Stop all sounds
    */
@@ -545,16 +860,13 @@ export default class AudioManager {
     const music = this.sounds[this.currentMusicId];
     if (!music) return false;
 
-    try {
-      music.audio.currentTime = position;
-      return true;
-    } catch (error) {
-      console.error(
-        `Failed to set position for music "${this.currentMusicId}":`,
-        error
-      );
-      return false;
+    // Sources can't seek, so a playing track restarts from the position
+    if (music.voices.length > 0) {
+      return this.startMusic(position).length > 0;
     }
+
+    music.pausedAt = position;
+    return true;
   }
 
   /**
@@ -567,7 +879,8 @@ export default class AudioManager {
     const music = this.sounds[this.currentMusicId];
     if (!music) return 0;
 
-    return music.audio.currentTime;
+    if (music.voices.length === 0) return music.pausedAt || 0;
+    return this.getVoicePosition(music.voices[music.voices.length - 1]);
   }
 
   /**
@@ -578,9 +891,9 @@ export default class AudioManager {
     if (!this.audioSupported || !this.currentMusicId) return 0;
 
     const music = this.sounds[this.currentMusicId];
-    if (!music) return 0;
+    if (!music || !music.buffer) return 0;
 
-    return music.audio.duration;
+    return music.buffer.duration;
   }
 
   /**
@@ -5,6 +5,9 @@
 
 import {GAME_MODES, CHARACTER_CONFIG} from "../constants/game-modes";
 import {getTricksForMode} from "../constants/tricks";
+import {getFrameScale} from "../constants/timing";
+import TrickInputParser from "./trick-input";
+import {WAVE_CONFIG} from "./wave";
 
 export default class CharacterController {
   /**
@@ -32,7 +35,41 @@ export default class CharacterController {
     this.currentTrick = null;
     this.comboCounter = 0;
     this.comboTimer = 0;
-    this.comboMaxTime = 90; // 1.5 seconds at 60fps
+    this.comboMaxTime = 90; // 1.5 seconds in 60fps frames
+
+    // Grind in progress
+    this.grindTrick = null;
+    this.grindTime = 0; // Seconds
+
+    // Tube ride in progress {trick, zone, time, balance}
+    this.tubeRide = null;
+
+    // Tube the rider can pull into, set each step by the simulation
+    this.availableTube = null;
+
+    // Manual in progress {trick, time, balance}
+    this.manual = null;
+
+    // Frames left after touching down in which a manual can start
+    this.landingTimer = 0;
+
+    // Frames left before control returns after a bail
+    this.bailTimer = 0;
+
+    // Seconds spent in a breaking wave's whitewater without getting out
+    this.whitewaterTime = 0;
+
+    // Paddling out before catching a wave {stroke, held, arriving, crest,
+    // rollerHit, popUpTimer}: the arm that pulled last, stroke and pop-up
+    // keys held last step, the last crest seen coming toward the catch
+    // window, the crest in it, the last roller that hit the rider, and
+    // frames left springing up onto the board
+    this.paddle = null;
+
+    // Current time in the air {facing, steerKeys, trick}: the way the rider
+    // faced at takeoff, direction keys held since then, and the last trick
+    // that can combine with a spin
+    this.air = null;
 
     // Control flags
     this.keys = {
@@ -46,34 +83,88 @@ export default class CharacterController {
       trick3: false,
     };
 
+    // Recent presses, matched against each trick's declared input
+    this.trickInput = new TrickInputParser();
+
     // State change callbacks
     this.onStateChange = null;
     this.onTrickPerformed = null;
     this.onComboEnd = null;
+    this.onGrindEnd = null;
+    this.onTubeRideEnd = null;
+    this.onManualEnd = null;
+    this.onBail = null;
+    this.onWaveMissed = null;
+
+    // Surf runs start lying on the board, paddling for the first wave
+    if (mode === GAME_MODES.SURF) {
+      this.startPaddling();
+    }
   }
 
   /**
    * Update character based on input and physics
+   * @param {number} deltaTime - Time step in seconds
    */
   update(deltaTime = 1 / 60) {
+    // Timers count 60fps frames regardless of the step size
+    const frameScale = getFrameScale(deltaTime);
+
+    this.trickInput.update(deltaTime);
+
     // Update combo timer
     if (this.comboTimer > 0) {
-      this.comboTimer--;
+      this.comboTimer = Math.max(0, this.comboTimer - frameScale);
       if (this.comboTimer === 0) {
         this.finalizeCombo();
       }
     }
 
+    if (this.landingTimer > 0) {
+      this.landingTimer = Math.max(0, this.landingTimer - frameScale);
+    }
+
     // Handle trick timer
     if (this.trickInProgress) {
-      this.trickTimer--;
+      this.trickTimer -= frameScale;
       if (this.trickTimer <= 0) {
         this.endTrick();
       }
     }
 
-    // Process input if no trick is in progress
-    if (!this.trickInProgress) {
+    // Spins carry on through tricks in the air; on a breaking wave the
+    // whitewater catches a rider who falls behind the curl
+    if (this.gameMode === GAME_MODES.SKATE) {
+      this.updateAir();
+    } else if (!this.paddle) {
+      this.updateWhitewater(deltaTime);
+    }
+
+    if (this.bailTimer > 0) {
+      // Recover from a bail before taking input again
+      this.bailTimer = Math.max(0, this.bailTimer - frameScale);
+    } else if (this.grindTrick) {
+      // Grinding keeps the combo alive
+      this.grindTime += deltaTime;
+      this.comboTimer = this.comboMaxTime;
+      this.processGrindInput();
+
+      // The grind may have ended by jumping, sliding off or losing balance
+      if (!this.physics.grind) {
+        const reason = this.physics.grindExit;
+        this.endGrind(reason);
+        if (reason === "balance") {
+          this.bail("balance");
+        }
+      }
+    } else if (this.tubeRide) {
+      this.updateTubeRide(deltaTime);
+    } else if (this.manual) {
+      this.updateManual(deltaTime);
+    } else if (this.paddle) {
+      this.updatePaddling(deltaTime);
+    } else if (!this.trickInProgress) {
+      // Process input if no trick is in progress
       this.processInput();
     }
 
@@ -104,11 +195,14 @@ export default class CharacterController {
       this.state = "idle";
     }
 
+    // Crouching down a pipe's wall pumps for speed
+    if (this.keys.down && this.physics.vert) {
+      this.physics.pumpVert();
+    }
+
     // Handle jumping
     if (this.keys.jump && this.physics.grounded) {
-      if (this.physics.jump()) {
-        this.state = "jumping";
-      }
+      this.jump();
     }
 
     // Handle tricks
@@ -119,97 +213,702 @@ export default class CharacterController {
     }
   }
 
+  /**
+   * Track the current air and spin while a direction key is pressed
+   * Keys already held at takeoff keep steering instead; they spin once
+   * released and pressed again.
+   */
+  updateAir() {
+    if (this.physics.grounded || this.isBailing()) return;
+
+    if (!this.air) {
+      this.air = {
+        facing: this.facing,
+        steerKeys: {left: this.keys.left, right: this.keys.right},
+        trick: null,
+      };
+    }
+
+    const steerKeys = this.air.steerKeys;
+    steerKeys.left = steerKeys.left && this.keys.left;
+    steerKeys.right = steerKeys.right && this.keys.right;
+
+    const spinLeft = this.keys.left && !steerKeys.left;
+    const spinRight = this.keys.right && !steerKeys.right;
+    if (spinLeft !== spinRight) {
+      this.physics.spin(spinRight ? 1 : -1);
+    }
+  }
+
+  /**
+   * Process input while grinding
+   */
+  processGrindInput() {
+    // Up leans back, down leans forward
+    if (this.keys.up) {
+      this.physics.balanceGrind(-1);
+    } else if (this.keys.down) {
+      this.physics.balanceGrind(1);
+    }
+
+    // Jump off
+    if (this.keys.jump) {
+      this.jump();
+    }
+  }
+
   /**
    * Process skateboarding tricks
    */
   processSkateboardTricks() {
-    // Only allow tricks when in the air (for most tricks)
+    // Up or down just after touching down balances into a manual
+    if (this.landingTimer > 0 && this.physics.grounded) {
+      const manual = this.trickInput.matchHeld(
+        this.getTricksWhere((trick) => trick.manualTrick)
+      );
+      if (manual) this.startManual(manual.id);
+      return;
+    }
+
+    // Only allow tricks when in the air (grinds start by landing on a rail).
+    // Above a pipe's coping the keys grab the board instead.
     if (!this.physics.grounded) {
-      if (this.keys.trick1) {
-        this.performTrick("kickflip");
-      } else if (this.keys.trick2) {
-        this.performTrick("heelflip");
-      } else if (this.keys.trick3) {
-        this.performTrick("pop_shuvit");
-      } else if (this.keys.down) {
-        this.performTrick("ollie");
+      const vertAir = Boolean(this.physics.vertAir);
+      const candidates = this.getTricksWhere(
+        (trick) =>
+          trick.airOnly &&
+          !trick.spinTrick &&
+          Boolean(trick.vertTrick) === vertAir
+      );
+
+      const trick = this.trickInput.match(candidates);
+      if (trick) this.performTrick(trick.id);
+    }
+  }
+
+  /**
+   * Time the rider spends in the whitewater, wiping them out if they stay
+   * in it too long; the barrel of a tube ride shelters them
+   * @param {number} deltaTime - Time step in seconds
+   */
+  updateWhitewater(deltaTime) {
+    const caught =
+      this.physics.waveBreak === "whitewater" &&
+      this.physics.grounded &&
+      !this.tubeRide &&
+      this.bailTimer === 0;
+
+    this.whitewaterTime = caught ? this.whitewaterTime + deltaTime : 0;
+    if (this.whitewaterTime >= this.config.whitewaterWipeoutTime) {
+      this.whitewaterTime = 0;
+      this.bail("whitewater");
+    }
+  }
+
+  /**
+   * Lie down on the board to paddle for a wave
+   */
+  startPaddling() {
+    this.paddle = {
+      stroke: null,
+      held: {left: false, right: false, jump: false},
+      arriving: null,
+      crest: null,
+      rollerHit: null,
+      popUpTimer: 0,
+    };
+    this.physics.startPaddling();
+    this.state = "paddling";
+  }
+
+  /**
+   * Paddle for a wave: alternate left and right to stroke, hold down to
+   * duck-dive under rollers, and press jump to pop up as a wave arrives
+   * @param {number} deltaTime - Time step in seconds
+   */
+  updatePaddling(deltaTime) {
+    const paddle = this.paddle;
+
+    // Springing up onto a caught wave
+    if (paddle.popUpTimer > 0) {
+      paddle.popUpTimer = Math.max(
+        0,
+        paddle.popUpTimer - getFrameScale(deltaTime)
+      );
+      if (paddle.popUpTimer === 0) {
+        this.paddle = null;
+        this.state = "moving";
       }
+      return;
     }
-    // Grinding tricks can be done on rails when grounded
-    else if (
-      this.physics.collisionResponse &&
-      this.physics.collisionResponse.obstacle &&
-      this.physics.collisionResponse.obstacle.type === "rail"
-    ) {
-      if (this.keys.trick1) {
-        this.performTrick("boardslide");
+
+    const pressed = (key) => this.keys[key] && !paddle.held[key];
+    const strokeLeft = pressed("left");
+    const strokeRight = pressed("right");
+    const popUp = pressed("jump");
+    for (const key in paddle.held) {
+      paddle.held[key] = this.keys[key];
+    }
+
+    // Pushing the board under stops the strokes
+    this.physics.duckDive(this.keys.down);
+    this.state = this.keys.down ? "duck_dive" : "paddling";
+
+    // Strokes have to alternate arms; pulling twice with one does nothing
+    if (!this.keys.down && strokeLeft !== strokeRight) {
+      const side = strokeLeft ? "left" : "right";
+      if (side !== paddle.stroke) {
+        paddle.stroke = side;
+        this.physics.paddle();
+      }
+    }
+
+    this.checkSwell(popUp);
+  }
+
+  /**
+   * Meet the crest of the swell passing the paddling rider: rollers wash
+   * back anyone not under them, and clean crests can be caught inside the
+   * catch window but are missed once they leave it
+   * @param {boolean} popUp - Whether pop-up was pressed this step
+   */
+  checkSwell(popUp) {
+    const paddle = this.paddle;
+    const swell = this.physics.getSwell();
+    if (!swell) return;
+
+    if (swell.roller) {
+      if (
+        Math.abs(swell.offset) <= this.config.rollerReach &&
+        !this.physics.duckDiving &&
+        paddle.rollerHit !== swell.index
+      ) {
+        paddle.rollerHit = swell.index;
+        this.bail("roller");
+        this.physics.washBack();
+      }
+      return;
+    }
+
+    // The wave lifts the board just behind the rider
+    const inWindow =
+      swell.offset >= 0 && swell.offset <= this.config.catchWindow;
+    if (!inWindow) {
+      if (paddle.crest === swell.index) {
+        paddle.crest = null;
+        if (this.onWaveMissed) {
+          this.onWaveMissed();
+        }
       }
+      paddle.arriving = swell.index;
+      return;
+    }
+
+    // Only a wave that arrived counts, not one already under the rider
+    // when they started paddling; catching it takes paddling close to its
+    // pace
+    if (swell.index !== paddle.arriving) return;
+    paddle.crest = swell.index;
+    if (popUp && this.physics.velocity.x >= this.config.catchSpeed) {
+      this.catchWave();
     }
   }
 
+  /**
+   * Pop up onto the wave being paddled for
+   */
+  catchWave() {
+    this.paddle.crest = null;
+    this.paddle.popUpTimer = this.config.popUpTime;
+    this.physics.popUp();
+    this.state = "pop_up";
+
+    if (this.animations) {
+      this.animations.play("character", "pop_up", {
+        flipped: this.facing === "left",
+      });
+    }
+  }
+
+  /**
+   * Check if the rider is still paddling for a wave
+   * @returns {boolean} Whether paddling, including popping up
+   */
+  isPaddling() {
+    return this.paddle !== null;
+  }
+
   /**
    * Process surfing tricks
    */
   processSurfingTricks() {
+    // Hitting or floating over a breaking lip needs the rider right at it
+    if (this.physics.isNearLip()) {
+      if (this.keys.up && this.keys.trick1) {
+        this.performTrick("off_the_lip");
+      } else if (this.keys.up) {
+        this.performTrick("floater");
+      }
+    }
+
+    // Pull into the barrel where a breaking wave runs through a tube zone;
+    // down there means the tube, not a bottom turn
+    if (
+      this.keys.down &&
+      this.availableTube &&
+      this.physics.grounded &&
+      !this.trickInProgress
+    ) {
+      this.startTubeRide(this.availableTube);
+      return;
+    }
+
     // Surfing tricks often require specific positioning on the wave
-    if (this.physics.onWaveFace()) {
+    if (this.physics.onWaveFace() && !this.trickInProgress) {
       if (this.keys.up && this.keys.left) {
         this.performTrick("top_turn");
       } else if (this.keys.down && this.keys.right) {
         this.performTrick("bottom_turn");
       } else if (this.keys.left && this.keys.right) {
         this.performTrick("cutback");
-      } else if (this.keys.down) {
-        this.performTrick("tube_ride");
       }
     }
   }
 
   /**
-   * Perform a trick
-   * @param {string} trickId - Trick identifier
-   * @returns {Object} Trick result or null if unsuccessful
+   * Start a manual, balancing on two wheels to keep the combo going
+   * @param {string} trickId - 'manual' or 'nose_manual'
+   * @returns {Object} Manual result or null if unsuccessful
    */
-  performTrick(trickId) {
-    // Find the trick definition
-    let trick = null;
+  startManual(trickId) {
+    const trick = this.getTrick(trickId);
+    if (!trick || !this.physics.grounded || this.physics.vert) return null;
 
-    for (const key in this.tricks) {
-      if (this.tricks[key].id === trickId) {
-        trick = this.tricks[key];
-        break;
-      }
+    this.landingTimer = 0;
+    this.physics.setManual(true);
+
+    // The board tips toward the wheels it is balanced on
+    const lean = trick.lean || -1;
+
+    this.state = "manual";
+    this.manual = {
+      trick,
+      time: 0, // Seconds in the manual
+      balance: lean * this.config.manualStartLean, // -1 (tail) to 1 (nose)
+    };
+
+    return this.beginTrick(trick);
+  }
+
+  /**
+   * Advance the manual: balance meter, and ollieing or rolling out of it
+   * @param {number} deltaTime - Time step in seconds
+   */
+  updateManual(deltaTime) {
+    const manual = this.manual;
+    const frameScale = getFrameScale(deltaTime);
+
+    manual.time += deltaTime;
+    this.comboTimer = this.comboMaxTime;
+
+    // Balance is unstable: any lean grows unless the player corrects it
+    manual.balance +=
+      manual.balance * this.config.manualBalanceDrift * frameScale;
+
+    // Up leans back onto the tail, down forward onto the nose
+    if (this.keys.up) {
+      manual.balance -= this.config.manualBalanceControl * frameScale;
+    } else if (this.keys.down) {
+      manual.balance += this.config.manualBalanceControl * frameScale;
+    }
+
+    if (Math.abs(manual.balance) >= 1) {
+      this.endManual("balance");
+      this.bail("balance");
+    } else if (this.keys.jump) {
+      // Ollie out to link into the next trick
+      this.endManual("jump");
+      this.jump();
+    } else if (
+      !this.physics.grounded ||
+      this.physics.vert ||
+      Math.abs(this.physics.velocity.x) < this.config.manualMinSpeed
+    ) {
+      // Rolled off an edge, into a pipe or to a stop
+      this.endManual("end");
     }
+  }
+
+  /**
+   * End the current manual
+   * @param {string} reason - Why the manual ended ('end', 'jump' or
+   *   'balance')
+   */
+  endManual(reason) {
+    const manual = this.manual;
+    this.manual = null;
+    this.physics.setManual(false);
+
+    if (this.state === "manual") {
+      this.state = this.physics.grounded ? "moving" : "jumping";
+    }
+
+    if (this.onManualEnd) {
+      this.onManualEnd(manual.trick, manual.time, reason);
+    }
+  }
+
+  /**
+   * Check if the character is in a manual
+   * @returns {boolean} Whether in a manual
+   */
+  isManualing() {
+    return this.manual !== null;
+  }
+
+  /**
+   * Get the manual balance meter for display
+   * @returns {Object|null} Meter {name, balance, time} or null when not in
+   *   a manual
+   */
+  getManualMeter() {
+    if (!this.manual) return null;
+
+    return {
+      name: this.manual.trick.name,
+      balance: this.manual.balance,
+      time: this.manual.time,
+    };
+  }
 
+  /**
+   * Set the tube the rider can currently pull into
+   * @param {Object|null} zone - Tube zone, or null if there is no tube here
+   */
+  setAvailableTube(zone) {
+    this.availableTube = zone;
+  }
+
+  /**
+   * Start riding inside the tube
+   * @param {Object} zone - Tube zone being ridden
+   * @returns {Object} Tube ride result or null if unsuccessful
+   */
+  startTubeRide(zone) {
+    const trick = this.getTrick("tube_ride");
     if (!trick) return null;
 
-    // Check if trick can be performed
-    if (trick.airOnly && this.physics.grounded) return null;
+    // The barrel carries the rider along with the curl, so it closes out a
+    // share of the way through the curl's run to the end of the zone
+    const x = this.physics.position.x + this.getDimensions().width / 2;
+    const curlTime = (zone.x + zone.width - x) / WAVE_CONFIG.curlSpeed;
+    const maxDuration = curlTime * this.config.tubeOpenShare;
+
+    this.state = "tube_ride";
+    this.tubeRide = {
+      trick,
+      zone,
+      time: 0, // Seconds inside the tube
+      maxDuration, // Seconds until the tube closes out
+      // Seconds before the close that count as a clean exit
+      exitWindow: maxDuration * this.config.tubeExitWindow,
+      balance: 0, // -1 (too high) to 1 (too low); wipeout at either end
+    };
+
+    return this.beginTrick(trick);
+  }
+
+  /**
+   * Advance the tube ride: balance meter, closeout timing and exits
+   * @param {number} deltaTime - Time step in seconds
+   */
+  updateTubeRide(deltaTime) {
+    const ride = this.tubeRide;
+    const frameScale = getFrameScale(deltaTime);
+
+    ride.time += deltaTime;
+    this.comboTimer = this.comboMaxTime;
+
+    // The barrel carries the rider along with the curl
+    this.physics.rideBarrel();
+
+    // The wave face pushes the rider off line and any lean keeps growing
+    ride.balance +=
+      (ride.balance * this.config.tubeBalanceDrift +
+        this.physics.waveSlope * this.config.tubeWavePush) *
+      frameScale;
+
+    // Up climbs the face, down drops toward the bottom
+    if (this.keys.up) {
+      ride.balance -= this.config.tubeBalanceControl * frameScale;
+    } else if (this.keys.down) {
+      ride.balance += this.config.tubeBalanceControl * frameScale;
+    }
+
+    if (Math.abs(ride.balance) >= 1) {
+      this.endTubeRide("balance");
+    } else if (ride.time >= ride.maxDuration) {
+      // Still inside when the tube closes
+      this.endTubeRide("closeout");
+    } else if (this.keys.jump) {
+      // Kick out; only a late exit counts as clean
+      const clean = ride.time >= ride.maxDuration - ride.exitWindow;
+      this.endTubeRide(clean ? "clean" : "early");
+      this.jump();
+    } else if (this.availableTube !== ride.zone) {
+      // Carried out the end of the barrel
+      this.endTubeRide("end");
+    }
+  }
+
+  /**
+   * End the current tube ride
+   * @param {string} exit - How the ride ended ('clean', 'early', 'end',
+   *   'closeout' or 'balance')
+   */
+  endTubeRide(exit) {
+    const ride = this.tubeRide;
+    this.tubeRide = null;
+
+    const wipedOut = exit === "closeout" || exit === "balance";
+
+    if (this.state === "tube_ride") {
+      this.state = this.physics.grounded ? "moving" : "jumping";
+    }
+
+    if (this.onTubeRideEnd) {
+      this.onTubeRideEnd({
+        trick: ride.trick,
+        zone: ride.zone,
+        duration: ride.time,
+        exit,
+        wipedOut,
+      });
+    }
+
+    // The wave takes the board and the combo with it
+    if (wipedOut) {
+      this.bail(exit);
+    }
+  }
+
+  /**
+   * Jump off the ground, a rail or out of a manual or tube ride
+   * Presses buffered beforehand are forgotten: they share keys with air
+   * tricks (down is also the ollie) and would fire one on takeoff.
+   */
+  jump() {
+    if (this.physics.jump()) {
+      this.trickInput.clearPresses();
+      this.state = "jumping";
+    }
+  }
+
+  /**
+   * Handle touching down on the ground or on top of an obstacle
+   */
+  land() {
+    // Air tricks have to be finished before the board touches down
     if (
-      trick.grindTrick &&
-      (!this.physics.collisionResponse ||
-        !this.physics.collisionResponse.obstacle ||
-        this.physics.collisionResponse.obstacle.type !== "rail")
+      this.trickInProgress &&
+      (this.currentTrick.airOnly || this.currentTrick.airTrick)
     ) {
+      this.bail("landing");
+    }
+
+    // Spins have to come round to within a tolerance of a half turn
+    const rotation = this.physics.endSpin();
+    const air = this.air;
+    this.air = null;
+
+    if (rotation !== 0 && !this.isBailing()) {
+      this.landSpin(rotation, air);
+    }
+
+    // A clean landing can be balanced into a manual
+    if (!this.isBailing()) {
+      this.landingTimer = this.config.manualWindow || 0;
+    }
+  }
+
+  /**
+   * Score a spin on landing, or bail if the rider came down sideways
+   * A spin combines with the last trick of the air that allows it, into
+   * e.g. "360 Kickflip"; on its own it is named frontside or backside.
+   * @param {number} rotation - Degrees turned in the air; positive is
+   *   clockwise
+   * @param {Object|null} air - The air being landed
+   * @returns {Object} Trick result or null if no spin was scored
+   */
+  landSpin(rotation, air) {
+    const degrees = Math.abs(rotation);
+    const halfTurns = Math.round(degrees / 180);
+
+    const offset = Math.abs(degrees - halfTurns * 180);
+
+    if (offset > this.config.spinLandingTolerance) {
+      this.bail("rotation");
       return null;
     }
 
+    const spin = this.getSpinTrick(halfTurns * 180);
+    if (!spin) return null;
+
+    // Turning clockwise while facing right is frontside
+    const facing = air ? air.facing : this.facing;
+    const frontside = (rotation > 0) === (facing === "right");
+    const combined = air && air.trick;
+    const trick = combined
+      ? {
+          ...spin,
+          name: `${spin.name} ${combined.name}`,
+          baseScore: spin.baseScore + combined.baseScore,
+        }
+      : {...spin, name: `${frontside ? "FS" : "BS"} ${spin.name}`};
+
+    // The spin has already played out in the air, so no animation starts
+    return this.beginTrick(trick, null);
+  }
+
+  /**
+   * Find the biggest spin trick a rotation counts as
+   * @param {number} degrees - Degrees turned, in whole half turns
+   * @returns {Object|null} Spin trick definition or null for less than
+   *   the smallest spin
+   */
+  getSpinTrick(degrees) {
+    let best = null;
+
+    for (const key in this.tricks) {
+      const trick = this.tricks[key];
+      if (
+        trick.spinTrick &&
+        trick.rotation <= degrees &&
+        (!best || trick.rotation > best.rotation)
+      ) {
+        best = trick;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Bail: drop the current trick and combo and lose control for a moment
+   * @param {string} reason - What caused the bail ('landing', 'rotation',
+   *   'obstacle', 'balance', 'closeout', 'whitewater' or 'roller')
+   */
+  bail(reason) {
+    if (this.bailTimer > 0) return;
+
+    // Drop whatever the rider was doing without scoring it
+    this.trickInProgress = false;
+    this.currentTrick = null;
+    if (this.grindTrick) {
+      this.grindTrick = null;
+      this.grindTime = 0;
+      this.physics.endGrind("bail");
+    }
+    this.tubeRide = null;
+    if (this.manual) {
+      this.manual = null;
+      this.physics.setManual(false);
+    }
+
+    // The pending combo is lost
+    this.comboCounter = 0;
+    this.comboTimer = 0;
+
+    this.physics.velocity.x *= this.config.bailSpeedKept;
+    if (this.physics.vert) {
+      this.physics.vert.speed *= this.config.bailSpeedKept;
+    }
+    this.state = "bail";
+    this.bailTimer = this.config.bailRecoveryTime;
+
+    // Trigger animation
+    if (this.animations) {
+      this.animations.play("character", "bail", {
+        flipped: this.facing === "left",
+      });
+    }
+
+    if (this.onBail) {
+      this.onBail(reason);
+    }
+  }
+
+  /**
+   * Check if the character is recovering from a bail
+   * @returns {boolean} Whether bailing
+   */
+  isBailing() {
+    return this.bailTimer > 0;
+  }
+
+  /**
+   * Get the tube ride meter for display
+   * @returns {Object|null} Meter {balance, time, maxDuration, exitWindow}
+   *   or null when not in the tube
+   */
+  getTubeMeter() {
+    if (!this.tubeRide) return null;
+
+    return {
+      balance: this.tubeRide.balance,
+      time: this.tubeRide.time,
+      maxDuration: this.tubeRide.maxDuration,
+      exitWindow: this.tubeRide.exitWindow,
+    };
+  }
+
+  /**
+   * Perform a trick
+   * @param {string} trickId - Trick identifier
+   * @returns {Object} Trick result or null if unsuccessful
+   */
+  performTrick(trickId) {
+    // Find the trick definition
+    const trick = this.getTrick(trickId);
+    if (!trick) return null;
+
+    // Check if trick can be performed
+    if (trick.airOnly && this.physics.grounded) return null;
+    if (trick.grindTrick) return null; // Started by landing on a grindable
+    if (trick.tubeTrick) return null; // Started by pulling into a tube
+    if (trick.vertTrick && !this.physics.vertAir) return null;
+    if (trick.spinTrick) return null; // Scored on landing from the rotation
+    if (trick.manualTrick) return null; // Started by balancing on landing
+    if (trick.lipRequired && !this.physics.isNearLip()) return null;
+
     // Start trick
     this.state = trickId;
     this.trickInProgress = true;
     this.trickTimer = trick.duration;
     this.currentTrick = trick;
+    if (this.air && trick.spinCombo) {
+      this.air.trick = trick;
+    }
+
+    return this.beginTrick(trick);
+  }
 
+  /**
+   * Count a trick into the combo, play its animation and report it
+   * @param {Object} trick - Trick definition
+   * @param {string|null} animationName - Animation to play, or null for none
+   * @returns {Object} Trick result {trick, score, combo}
+   */
+  beginTrick(trick, animationName = trick.animationName) {
     // Increment combo
     this.comboCounter++;
     this.comboTimer = this.comboMaxTime;
 
-    // Calculate and return score
     const score = this.calculateTrickScore(trick);
 
     // Trigger animation
-    if (this.animations) {
-      this.animations.play("character", trick.animationName, {
+    if (this.animations && animationName) {
+      this.animations.play("character", animationName, {
         flipped: this.facing === "left",
       });
     }
@@ -226,6 +925,86 @@ export default class CharacterController {
     };
   }
 
+  /**
+   * Start grinding on a grindable obstacle
+   * Holding trick1 on landing picks a nosegrind, otherwise a boardslide.
+   * @param {Object} obstacle - Grindable obstacle
+   * @returns {Object} Grind result or null if unsuccessful
+   */
+  startGrind(obstacle) {
+    const trick = this.getTrick(this.keys.trick1 ? "nosegrind" : "boardslide");
+    if (!trick || this.isBailing()) return null;
+
+    // Landing on the obstacle mid-trick is a bail
+    this.land();
+    if (this.isBailing()) return null;
+    if (this.trickInProgress) {
+      this.endTrick();
+    }
+
+    this.physics.startGrind(obstacle, this.config.height);
+
+    this.state = "grinding";
+    this.grindTrick = trick;
+    this.grindTime = 0;
+
+    return this.beginTrick(trick);
+  }
+
+  /**
+   * End the current grind
+   * @param {string} reason - Why the grind ended ('end', 'balance' or 'jump')
+   */
+  endGrind(reason) {
+    const trick = this.grindTrick;
+    const duration = this.grindTime;
+
+    this.grindTrick = null;
+    this.grindTime = 0;
+
+    // Make sure physics lets go too
+    this.physics.endGrind(reason);
+    if (this.state === "grinding") {
+      this.state = "jumping";
+    }
+
+    if (this.onGrindEnd) {
+      this.onGrindEnd(trick, duration, reason);
+    }
+  }
+
+  /**
+   * Check if the character is grinding
+   * @returns {boolean} Whether grinding
+   */
+  isGrinding() {
+    return this.grindTrick !== null;
+  }
+
+  /**
+   * Find a trick definition by ID
+   * @param {string} trickId - Trick identifier
+   * @returns {Object|null} Trick definition or null if not found
+   */
+  getTrick(trickId) {
+    for (const key in this.tricks) {
+      if (this.tricks[key].id === trickId) {
+        return this.tricks[key];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the trick definitions that pass a test
+   * @param {Function} test - Called with each trick definition
+   * @returns {Array} Matching trick definitions
+   */
+  getTricksWhere(test) {
+    return Object.values(this.tricks).filter(test);
+  }
+
   /**
    * End the current trick
    */
@@ -241,6 +1020,29 @@ export default class CharacterController {
     }
   }
 
+  /**
+   * End whatever the rider is doing as the run finishes
+   * Grinds, manuals and tube rides are scored as ridden to their end, a
+   * trick still playing counts as done and the combo is closed.
+   */
+  finishRun() {
+    if (this.isGrinding()) {
+      this.endGrind("end");
+    }
+    if (this.manual) {
+      this.endManual("end");
+    }
+    if (this.tubeRide) {
+      this.endTubeRide("end");
+    }
+    if (this.trickInProgress) {
+      this.endTrick();
+    }
+
+    this.comboTimer = 0;
+    this.finalizeCombo();
+  }
+
   /**
    * Finalize the current combo
    */
@@ -272,6 +1074,11 @@ export default class CharacterController {
     // Add physics-based bonus (height, speed, etc.)
     score += this.physics.calculateTrickScore();
 
+    // Airs above a pipe's coping score with the pipe's multiplier
+    if (trick.vertTrick && this.physics.vertAir) {
+      score *= this.physics.vertAir.obstacle.properties.scoreMultiplier || 1;
+    }
+
     return Math.floor(score);
   }
 
@@ -281,8 +1088,27 @@ export default class CharacterController {
   updateAnimation() {
     if (!this.animations) return;
 
-    // Don't change animation if trick is in progress
-    if (this.trickInProgress) return;
+    // Don't change animation during a trick, grind, tube ride, manual or
+    // bail
+    if (
+      this.trickInProgress ||
+      this.grindTrick ||
+      this.tubeRide ||
+      this.manual ||
+      this.isBailing()
+    ) {
+      return;
+    }
+
+    // Lying on the board until the pop-up animation takes over
+    if (this.paddle) {
+      if (this.state !== "pop_up") {
+        this.animations.play("character", this.state, {
+          flipped: this.facing === "left",
+        });
+      }
+      return;
+    }
 
     // Set animation based on state
     if (this.state === "idle") {
@@ -305,7 +1131,14 @@ export default class CharacterController {
    */
   updateState() {
     // Update state based on physics conditions
-    if (!this.trickInProgress) {
+    if (
+      !this.trickInProgress &&
+      !this.grindTrick &&
+      !this.tubeRide &&
+      !this.manual &&
+      !this.paddle &&
+      !this.isBailing()
+    ) {
       if (this.physics.grounded) {
         if (Math.abs(this.physics.velocity.x) > 0.1) {
           this.state = "moving";
@@ -332,6 +1165,11 @@ export default class CharacterController {
    */
   setKey(key, value) {
     if (this.keys.hasOwnProperty(key)) {
+      if (value && !this.keys[key]) {
+        this.trickInput.press(key);
+      } else if (!value && this.keys[key]) {
+        this.trickInput.release(key);
+      }
       this.keys[key] = value;
     }
   }
@@ -343,6 +1181,7 @@ export default class CharacterController {
     for (const key in this.keys) {
       this.keys[key] = false;
     }
+    this.trickInput.clear();
   }
 
   /**
@@ -373,11 +1212,18 @@ export default class CharacterController {
       state: this.state,
       facing: this.facing,
       trickInProgress: this.trickInProgress,
+      grinding: this.isGrinding(),
+      grindTime: this.grindTime,
+      tubeRiding: this.tubeRide !== null,
+      manualing: this.isManualing(),
+      bailing: this.isBailing(),
+      paddling: this.isPaddling(),
       comboCounter: this.comboCounter,
       comboTimer: this.comboTimer,
       position: this.getPosition(),
       velocity: {...this.physics.velocity},
       grounded: this.physics.grounded,
+      rotation: this.physics.rotation,
     };
   }
 }
@@ -0,0 +1,1171 @@
+/**
+ * Level editor
+ * Edits a level definition on a live course: obstacles, ground ramps or wave
+ * sections, special zones and objectives. Levels export in the same shape
+ * constants/levels.js uses, and can be play-tested from any point.
+ */
+
+import LevelSystem from "./level";
+import {GAME_MODES, ENVIRONMENT_CONFIG} from "../constants/game-modes";
+import {getLevelsForMode} from "../constants/levels";
+import {getTricksForMode} from "../constants/tricks";
+import {LEVEL_OBJECT_TYPES, validateLevelPack} from "../utils/level-validator";
+import {clamp} from "../utils/math";
+
+/**
+ * Editor settings
+ */
+export const EDITOR_CONFIG = {
+  panSpeed: 600, // Camera pan in pixels per second
+  fastPanMultiplier: 3, // Pan speed multiplier while Shift is held
+  gridSize: 10, // Positions and sizes snap to this
+  groundCellWidth: 200, // Width of a painted ground section
+  waveCellWidth: 100, // Width of a painted wave section
+  rampRise: 40, // How far a painted ramp climbs or drops
+  handleWidth: 8, // Width of the resize handle at a selection's right edge
+  previewSeed: 1, // Seed for the editor course and play-tests
+};
+
+// Editing tools, picked with the number keys
+const TOOLS = ["select", "obstacle", "terrain", "zone", "objectives"];
+
+// Level data field that sizes each obstacle along the course
+const SIZE_FIELDS = {
+  rail: "length",
+  handrail: "length",
+  bench: "width",
+  ramp: "width",
+  gap: "width",
+  halfpipe: "width",
+};
+
+// Obstacles whose height level data can set
+const HEIGHT_TYPES = ["rail", "handrail", "ramp", "halfpipe", "quarterpipe"];
+
+// Goals that can be added in each mode
+const GOAL_TYPES = {
+  [GAME_MODES.SKATE]: ["PERFORM_TRICK", "COMBO", "GRIND"],
+  [GAME_MODES.SURF]: ["PERFORM_TRICK", "COMBO", "TUBE_RIDE"],
+};
+
+// Terrain painted by repeated clicks on a cell, in order
+const GROUND_PAINTS = ["flat", "up", "down"];
+const WAVE_PAINTS = ["normal", "breaking", "choppy"];
+
+/**
+ * Snap a position or size to the editor grid
+ * @param {number} value - Value to snap
+ * @returns {number} Snapped value
+ */
+function snap(value) {
+  return Math.round(value / EDITOR_CONFIG.gridSize) * EDITOR_CONFIG.gridSize;
+}
+
+/**
+ * Deep copy level data
+ * @param {Object} data - Level data
+ * @returns {Object} Copy
+ */
+function copyLevel(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Create an empty level to start editing from
+ * @param {string} mode - Game mode
+ * @returns {Object} Level definition
+ */
+function createBlankLevel(mode) {
+  const length = 5000;
+  const terrain =
+    mode === GAME_MODES.SKATE
+      ? {groundSections: [{type: "flat", x: 0, length}]}
+      : {waveSections: [{type: "normal", x: 0, length}]};
+
+  return {
+    id: `custom_${mode}`,
+    name: "Custom Level",
+    description: "",
+    difficulty: 1,
+    timeLimit: 120,
+    backgroundLayers: ENVIRONMENT_CONFIG[mode].bgLayers.map(
+      (layer) => layer.id
+    ),
+    objectives: {scoreTarget: 5000, collectiblesTarget: 10, specialGoals: []},
+    layout: {length, obstacleFrequency: 0, collectibleFrequency: 0.8},
+    obstacles: [],
+    specialZones: [],
+    ...terrain,
+  };
+}
+
+/**
+ * Split terrain sections into cells of an even width
+ * Ramps are divided proportionally so the ground keeps its heights.
+ * @param {Array} sections - Sections {type, x, length, rise}
+ * @param {number} cellWidth - Cell width
+ * @param {number} length - Level length
+ * @param {string} fill - Type for cells no section covers
+ * @returns {Array} Cells {type, x, length, rise}
+ */
+function splitIntoCells(sections, cellWidth, length, fill) {
+  const cells = [];
+
+  for (let x = 0; x < length; x += cellWidth) {
+    const width = Math.min(cellWidth, length - x);
+    const middle = x + width / 2;
+    const section = sections.find(
+      (candidate) =>
+        middle >= candidate.x && middle < candidate.x + candidate.length
+    );
+    const cell = {type: section ? section.type : fill, x, length: width};
+
+    if (section && section.rise) {
+      cell.rise = Math.round((section.rise * width) / section.length);
+    }
+    cells.push(cell);
+  }
+
+  return cells;
+}
+
+/**
+ * Join neighbouring cells that are the same level terrain
+ * @param {Array} cells - Cells {type, x, length, rise}
+ * @returns {Array} Sections
+ */
+function mergeCells(cells) {
+  const sections = [];
+
+  for (const cell of cells) {
+    const last = sections[sections.length - 1];
+    if (last && last.type === cell.type && !last.rise && !cell.rise) {
+      last.length += cell.length;
+    } else {
+      sections.push({...cell});
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Write the label a goal is shown with
+ * @param {Object} goal - Special goal
+ * @param {string} mode - Game mode
+ * @returns {string} Label
+ */
+function describeGoal(goal, mode) {
+  switch (goal.type) {
+    case "PERFORM_TRICK": {
+      const trick = Object.values(getTricksForMode(mode)).find(
+        (candidate) => candidate.id === goal.trickId
+      );
+      const name = trick ? trick.name : goal.trickId;
+      return `Perform ${goal.count} ${name}${goal.count === 1 ? "" : "s"}`;
+    }
+    case "COMBO":
+      return `Perform a ${goal.count}-trick combo`;
+    case "GRIND":
+      return `Grind for ${goal.duration} seconds total`;
+    case "TUBE_RIDE":
+      return `Tube ride for ${goal.duration} seconds total`;
+    default:
+      return goal.label || goal.type;
+  }
+}
+
+/**
+ * Write a value as a JavaScript literal
+ * @param {*} value - Value to write
+ * @returns {string} Literal on a single line
+ */
+function formatInline(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatInline).join(", ")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value).map(
+      (key) => `${formatKey(key)}: ${formatInline(value[key])}`
+    );
+    return `{${entries.join(", ")}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Write an object key, quoted only when it has to be
+ * @param {string} key - Object key
+ * @returns {string} Key as written in source
+ */
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Write a value as a JavaScript literal, spread over lines when it doesn't
+ * fit in 80 columns
+ * @param {*} value - Value to write
+ * @param {number} indent - Indentation level of the line the value is on
+ * @param {number} prefix - Characters before the value on its line
+ * @returns {string} Literal
+ */
+function formatSource(value, indent, prefix) {
+  const inline = formatInline(value);
+  const isObject = value && typeof value === "object";
+
+  // Leave room for the trailing comma
+  if (!isObject || indent * 2 + prefix + inline.length + 1 <= 80) {
+    return inline;
+  }
+
+  const pad = "  ".repeat(indent + 1);
+  const lines = Array.isArray(value)
+    ? value.map((item) => `${pad}${formatSource(item, indent + 1, 0)},`)
+    : Object.keys(value).map((key) => {
+        const name = `${formatKey(key)}: `;
+        const item = formatSource(value[key], indent + 1, name.length);
+        return `${pad}${name}${item},`;
+      });
+  const [open, close] = Array.isArray(value) ? ["[", "]"] : ["{", "}"];
+
+  return [open, ...lines, `${"  ".repeat(indent)}${close}`].join("\n");
+}
+
+/**
+ * Write a level as source for the level lists in constants/levels.js
+ * @param {Object} level - Level definition
+ * @returns {string} Array entry, indented to sit in a level list
+ */
+export function exportLevelSource(level) {
+  return `  ${formatSource(level, 1, 0)},`;
+}
+
+export default class LevelEditor {
+  /**
+   * Create a level editor
+   * @param {string} mode - Game mode ('skate' or 'surf')
+   */
+  constructor(mode = GAME_MODES.SKATE) {
+    this.gameMode = mode;
+    this.objectTypes = {
+      obstacles: [
+        ...ENVIRONMENT_CONFIG[mode].obstacleTypes,
+        ...(ENVIRONMENT_CONFIG[mode].placedObstacleTypes || []),
+      ],
+      zones: LEVEL_OBJECT_TYPES[mode].zones,
+    };
+
+    // Level being edited, and the built-in level it started from (-1 if new)
+    this.level = null;
+    this.levelIndex = -1;
+
+    // Course built from the level for display
+    this.preview = null;
+
+    // Camera and pointer; the pointer is in world X and screen Y
+    this.camera = {x: 0, y: 0};
+    this.pointer = {x: 0, y: 0};
+    this.panDirection = 0; // -1 left, 1 right
+    this.fastPan = false;
+
+    // Tool state
+    this.tool = "select";
+    this.obstacleTypeIndex = 0;
+    this.zoneTypeIndex = 0;
+    this.selection = null; // {kind: 'obstacle' or 'zone', index}
+    this.drag = null; // Drag in progress {action, ...}
+
+    // Objectives panel state
+    this.objectiveRow = 0;
+    this.goalTypeIndex = 0;
+
+    // Events
+    this.onPlaytest = null;
+    this.onExport = null;
+    this.onExit = null;
+
+    this.newLevel();
+  }
+
+  /**
+   * Start editing an empty level
+   */
+  newLevel() {
+    this.loadLevelData(createBlankLevel(this.gameMode), -1);
+  }
+
+  /**
+   * Start editing one of the built-in levels
+   * @param {number} index - Level index; wraps around the level list
+   */
+  openLevel(index) {
+    const levels = getLevelsForMode(this.gameMode);
+    if (levels.length === 0) return;
+
+    const wrapped = ((index % levels.length) + levels.length) % levels.length;
+    this.loadLevelData(levels[wrapped], wrapped);
+  }
+
+  /**
+   * Start editing a level definition
+   * Terrain is baked into evenly sized cells so it can be painted; levels
+   * without their own terrain keep the course they generate.
+   * @param {Object} data - Level definition (copied, never modified)
+   * @param {number} index - Built-in level index, or -1
+   */
+  loadLevelData(data, index) {
+    const level = copyLevel(data);
+    level.obstacles = level.obstacles || [];
+    level.specialZones = level.specialZones || [];
+    level.objectives.specialGoals = level.objectives.specialGoals || [];
+
+    const course = new LevelSystem(
+      this.gameMode,
+      0,
+      level.seed ?? EDITOR_CONFIG.previewSeed,
+      level
+    );
+    course.initializeLevel();
+
+    if (this.gameMode === GAME_MODES.SKATE) {
+      const sections = course.obstacles
+        .filter((obstacle) => obstacle.type === "ground")
+        .map((segment) => ({
+          type: segment.subType,
+          x: segment.x,
+          length: segment.width,
+          rise: segment.y - segment.endY,
+        }));
+      level.groundSections = splitIntoCells(
+        sections,
+        EDITOR_CONFIG.groundCellWidth,
+        course.width,
+        "flat"
+      );
+    } else {
+      const sections = course.wave.sections.map((segment) => ({
+        type: segment.type,
+        x: segment.x,
+        length: segment.width,
+      }));
+      level.waveSections = splitIntoCells(
+        sections,
+        EDITOR_CONFIG.waveCellWidth,
+        course.width,
+        "normal"
+      );
+    }
+
+    this.level = level;
+    this.levelIndex = index;
+    this.selection = null;
+    this.drag = null;
+    this.objectiveRow = 0;
+    this.camera.x = 0;
+    this.rebuildPreview();
+  }
+
+  /**
+   * Rebuild the displayed course after an edit
+   * Procedural obstacles and collectibles are left out so only what the
+   * level places is shown.
+   */
+  rebuildPreview() {
+    const data = {
+      ...this.level,
+      layout: {
+        ...this.level.layout,
+        obstacleFrequency: 0,
+        collectibleFrequency: 0,
+      },
+    };
+
+    this.preview = new LevelSystem(
+      this.gameMode,
+      0,
+      EDITOR_CONFIG.previewSeed,
+      data
+    );
+    this.preview.initializeLevel();
+  }
+
+  /**
+   * Get the level as it would be saved, with terrain cells joined up
+   * @returns {Object} Level definition
+   */
+  getLevelData() {
+    const level = copyLevel(this.level);
+
+    if (level.groundSections) {
+      level.groundSections = mergeCells(level.groundSections);
+    }
+    if (level.waveSections) {
+      level.waveSections = mergeCells(level.waveSections);
+    }
+
+    return level;
+  }
+
+  /**
+   * Get the course obstacles built from the level's obstacle list
+   * Entries line up with level.obstacles.
+   * @returns {Array} Course obstacles
+   */
+  getPlacedObstacles() {
+    return this.preview.obstacles.filter(
+      (obstacle) => obstacle.type !== "ground"
+    );
+  }
+
+  /**
+   * Get the level data entry for a selection
+   * @param {Object} selection - Selection {kind, index}
+   * @returns {Object|null} Obstacle or zone definition
+   */
+  getItem(selection = this.selection) {
+    if (!selection) return null;
+
+    const list =
+      selection.kind === "obstacle"
+        ? this.level.obstacles
+        : this.level.specialZones;
+    return list[selection.index] || null;
+  }
+
+  /**
+   * Get the span a selection covers along the course
+   * @param {Object} selection - Selection {kind, index}
+   * @returns {Object} Span {start, end}
+   */
+  getSpan(selection) {
+    if (selection.kind === "zone") {
+      const zone = this.level.specialZones[selection.index];
+      return {start: zone.x, end: zone.x + zone.width};
+    }
+
+    const obstacle = this.getPlacedObstacles()[selection.index];
+    return {start: obstacle.x, end: obstacle.x + obstacle.width};
+  }
+
+  /**
+   * Check whether a selection can be resized
+   * @param {Object} selection - Selection {kind, index}
+   * @returns {boolean} Whether it has an adjustable width
+   */
+  isResizable(selection) {
+    if (selection.kind === "zone") return true;
+    return !!SIZE_FIELDS[this.getItem(selection).type];
+  }
+
+  /**
+   * Find the obstacle or zone under a point
+   * Obstacles are picked before the zones they sit in.
+   * @param {number} x - World X position
+   * @param {number} y - Screen Y position
+   * @returns {Object|null} Selection {kind, index} or null
+   */
+  hitTest(x, y) {
+    const margin = EDITOR_CONFIG.handleWidth;
+    const obstacles = this.getPlacedObstacles();
+
+    for (let i = obstacles.length - 1; i >= 0; i--) {
+      const obstacle = obstacles[i];
+      if (
+        x >= obstacle.x &&
+        x <= obstacle.x + obstacle.width &&
+        y >= obstacle.y - margin &&
+        y <= obstacle.y + obstacle.height + margin
+      ) {
+        return {kind: "obstacle", index: i};
+      }
+    }
+
+    const zones = this.level.specialZones;
+    for (let i = zones.length - 1; i >= 0; i--) {
+      if (x >= zones[i].x && x <= zones[i].x + zones[i].width) {
+        return {kind: "zone", index: i};
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Switch to another tool
+   * @param {string} tool - Tool name
+   */
+  setTool(tool) {
+    this.tool = tool;
+    this.drag = null;
+  }
+
+  /**
+   * Step the obstacle or zone type the current tool places
+   * @param {number} direction - 1 for the next type, -1 for the previous
+   */
+  cycleType(direction) {
+    if (this.tool === "obstacle") {
+      const count = this.objectTypes.obstacles.length;
+      this.obstacleTypeIndex =
+        (this.obstacleTypeIndex + direction + count) % count;
+    } else if (this.tool === "zone") {
+      const count = this.objectTypes.zones.length;
+      this.zoneTypeIndex = (this.zoneTypeIndex + direction + count) % count;
+    }
+  }
+
+  /**
+   * Place an obstacle of the current type
+   * @param {number} x - World X position
+   */
+  placeObstacle(x) {
+    const type = this.objectTypes.obstacles[this.obstacleTypeIndex];
+    this.level.obstacles.push({type, x: Math.max(0, snap(x))});
+    this.selection = {kind: "obstacle", index: this.level.obstacles.length - 1};
+    this.rebuildPreview();
+  }
+
+  /**
+   * Add a special zone of the current type
+   * @param {number} start - World X of one end
+   * @param {number} end - World X of the other end
+   */
+  placeZone(start, end) {
+    const x = Math.max(0, snap(Math.min(start, end)));
+    const width = snap(Math.max(start, end)) - x;
+    if (width < EDITOR_CONFIG.gridSize) return;
+
+    this.level.specialZones.push({
+      type: this.objectTypes.zones[this.zoneTypeIndex],
+      x,
+      width,
+    });
+    this.selection = {kind: "zone", index: this.level.specialZones.length - 1};
+    this.rebuildPreview();
+  }
+
+  /**
+   * Get the terrain cell at a position
+   * @param {number} x - World X position
+   * @returns {Object|null} Ground or wave cell
+   */
+  getCellAt(x) {
+    const cells = this.level.groundSections || this.level.waveSections;
+    return (
+      cells.find((cell) => x >= cell.x && x < cell.x + cell.length) || null
+    );
+  }
+
+  /**
+   * Get how a terrain cell is painted
+   * @param {Object} cell - Ground or wave cell
+   * @returns {string} Paint name
+   */
+  getCellPaint(cell) {
+    if (this.gameMode === GAME_MODES.SURF) return cell.type;
+    if (cell.type === "flat" || !cell.rise) return "flat";
+    return cell.rise > 0 ? "up" : "down";
+  }
+
+  /**
+   * Paint the terrain cell at a position
+   * @param {number} x - World X position
+   * @param {string} paint - 'flat', 'up' or 'down' ground; or a wave type
+   */
+  paintTerrain(x, paint) {
+    const cell = this.getCellAt(x);
+    if (!cell || this.getCellPaint(cell) === paint) return;
+
+    if (this.gameMode === GAME_MODES.SURF) {
+      cell.type = paint;
+    } else if (paint === "flat") {
+      cell.type = "flat";
+      delete cell.rise;
+    } else {
+      cell.type = "ramp";
+      const rise = EDITOR_CONFIG.rampRise;
+      cell.rise = paint === "up" ? rise : -rise;
+    }
+
+    this.rebuildPreview();
+  }
+
+  /**
+   * Change the selected obstacle's height or zone's multiplier
+   * @param {number} direction - 1 to raise, -1 to lower
+   */
+  adjustSelection(direction) {
+    const item = this.getItem();
+    if (!item) return;
+
+    if (this.selection.kind === "zone") {
+      const zone = this.preview.specialZones[this.selection.index];
+      const current = zone.properties.scoreMultiplier;
+      if (current === undefined) return;
+
+      item.multiplier = Math.max(1, current + direction);
+    } else {
+      if (!HEIGHT_TYPES.includes(item.type)) return;
+
+      const obstacle = this.getPlacedObstacles()[this.selection.index];
+      // Rails are raised above the ground; pipes are as tall as their walls
+      const current = obstacle.properties.transition
+        ? obstacle.height
+        : this.preview.getGroundYAt(obstacle.x) - obstacle.y;
+      item.height = Math.max(
+        EDITOR_CONFIG.gridSize,
+        snap(current + direction * EDITOR_CONFIG.gridSize)
+      );
+    }
+
+    this.rebuildPreview();
+  }
+
+  /**
+   * Remove the selected obstacle or zone
+   */
+  deleteSelection() {
+    if (!this.selection) return;
+
+    const list =
+      this.selection.kind === "obstacle"
+        ? this.level.obstacles
+        : this.level.specialZones;
+    list.splice(this.selection.index, 1);
+
+    this.selection = null;
+    this.drag = null;
+    this.rebuildPreview();
+  }
+
+  /**
+   * Change the level length, extending or trimming the terrain to match
+   * @param {number} length - New length
+   */
+  setLength(length) {
+    this.level.layout.length = length;
+
+    const surf = this.gameMode === GAME_MODES.SURF;
+    const key = surf ? "waveSections" : "groundSections";
+    this.level[key] = splitIntoCells(
+      this.level[key],
+      surf ? EDITOR_CONFIG.waveCellWidth : EDITOR_CONFIG.groundCellWidth,
+      length,
+      surf ? "normal" : "flat"
+    );
+
+    this.rebuildPreview();
+  }
+
+  /**
+   * Get the rows of the objectives panel
+   * @returns {Array} Rows {label, target, key, step, min, goal}
+   */
+  getObjectiveRows() {
+    const {layout, objectives} = this.level;
+    const rows = [
+      {label: "Length", target: layout, key: "length", step: 500, min: 1000},
+      {label: "Time limit", target: this.level, key: "timeLimit", step: 10},
+      {
+        label: "Score target",
+        target: objectives,
+        key: "scoreTarget",
+        step: 500,
+      },
+      {label: "Collectibles", target: objectives, key: "collectiblesTarget"},
+    ];
+
+    for (const goal of objectives.specialGoals) {
+      const key = goal.duration !== undefined ? "duration" : "count";
+      rows.push({label: goal.label, target: goal, key, min: 1, goal});
+    }
+
+    return rows;
+  }
+
+  /**
+   * Add a special goal of the current goal type
+   */
+  addGoal() {
+    const type = GOAL_TYPES[this.gameMode][this.goalTypeIndex];
+    this.goalTypeIndex =
+      (this.goalTypeIndex + 1) % GOAL_TYPES[this.gameMode].length;
+
+    const goal = {type};
+    if (type === "PERFORM_TRICK") {
+      goal.trickId = Object.values(getTricksForMode(this.gameMode))[0].id;
+      goal.count = 5;
+    } else if (type === "COMBO") {
+      goal.count = 3;
+    } else {
+      goal.duration = 5;
+    }
+    goal.label = describeGoal(goal, this.gameMode);
+
+    this.level.objectives.specialGoals.push(goal);
+    this.objectiveRow = this.getObjectiveRows().length - 1;
+  }
+
+  /**
+   * Handle a key on the objectives panel
+   * @param {string} code - Key code
+   * @returns {boolean} Whether the key was used
+   */
+  handleObjectivesKey(code) {
+    const rows = this.getObjectiveRows();
+    const row = rows[this.objectiveRow];
+
+    switch (code) {
+      case "ArrowUp":
+        this.objectiveRow = Math.max(0, this.objectiveRow - 1);
+        return true;
+      case "ArrowDown":
+        this.objectiveRow = Math.min(rows.length - 1, this.objectiveRow + 1);
+        return true;
+      case "ArrowLeft":
+      case "ArrowRight": {
+        const direction = code === "ArrowRight" ? 1 : -1;
+        const value = Math.max(
+          row.min || 0,
+          (row.target[row.key] || 0) + direction * (row.step || 1)
+        );
+
+        if (row.target === this.level.layout) {
+          this.setLength(value);
+        } else {
+          row.target[row.key] = value;
+        }
+        if (row.goal) {
+          row.goal.label = describeGoal(row.goal, this.gameMode);
+        }
+        return true;
+      }
+      case "KeyQ":
+      case "KeyE": {
+        if (!row.goal || row.goal.type !== "PERFORM_TRICK") return true;
+
+        const tricks = Object.values(getTricksForMode(this.gameMode));
+        const index = tricks.findIndex(
+          (trick) => trick.id === row.goal.trickId
+        );
+        const step = code === "KeyE" ? 1 : -1;
+        row.goal.trickId =
+          tricks[(index + step + tricks.length) % tricks.length].id;
+        row.goal.label = describeGoal(row.goal, this.gameMode);
+        return true;
+      }
+      case "KeyG":
+        this.addGoal();
+        return true;
+      case "Delete":
+      case "Backspace":
+        if (row.goal) {
+          const goals = this.level.objectives.specialGoals;
+          goals.splice(goals.indexOf(row.goal), 1);
+          this.objectiveRow = Math.min(this.objectiveRow, rows.length - 2);
+        }
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Play-test the level from the pointer
+   */
+  playtest() {
+    const x = clamp(this.pointer.x, 0, this.preview.finishX - 1);
+
+    if (this.onPlaytest) {
+      this.onPlaytest(this.getLevelData(), x);
+    }
+  }
+
+  /**
+   * Export the level as source, checked against the level pack rules
+   * @returns {string} Level source
+   */
+  exportLevel() {
+    const level = this.getLevelData();
+    const source = exportLevelSource(level);
+    const errors = validateLevelPack({
+      version: 1,
+      mode: this.gameMode,
+      levels: [level],
+    });
+
+    if (this.onExport) {
+      this.onExport(source, errors);
+    }
+
+    return source;
+  }
+
+  /**
+   * Handle a mouse button press
+   * @param {number} screenX - Pointer X on the canvas
+   * @param {number} screenY - Pointer Y on the canvas
+   */
+  pointerDown(screenX, screenY) {
+    const x = screenX + this.camera.x;
+    this.pointer = {x, y: screenY};
+
+    switch (this.tool) {
+      case "select": {
+        this.selection = this.hitTest(x, screenY);
+        if (!this.selection) break;
+
+        // Grabbing the right edge resizes instead of moving
+        const span = this.getSpan(this.selection);
+        const resize =
+          this.isResizable(this.selection) &&
+          x >= span.end - EDITOR_CONFIG.handleWidth;
+        this.drag = {
+          action: resize ? "resize" : "move",
+          offset: x - this.getItem().x,
+        };
+        break;
+      }
+      case "obstacle":
+        this.placeObstacle(x);
+        break;
+      case "terrain": {
+        // Clicking steps the cell to its next terrain; dragging paints that
+        const cell = this.getCellAt(x);
+        if (!cell) break;
+
+        const paints =
+          this.gameMode === GAME_MODES.SURF ? WAVE_PAINTS : GROUND_PAINTS;
+        const index = paints.indexOf(this.getCellPaint(cell));
+        const paint = paints[(index + 1) % paints.length];
+        this.drag = {action: "paint", paint};
+        this.paintTerrain(x, this.drag.paint);
+        break;
+      }
+      case "zone":
+        this.drag = {action: "zone", start: x};
+        break;
+    }
+  }
+
+  /**
+   * Handle mouse movement
+   * @param {number} screenX - Pointer X on the canvas
+   * @param {number} screenY - Pointer Y on the canvas
+   */
+  pointerMove(screenX, screenY) {
+    const x = screenX + this.camera.x;
+    this.pointer = {x, y: screenY};
+    if (!this.drag) return;
+
+    const item = this.getItem();
+    switch (this.drag.action) {
+      case "move":
+        item.x = Math.max(0, snap(x - this.drag.offset));
+        this.rebuildPreview();
+        break;
+      case "resize": {
+        const size = Math.max(EDITOR_CONFIG.gridSize, snap(x - item.x));
+        const field =
+          this.selection.kind === "zone" ? "width" : SIZE_FIELDS[item.type];
+        item[field] = size;
+        this.rebuildPreview();
+        break;
+      }
+      case "paint":
+        this.paintTerrain(x, this.drag.paint);
+        break;
+    }
+  }
+
+  /**
+   * Handle a mouse button release
+   * @param {number} screenX - Pointer X on the canvas
+   * @param {number} screenY - Pointer Y on the canvas
+   */
+  pointerUp(screenX, screenY) {
+    const x = screenX + this.camera.x;
+    this.pointer = {x, y: screenY};
+
+    if (this.drag && this.drag.action === "zone") {
+      this.placeZone(this.drag.start, x);
+    }
+    this.drag = null;
+  }
+
+  /**
+   * Handle a key press
+   * @param {string} code - Key code
+   * @param {boolean} shiftKey - Whether Shift is held
+   */
+  keyDown(code, shiftKey = false) {
+    this.fastPan = shiftKey;
+
+    if (this.tool === "objectives" && this.handleObjectivesKey(code)) return;
+
+    const toolIndex = TOOLS.findIndex(
+      (tool, index) => code === `Digit${index + 1}`
+    );
+    if (toolIndex !== -1) {
+      this.setTool(TOOLS[toolIndex]);
+      return;
+    }
+
+    switch (code) {
+      case "ArrowLeft":
+      case "KeyA":
+        this.panDirection = -1;
+        break;
+      case "ArrowRight":
+      case "KeyD":
+        this.panDirection = 1;
+        break;
+      case "ArrowUp":
+        this.adjustSelection(1);
+        break;
+      case "ArrowDown":
+        this.adjustSelection(-1);
+        break;
+      case "KeyQ":
+        this.cycleType(-1);
+        break;
+      case "KeyE":
+        this.cycleType(1);
+        break;
+      case "Delete":
+      case "Backspace":
+        this.deleteSelection();
+        break;
+      case "KeyT":
+        this.playtest();
+        break;
+      case "KeyX":
+        this.exportLevel();
+        break;
+      case "KeyN":
+        this.newLevel();
+        break;
+      case "KeyL":
+        this.openLevel(this.levelIndex + 1);
+        break;
+      case "Escape":
+        if (this.onExit) this.onExit();
+        break;
+    }
+  }
+
+  /**
+   * Handle a key release
+   * @param {string} code - Key code
+   * @param {boolean} shiftKey - Whether Shift is held
+   */
+  keyUp(code, shiftKey = false) {
+    this.fastPan = shiftKey;
+
+    const left = code === "ArrowLeft" || code === "KeyA";
+    const right = code === "ArrowRight" || code === "KeyD";
+    if ((left && this.panDirection < 0) || (right && this.panDirection > 0)) {
+      this.panDirection = 0;
+    }
+  }
+
+  /**
+   * Release held keys and drags, e.g. after a play-test took the keyboard
+   */
+  resetKeys() {
+    this.panDirection = 0;
+    this.fastPan = false;
+    this.drag = null;
+  }
+
+  /**
+   * Update the editor
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    // Objective rows use the arrow keys, so the camera stays put
+    if (this.tool === "objectives") return;
+
+    const speed =
+      EDITOR_CONFIG.panSpeed *
+      (this.fastPan ? EDITOR_CONFIG.fastPanMultiplier : 1);
+    const previousX = this.camera.x;
+    this.camera.x = clamp(
+      this.camera.x + this.panDirection * speed * deltaTime,
+      -EDITOR_CONFIG.groundCellWidth,
+      this.level.layout.length
+    );
+
+    // Keep the pointer over the same spot on screen
+    this.pointer.x += this.camera.x - previousX;
+  }
+
+  /**
+   * Render the course and the editor overlays
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   * @param {ResourceLoader} resources - Resource loader
+   */
+  render(context, resources) {
+    this.preview.camera.x = this.camera.x;
+    this.preview.render(context, resources);
+
+    const height = context.canvas.height;
+
+    // End of the level
+    const endX = this.level.layout.length - this.camera.x;
+    context.fillStyle = "rgba(0, 0, 0, 0.4)";
+    context.fillRect(endX, 0, context.canvas.width, height);
+
+    // Terrain cell edges while painting
+    if (this.tool === "terrain") {
+      const cells = this.level.groundSections || this.level.waveSections;
+      context.strokeStyle = "rgba(255, 255, 255, 0.3)";
+      context.lineWidth = 1;
+      for (const cell of cells) {
+        const screenX = cell.x - this.camera.x;
+        context.beginPath();
+        context.moveTo(screenX, 0);
+        context.lineTo(screenX, height);
+        context.stroke();
+      }
+    }
+
+    this.renderSelection(context);
+
+    // Zone being drawn
+    if (this.drag && this.drag.action === "zone") {
+      const start = Math.min(this.drag.start, this.pointer.x);
+      const width = Math.abs(this.pointer.x - this.drag.start);
+      context.fillStyle = "rgba(255, 255, 255, 0.25)";
+      context.fillRect(start - this.camera.x, 0, width, height);
+    }
+
+    // Cursor line, where play-tests start
+    context.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    context.setLineDash([4, 4]);
+    context.beginPath();
+    context.moveTo(this.pointer.x - this.camera.x, 0);
+    context.lineTo(this.pointer.x - this.camera.x, height);
+    context.stroke();
+    context.setLineDash([]);
+
+    this.renderToolbar(context);
+    if (this.tool === "objectives") {
+      this.renderObjectivesPanel(context);
+    }
+  }
+
+  /**
+   * Outline the selection, with a resize handle on its right edge
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  renderSelection(context) {
+    if (!this.selection) return;
+
+    const span = this.getSpan(this.selection);
+    const screenX = span.start - this.camera.x;
+    const width = span.end - span.start;
+    let top = 0;
+    let bottom = context.canvas.height;
+
+    if (this.selection.kind === "obstacle") {
+      const obstacle = this.getPlacedObstacles()[this.selection.index];
+      top = obstacle.y - 4;
+      bottom = obstacle.y + obstacle.height + 4;
+    }
+
+    context.strokeStyle = "#FFEB3B";
+    context.lineWidth = 2;
+    context.strokeRect(screenX, top, width, bottom - top);
+
+    if (this.isResizable(this.selection)) {
+      context.fillStyle = "#FFEB3B";
+      context.fillRect(
+        screenX + width - EDITOR_CONFIG.handleWidth,
+        top,
+        EDITOR_CONFIG.handleWidth,
+        bottom - top
+      );
+    }
+  }
+
+  /**
+   * Render the tool bar and key help
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  renderToolbar(context) {
+    const terrain = this.gameMode === GAME_MODES.SURF ? "Waves" : "Ground";
+    const obstacle = this.objectTypes.obstacles[this.obstacleTypeIndex];
+    const labels = {
+      select: "Select",
+      obstacle: `Obstacle: ${obstacle}`,
+      terrain,
+      zone: `Zone: ${this.objectTypes.zones[this.zoneTypeIndex]}`,
+      objectives: "Objectives",
+    };
+    const help = {
+      select: "Drag to move, drag the right edge to resize, Up/Down height",
+      obstacle: "Click to place, Q/E change type",
+      terrain:
+        this.gameMode === GAME_MODES.SURF
+          ? "Click or drag: normal, breaking, choppy"
+          : "Click or drag: flat, ramp up, ramp down",
+      zone: "Drag to draw, Q/E change type",
+      objectives: "Up/Down row, Left/Right value, Q/E trick, G add goal",
+    };
+
+    context.fillStyle = "rgba(0, 0, 0, 0.6)";
+    context.fillRect(0, 0, context.canvas.width, 64);
+
+    context.font = "16px Arial";
+    context.textAlign = "left";
+    let x = 10;
+    TOOLS.forEach((tool, index) => {
+      const text = `${index + 1} ${labels[tool]}`;
+      context.fillStyle = tool === this.tool ? "#FFEB3B" : "#FFFFFF";
+      context.fillText(text, x, 24);
+      x += context.measureText(text).width + 24;
+    });
+
+    context.fillStyle = "#CCCCCC";
+    context.font = "14px Arial";
+    context.fillText(
+      `${help[this.tool]} | Del remove | T play-test | X export | ` +
+        "N new | L next level | Esc exit",
+      10,
+      50
+    );
+
+    context.textAlign = "right";
+    context.fillText(
+      `${this.level.name} (${this.level.id}) x=${Math.round(this.pointer.x)}`,
+      context.canvas.width - 10,
+      24
+    );
+  }
+
+  /**
+   * Render the objectives panel
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  renderObjectivesPanel(context) {
+    const rows = this.getObjectiveRows();
+    const top = 80;
+
+    context.fillStyle = "rgba(0, 0, 0, 0.7)";
+    context.fillRect(10, top, 360, 20 + rows.length * 24);
+
+    context.font = "16px Arial";
+    context.textAlign = "left";
+    rows.forEach((row, index) => {
+      const text = row.goal
+        ? row.label
+        : `${row.label}: ${row.target[row.key] || 0}`;
+      context.fillStyle = index === this.objectiveRow ? "#FFEB3B" : "#FFFFFF";
+      context.fillText(text, 20, top + 26 + index * 24);
+    });
+  }
+}
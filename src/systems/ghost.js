@@ -0,0 +1,249 @@
+/**
+ * Ghost system
+ * Records the rider's track and plays back the best run as a ghost
+ */
+
+import {TIMING_CONFIG} from "../constants/timing";
+import {saveGhost, loadGhost} from "../utils/storage";
+import {lerp} from "../utils/math";
+
+/**
+ * Ghost settings
+ */
+export const GHOST_CONFIG = {
+  version: 2, // Bumped when recorded data changes shape
+  frameInterval: 4, // Ticks per recorded frame; playback interpolates
+  checkpointCount: 8, // Evenly spaced checkpoints along the level
+  opacity: 0.4, // Ghost render opacity
+};
+
+// Values stored per frame: x, y, animation index, flipped
+const FRAME_STRIDE = 4;
+
+/**
+ * Build the storage key for a mode and level
+ * Each level keeps one ghost, so storage stays bounded however many seeds
+ * are played.
+ * @param {string} mode - Game mode
+ * @param {string} levelId - Level identifier
+ * @returns {string} Ghost key
+ */
+export function getGhostKey(mode, levelId) {
+  return `${mode}_${levelId}`;
+}
+
+export default class GhostSystem {
+  /**
+   * Create a ghost system
+   */
+  constructor() {
+    // Stored best run for the current level and seed
+    this.ghost = null;
+
+    // Whether the level's stored ghost was recorded on another seed
+    this.otherSeedGhost = false;
+
+    // Run currently being recorded, and whether it has finished
+    this.recording = null;
+    this.finished = false;
+    this.recordedTicks = 0;
+
+    // Checkpoint X positions and the next one the player has to reach
+    this.checkpoints = [];
+    this.nextCheckpoint = 0;
+
+    // Whether the finished recording beat the stored ghost
+    this.pendingSave = false;
+  }
+
+  /**
+   * Start a run: load the stored ghost and begin recording
+   * @param {Object} info - Run info {mode, levelId, seed, levelWidth}
+   */
+  start(info) {
+    const ghost = loadGhost(getGhostKey(info.mode, info.levelId));
+    const usable =
+      !!ghost &&
+      ghost.version === GHOST_CONFIG.version &&
+      ghost.tickRate === TIMING_CONFIG.tickRate;
+
+    // Another seed lays the course out differently, so its ghost is not
+    // raced, but it is kept until a run on its own seed beats it
+    this.ghost = usable && ghost.seed === info.seed ? ghost : null;
+    this.otherSeedGhost = usable && !this.ghost;
+
+    // Spread checkpoints evenly, leaving out the start line
+    this.checkpoints = [];
+    for (let i = 1; i <= GHOST_CONFIG.checkpointCount; i++) {
+      this.checkpoints.push(
+        (info.levelWidth * i) / (GHOST_CONFIG.checkpointCount + 1)
+      );
+    }
+    this.nextCheckpoint = 0;
+    this.pendingSave = false;
+    this.finished = false;
+    this.recordedTicks = 0;
+
+    this.recording = {
+      version: GHOST_CONFIG.version,
+      tickRate: TIMING_CONFIG.tickRate,
+      frameInterval: GHOST_CONFIG.frameInterval,
+      mode: info.mode,
+      levelId: info.levelId,
+      seed: info.seed,
+      length: 0, // Ticks to finish the level
+      score: 0,
+      animations: [], // Animation names referenced by frames
+      frames: [], // Flattened [x, y, animationIndex, flipped] per frame
+      checkpoints: [], // Tick each checkpoint was reached
+    };
+  }
+
+  /**
+   * Record the rider's state for a tick
+   * Only every frameInterval-th tick is kept.
+   * @param {Object} position - Rider position {x, y}
+   * @param {Object|null} animationState - Animation state from AnimationSystem
+   */
+  recordFrame(position, animationState) {
+    if (!this.isRecording()) return;
+    if (this.recordedTicks++ % this.recording.frameInterval !== 0) return;
+
+    let animationIndex = -1;
+    if (animationState) {
+      animationIndex = this.recording.animations.indexOf(animationState.name);
+      if (animationIndex === -1) {
+        animationIndex = this.recording.animations.length;
+        this.recording.animations.push(animationState.name);
+      }
+    }
+
+    this.recording.frames.push(
+      Math.round(position.x * 10) / 10,
+      Math.round(position.y * 10) / 10,
+      animationIndex,
+      animationState && animationState.flipped ? 1 : 0
+    );
+  }
+
+  /**
+   * Check whether the player reached the next checkpoint
+   * @param {number} tick - Current simulation tick
+   * @param {number} playerX - Player X position
+   * @returns {number|null} Seconds behind (+) or ahead (-) of the ghost,
+   *   or null if no checkpoint was reached or there is no ghost
+   */
+  checkCheckpoint(tick, playerX) {
+    if (this.nextCheckpoint >= this.checkpoints.length) return null;
+    if (playerX < this.checkpoints[this.nextCheckpoint]) return null;
+
+    const index = this.nextCheckpoint++;
+    if (this.isRecording()) {
+      this.recording.checkpoints[index] = tick;
+    }
+
+    if (!this.ghost || this.ghost.checkpoints[index] === undefined) {
+      return null;
+    }
+
+    return (tick - this.ghost.checkpoints[index]) / TIMING_CONFIG.tickRate;
+  }
+
+  /**
+   * Get the ghost's state between two recorded ticks
+   * @param {number} tick - Last simulated tick
+   * @param {number} alpha - Interpolation factor toward the next tick (0-1)
+   * @returns {Object|null} Ghost state {x, y, animation, flipped} or null
+   */
+  getFrame(tick, alpha = 0) {
+    if (!this.ghost || tick < 0) return null;
+
+    // Find the recorded frames either side of the tick
+    const position = (tick + alpha) / this.ghost.frameInterval;
+    const frame = Math.floor(position);
+    const frameCount = this.ghost.frames.length / FRAME_STRIDE;
+    if (frame >= frameCount) return null;
+
+    const nextFrame = Math.min(frame + 1, frameCount - 1);
+    const current = frame * FRAME_STRIDE;
+    const next = nextFrame * FRAME_STRIDE;
+    const frames = this.ghost.frames;
+    const animationIndex = frames[current + 2];
+    const t = position - frame;
+
+    return {
+      x: lerp(frames[current], frames[next], t),
+      y: lerp(frames[current + 1], frames[next + 1], t),
+      animation:
+        animationIndex >= 0 ? this.ghost.animations[animationIndex] : null,
+      flipped: frames[current + 3] === 1,
+    };
+  }
+
+  /**
+   * Finish recording when the level is completed
+   * @param {number} tick - Tick the level was completed on
+   * @param {number} score - Final score
+   * @returns {Object} Result {hadGhost, beatGhost, timeDelta}
+   */
+  finish(tick, score) {
+    if (!this.isRecording()) {
+      return {hadGhost: !!this.ghost, beatGhost: false, timeDelta: null};
+    }
+
+    this.finished = true;
+    this.recording.length = tick;
+    this.recording.score = score;
+
+    const hadGhost = !!this.ghost;
+    const beatGhost = !hadGhost || tick < this.ghost.length;
+    const timeDelta = hadGhost
+      ? (tick - this.ghost.length) / TIMING_CONFIG.tickRate
+      : null;
+
+    // A ghost from another seed is only replaced by beating it on its seed
+    this.pendingSave = beatGhost && !this.otherSeedGhost;
+
+    return {hadGhost, beatGhost, timeDelta};
+  }
+
+  /**
+   * Store the finished recording as the ghost for its level
+   * @returns {boolean} Whether the ghost was saved
+   */
+  save() {
+    if (!this.recording || !this.pendingSave) return false;
+
+    const key = getGhostKey(this.recording.mode, this.recording.levelId);
+    if (!saveGhost(key, this.recording)) return false;
+
+    this.ghost = this.recording;
+    this.pendingSave = false;
+    return true;
+  }
+
+  /**
+   * Stop recording without touching the stored ghost
+   */
+  stopRecording() {
+    this.recording = null;
+    this.pendingSave = false;
+  }
+
+  /**
+   * Forget the stored ghost and stop recording, for runs that race no ghost
+   */
+  clear() {
+    this.ghost = null;
+    this.otherSeedGhost = false;
+    this.stopRecording();
+  }
+
+  /**
+   * Check if a run is being recorded
+   * @returns {boolean} Whether recording
+   */
+  isRecording() {
+    return !!this.recording && !this.finished;
+  }
+}
@@ -33,6 +33,8 @@ export default class InputHandler {
       "KeyC": "trick3",
       "Escape": "menu",
       "KeyP": "pause",
+      "KeyE": "editor",  // Level editor from the title screen
+      "KeyR": "replay",  // Saved replay from the title screen
     };
 
     // Gamepad button mapping
@@ -4,17 +4,43 @@
  */
 
 import {GAME_MODES, ENVIRONMENT_CONFIG} from "../constants/game-modes";
-import {getLevelsForMode} from "../constants/levels";
+import {getLevelsForMode, registerLevelPack} from "../constants/levels";
+import {
+  validateLevelPack,
+  formatLevelErrors,
+} from "../utils/level-validator";
 import {checkRectCollision, getRectOverlap} from "../utils/collision";
-import {randomInt, randomFloat} from "../utils/math";
+import {
+  getTransitionProfile,
+  getTransitionPoint,
+  getTransitionSurfaceY,
+} from "../utils/transition";
+import {getFrameScale} from "../constants/timing";
+import WaveSystem from "./wave";
+import {
+  randomInt,
+  createRandom,
+  normalizeSeed,
+  generateSeed,
+  clamp,
+} from "../utils/math";
 
 export default class LevelSystem {
   /**
    * Create a level system
    * @param {string} mode - Game mode ('skate' or 'surf')
    * @param {number} levelIndex - Level index to load
+   * @param {number|string} seed - Generation seed (defaults to the level's
+   *   own seed, or a fresh random one)
+   * @param {Object} levelData - Level definition to build instead of the
+   *   one at levelIndex (optional, e.g. a level being edited)
    */
-  constructor(mode = GAME_MODES.SKATE, levelIndex = 0) {
+  constructor(
+    mode = GAME_MODES.SKATE,
+    levelIndex = 0,
+    seed = null,
+    levelData = null
+  ) {
     this.gameMode = mode;
     this.levelIndex = levelIndex;
 
@@ -24,18 +50,29 @@ export default class LevelSystem {
 
     // Get level data
     const levels = getLevelsForMode(mode);
-    this.levelData = levels[levelIndex] || levels[0];
+    this.levelData = levelData || levels[levelIndex] || levels[0];
+
+    // Seeded random source so the same seed always builds the same course
+    this.seed =
+      normalizeSeed(seed) ??
+      normalizeSeed(this.levelData.seed) ??
+      generateSeed();
+    this.random = createRandom(this.seed);
 
     // Level state
     this.obstacles = [];
     this.collectibles = [];
     this.specialZones = [];
     this.camera = {x: 0, y: 0};
+    this.time = 0; // Simulation time in seconds
     this.width = this.levelData.layout?.length || 5000; // Level length
     this.groundY = 300; // Base ground level
 
-    // For surfing mode
-    this.waveSegments = [];
+    // Crossing the finish line ends the run
+    this.finishX = this.width - ENVIRONMENT_CONFIG[mode].finishRunout;
+
+    // For surfing mode, the water ridden, drawn and checked for tubes
+    this.wave = new WaveSystem(this.levelData.layout);
 
     // Background layers for parallax
     this.backgroundLayers = [];
@@ -46,10 +83,39 @@ export default class LevelSystem {
     this.onSpecialZoneExited = null;
   }
 
+  /**
+   * Load a level pack through the resource loader and make its levels
+   * playable
+   * @param {ResourceLoader} resources - Resource loader
+   * @param {string} src - URL of the level pack JSON
+   * @returns {Promise} Resolves with {pack, indices}, the pack and its
+   *   levels' indices for the pack's mode; rejects if loading or
+   *   validation fails
+   */
+  static loadLevelPack(resources, src) {
+    const id = `level_pack_${src}`;
+
+    return resources.load({id, type: "json", src}).then(() => {
+      const pack = resources.get(id);
+      const errors = validateLevelPack(pack);
+
+      if (errors.length > 0) {
+        throw new Error(
+          `Invalid level pack ${src}:\n${formatLevelErrors(errors)}`
+        );
+      }
+
+      return {pack, indices: registerLevelPack(pack)};
+    });
+  }
+
   /**
    * Initialize the level
    */
   initializeLevel() {
+    // Restart the random sequence so re-initializing rebuilds the same course
+    this.random = createRandom(this.seed);
+
     // Create background layers
     this.createBackgroundLayers();
 
@@ -67,9 +133,11 @@ export default class LevelSystem {
     // Create ground terrain with variations
     this.createGroundTerrain();
 
-    // Add predefined obstacles from level data
+    // Add predefined obstacles from level data, sized from their layout
     if (this.levelData.obstacles) {
-      this.obstacles.push(...this.levelData.obstacles);
+      for (const obstacle of this.levelData.obstacles) {
+        this.addObstacle(obstacle.x, obstacle.type, obstacle);
+      }
     }
 
     // Add procedurally generated obstacles
@@ -91,7 +159,9 @@ export default class LevelSystem {
 
     // Add predefined obstacles from level data
     if (this.levelData.obstacles) {
-      this.obstacles.push(...this.levelData.obstacles);
+      for (const obstacle of this.levelData.obstacles) {
+        this.addObstacle(obstacle.x, obstacle.type, obstacle);
+      }
     }
 
     // Add procedurally generated obstacles
@@ -129,6 +199,17 @@ export default class LevelSystem {
    * Create ground terrain for skateboarding level
    */
   createGroundTerrain() {
+    // Use ground sections from level data if available
+    if (this.levelData.groundSections) {
+      let y = this.groundY;
+      for (const section of this.levelData.groundSections) {
+        const endY = y - (section.rise || 0);
+        this.addGroundSegment(section.x, y, section.length, section.type, endY);
+        y = endY;
+      }
+      return;
+    }
+
     // Create varied ground height
     const segments = Math.ceil(this.width / 200);
     let lastY = this.groundY;
@@ -136,19 +217,19 @@ export default class LevelSystem {
 
     for (let i = 0; i < segments; i++) {
       const x = i * 200;
-      const segmentType = Math.random();
+      const segmentType = this.random();
 
       if (segmentType < 0.7) {
         // Flat segment
         this.addGroundSegment(x, lastY, 200, "flat");
       } else if (segmentType < 0.85) {
         // Ramp up
-        const newY = lastY - Math.floor(Math.random() * variationAmount) - 20;
+        const newY = lastY - Math.floor(this.random() * variationAmount) - 20;
         this.addGroundSegment(x, lastY, 200, "ramp", newY);
         lastY = newY;
       } else {
         // Ramp down
-        const newY = lastY + Math.floor(Math.random() * variationAmount) + 20;
+        const newY = lastY + Math.floor(this.random() * variationAmount) + 20;
         this.addGroundSegment(x, lastY, 200, "ramp", newY);
         lastY = newY;
       }
@@ -199,14 +280,16 @@ export default class LevelSystem {
   createWaveSegments() {
     // Use wave segments from level data if available
     if (this.levelData.waveSections) {
-      this.waveSegments = this.levelData.waveSections;
+      for (const section of this.levelData.waveSections) {
+        this.addWaveSegment(section.x, section.type, section.length);
+      }
     } else {
       // Create procedural wave segments
       const segments = Math.ceil(this.width / 300);
 
       for (let i = 0; i < segments; i++) {
         const x = i * 300;
-        const waveType = Math.random();
+        const waveType = this.random();
 
         if (waveType < 0.6) {
           // Normal wave section
@@ -229,14 +312,7 @@ export default class LevelSystem {
    * @param {number} width - Segment width
    */
   addWaveSegment(x, type, width) {
-    this.waveSegments.push({
-      x: x,
-      width: width,
-      type: type,
-      height: type === "breaking" ? 120 : 80,
-      amplitude: type === "choppy" ? 30 : 15,
-      frequency: type === "choppy" ? 0.05 : 0.02,
-    });
+    this.wave.addSection(x, type, width);
   }
 
   /**
@@ -244,7 +320,7 @@ export default class LevelSystem {
    */
   addSkateObstacles() {
     // Don't add procedural obstacles if frequency is 0
-    const obstacleFrequency = this.levelData.layout?.obstacleFrequency || 0.6;
+    const obstacleFrequency = this.levelData.layout?.obstacleFrequency ?? 0.6;
     if (obstacleFrequency <= 0) return;
 
     const obstacleTypes = this.envConfig.obstacleTypes || [
@@ -261,13 +337,13 @@ export default class LevelSystem {
     for (
       let x = 400;
       x < this.width - 400;
-      x += Math.random() * obstacleSpacing + obstacleSpacing / 2
+      x += this.random() * obstacleSpacing + obstacleSpacing / 2
     ) {
       // Skip if too close to an existing obstacle
       if (this.isNearObstacle(x, 150)) continue;
 
       const type =
-        obstacleTypes[Math.floor(Math.random() * obstacleTypes.length)];
+        obstacleTypes[Math.floor(this.random() * obstacleTypes.length)];
       this.addObstacle(x, type);
     }
   }
@@ -277,7 +353,7 @@ export default class LevelSystem {
    */
   addSurfObstacles() {
     // Don't add procedural obstacles if frequency is 0
-    const obstacleFrequency = this.levelData.layout?.obstacleFrequency || 0.4;
+    const obstacleFrequency = this.levelData.layout?.obstacleFrequency ?? 0.4;
     if (obstacleFrequency <= 0) return;
 
     const obstacleTypes = this.envConfig.obstacleTypes || [
@@ -294,13 +370,13 @@ export default class LevelSystem {
     for (
       let x = 400;
       x < this.width - 400;
-      x += Math.random() * obstacleSpacing + obstacleSpacing / 2
+      x += this.random() * obstacleSpacing + obstacleSpacing / 2
     ) {
       // Skip if too close to an existing obstacle
       if (this.isNearObstacle(x, 200)) continue;
 
       const type =
-        obstacleTypes[Math.floor(Math.random() * obstacleTypes.length)];
+        obstacleTypes[Math.floor(this.random() * obstacleTypes.length)];
       this.addObstacle(x, type);
     }
   }
@@ -327,8 +403,9 @@ export default class LevelSystem {
    * Add an obstacle
    * @param {number} x - X position
    * @param {string} type - Obstacle type
+   * @param {Object} layout - Sizes from level data (length, width, height)
    */
-  addObstacle(x, type) {
+  addObstacle(x, type, layout = {}) {
     let obstacle = {
       type: type,
       x: x,
@@ -342,34 +419,58 @@ export default class LevelSystem {
     if (this.gameMode === GAME_MODES.SKATE) {
       switch (type) {
         case "rail":
-          obstacle.width = 150;
+          obstacle.width = layout.length || 150;
           obstacle.height = 10;
-          obstacle.y = this.getGroundYAt(x) - 20;
+          obstacle.y = this.getGroundYAt(x) - (layout.height || 20);
           obstacle.properties = {grindable: true, trickBonus: 1.5};
           break;
+        case "handrail":
+          obstacle.width = layout.length || 200;
+          obstacle.height = 10;
+          obstacle.y = this.getGroundYAt(x) - (layout.height || 40);
+          obstacle.properties = {grindable: true, trickBonus: 2};
+          break;
         case "bench":
-          obstacle.width = 100;
+          obstacle.width = layout.width || 100;
           obstacle.height = 30;
           obstacle.y = this.getGroundYAt(x) - 30;
           obstacle.properties = {grindable: true, jumpable: true};
           break;
         case "ramp":
-          obstacle.width = 80;
-          obstacle.height = 60;
-          obstacle.y = this.getGroundYAt(x) - 60;
+          obstacle.width = layout.width || 80;
+          obstacle.height = layout.height || 60;
+          obstacle.y = this.getGroundYAt(x) - obstacle.height;
           obstacle.properties = {launchVelocity: 15, angle: 45};
           break;
         case "gap":
-          obstacle.width = 120;
+          obstacle.width = layout.width || 120;
           obstacle.height = 0;
           obstacle.y = this.getGroundYAt(x);
           obstacle.properties = {gap: true, scoreBonus: 200};
           break;
         case "halfpipe":
-          obstacle.width = 200;
-          obstacle.height = 80;
-          obstacle.y = this.getGroundYAt(x) - 80;
-          obstacle.properties = {halfpipe: true, scoreMultiplier: 2};
+          // Sunk into the ground with the coping level with it; the walls
+          // are as deep as they are tall, so at most half the width
+          obstacle.width = layout.width || 200;
+          obstacle.height = Math.min(layout.height || 80, obstacle.width / 2);
+          obstacle.y = this.getGroundYAt(x);
+          obstacle.properties = {
+            halfpipe: true,
+            transition: "both",
+            sunken: true,
+            scoreMultiplier: 2,
+          };
+          break;
+        case "quarterpipe":
+          // A single wall rising to the right, with a sheer back
+          obstacle.height = layout.height || 80;
+          obstacle.width = obstacle.height;
+          obstacle.y = this.getGroundYAt(x) - obstacle.height;
+          obstacle.properties = {transition: "right", scoreMultiplier: 1.5};
+          break;
+        default:
+          // Keep level data for obstacles without gameplay yet
+          obstacle = {...obstacle, ...layout};
           break;
       }
     } else {
@@ -379,13 +480,17 @@ export default class LevelSystem {
           obstacle.width = 20;
           obstacle.height = 20;
           obstacle.y = 250;
-          obstacle.properties = {damageOnHit: true};
+          obstacle.properties = {damageOnHit: true, sound: "bell"};
           break;
         case "swimmer":
           obstacle.width = 40;
           obstacle.height = 30;
           obstacle.y = 260;
-          obstacle.properties = {avoidable: true, scoreBonus: 100};
+          obstacle.properties = {
+            avoidable: true,
+            scoreBonus: 100,
+            sound: "splash",
+          };
           break;
         case "rock":
           obstacle.width = 50;
@@ -417,7 +522,7 @@ export default class LevelSystem {
   addCollectibles() {
     // Don't add collectibles if frequency is 0
     const collectibleFrequency =
-      this.levelData.layout?.collectibleFrequency || 0.7;
+      this.levelData.layout?.collectibleFrequency ?? 0.7;
     if (collectibleFrequency <= 0) return;
 
     const collectibleTypes = this.envConfig.collectibleTypes || [
@@ -431,16 +536,18 @@ export default class LevelSystem {
     for (
       let x = 300;
       x < this.width - 300;
-      x += randomInt(spacing - 50, spacing + 50)
+      x += randomInt(spacing - 50, spacing + 50, this.random)
     ) {
       const type =
-        Math.random() < 0.8
+        this.random() < 0.8
           ? "coin"
-          : collectibleTypes[randomInt(0, collectibleTypes.length - 1)];
+          : collectibleTypes[
+              randomInt(0, collectibleTypes.length - 1, this.random)
+            ];
       const y =
         this.gameMode === GAME_MODES.SKATE
-          ? this.getGroundYAt(x) - randomInt(50, 150)
-          : 220 - randomInt(0, 80);
+          ? this.getGroundYAt(x) - randomInt(50, 150, this.random)
+          : 220 - randomInt(0, 80, this.random);
 
       this.collectibles.push({
         type: "collectible",
@@ -461,7 +568,9 @@ export default class LevelSystem {
   addSpecialZones() {
     // Use special zones from level data if available
     if (this.levelData.specialZones) {
-      this.specialZones = this.levelData.specialZones;
+      for (const zone of this.levelData.specialZones) {
+        this.addSpecialZone(zone.x, zone.width, zone.type, zone);
+      }
       return;
     }
 
@@ -473,20 +582,37 @@ export default class LevelSystem {
 
     // Add a few special zones
     for (let i = 0; i < 5; i++) {
-      const x = Math.random() * (this.width - 1000) + 500;
-      const width = Math.random() * 300 + 200;
-      const type = zoneTypes[Math.floor(Math.random() * zoneTypes.length)];
+      const x = this.random() * (this.width - 1000) + 500;
+      const width = this.random() * 300 + 200;
+      const type = zoneTypes[Math.floor(this.random() * zoneTypes.length)];
 
-      this.specialZones.push({
-        type: "zone",
-        subType: type,
-        x: x,
-        y: 0, // y doesn't matter for zones, they span the height
-        width: width,
-        active: true,
-        properties: this.getZoneProperties(type),
-      });
+      this.addSpecialZone(x, width, type);
+    }
+  }
+
+  /**
+   * Add a special zone
+   * @param {number} x - X position
+   * @param {number} width - Zone width
+   * @param {string} type - Zone type
+   * @param {Object} layout - Level data for the zone (multiplier)
+   */
+  addSpecialZone(x, width, type, layout = {}) {
+    const properties = this.getZoneProperties(type);
+    if (layout.multiplier) {
+      properties.scoreMultiplier = layout.multiplier;
     }
+
+    this.specialZones.push({
+      type: "zone",
+      subType: type,
+      x: x,
+      y: 0, // y doesn't matter for zones, they span the height
+      width: width,
+      active: true,
+      occupied: false, // Whether the player is inside
+      properties,
+    });
   }
 
   /**
@@ -503,7 +629,7 @@ export default class LevelSystem {
       case "score_multiplier":
         return {scoreMultiplier: 3, duration: 5};
       case "tube_zone":
-        return {scorePerSecond: 100, maxDuration: 8};
+        return {scorePerSecond: 100};
       case "wave_boost":
         return {velocityBoost: 2, duration: 4};
       default:
@@ -536,60 +662,215 @@ export default class LevelSystem {
     return this.groundY; // Default
   }
 
+  /**
+   * Get the ground slope at a specific X position
+   * @param {number} x - X position
+   * @returns {number} Rise in Y per unit X; positive slopes down to the right
+   */
+  getGroundSlopeAt(x) {
+    for (const obstacle of this.obstacles) {
+      if (
+        obstacle.type === "ground" &&
+        obstacle.subType === "ramp" &&
+        x >= obstacle.x &&
+        x < obstacle.x + obstacle.width
+      ) {
+        return (obstacle.endY - obstacle.y) / obstacle.width;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Get the ramp whose slope is under a specific X position
+   * Ramps are any obstacles with launch properties; they climb from the
+   * ground at their start to their full height at the lip.
+   * @param {number} x - X position
+   * @returns {Object|null} Ramp obstacle or null
+   */
+  getRampAt(x) {
+    for (const obstacle of this.obstacles) {
+      if (
+        obstacle.properties &&
+        obstacle.properties.launchVelocity &&
+        x >= obstacle.x &&
+        x <= obstacle.x + obstacle.width
+      ) {
+        return obstacle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the height of a ramp's slope at a specific X position
+   * @param {Object} ramp - Ramp obstacle
+   * @param {number} x - X position
+   * @returns {number} Surface Y position
+   */
+  getRampSurfaceY(ramp, x) {
+    const progress = clamp((x - ramp.x) / ramp.width, 0, 1);
+    return ramp.y + ramp.height * (1 - progress);
+  }
+
+  /**
+   * Get the halfpipe or quarter-pipe spanning a specific X position
+   * @param {number} x - X position
+   * @returns {Object|null} Pipe obstacle or null
+   */
+  getTransitionAt(x) {
+    for (const obstacle of this.obstacles) {
+      if (
+        obstacle.properties &&
+        obstacle.properties.transition &&
+        x >= obstacle.x &&
+        x <= obstacle.x + obstacle.width
+      ) {
+        return obstacle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the gap at a specific X position
+   * @param {number} x - X position
+   * @returns {Object|null} Gap obstacle or null if there is ground here
+   */
+  getGapAt(x) {
+    for (const obstacle of this.obstacles) {
+      if (
+        obstacle.properties &&
+        obstacle.properties.gap &&
+        x >= obstacle.x &&
+        x <= obstacle.x + obstacle.width
+      ) {
+        return obstacle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find a grindable obstacle whose top lies within a vertical range
+   * @param {number} x - X position to check
+   * @param {number} fromY - Top of the range
+   * @param {number} toY - Bottom of the range
+   * @returns {Object|null} Grindable obstacle or null if none
+   */
+  findGrindable(x, fromY, toY) {
+    for (const obstacle of this.obstacles) {
+      if (!obstacle.properties || !obstacle.properties.grindable) continue;
+
+      if (
+        x >= obstacle.x &&
+        x <= obstacle.x + obstacle.width &&
+        obstacle.y >= fromY &&
+        obstacle.y <= toY
+      ) {
+        return obstacle;
+      }
+    }
+    return null;
+  }
+
   /**
    * Get wave Y position at a specific X position
    * @param {number} x - X position
-   * @param {number} time - Current time (for wave animation)
+   * @param {number} time - Simulation time in seconds
    * @returns {number} Wave Y position
    */
   getWaveYAt(x, time) {
-    // Find the wave segment at position x
-    for (const segment of this.waveSegments) {
-      if (x >= segment.x && x < segment.x + segment.width) {
-        // Calculate wave height using sine wave
-        const waveX = (x - segment.x) / segment.width;
-        const timeOffset = time * 0.001; // Time factor for wave movement
-
-        return (
-          250 +
-          Math.sin(waveX * Math.PI * 2 * segment.frequency + timeOffset) *
-            segment.amplitude
-        );
+    return this.wave.getHeightAt(x, time);
+  }
+
+  /**
+   * Get the wave segment at a specific X position
+   * @param {number} x - X position
+   * @returns {Object|null} Wave segment or null if none
+   */
+  getWaveSegmentAt(x) {
+    return this.wave.getSectionAt(x);
+  }
+
+  /**
+   * Get the tube zone that can be ridden at a specific X position
+   * A tube only forms in the pocket of a breaking wave, where it runs
+   * through a tube zone.
+   * @param {number} x - X position
+   * @returns {Object|null} Tube zone or null if there is no tube
+   */
+  getTubeAt(x) {
+    if (this.wave.getBreakAt(x, this.time) !== "pocket") return null;
+
+    for (const zone of this.specialZones) {
+      if (
+        zone.active &&
+        zone.subType === "tube_zone" &&
+        x >= zone.x &&
+        x <= zone.x + zone.width
+      ) {
+        return zone;
       }
     }
-    return 250; // Default water level
+    return null;
   }
 
   /**
    * Update level state
    * @param {number} playerX - Player X position
-   * @param {number} time - Current time
+   * @param {number} time - Simulation time in seconds
+   * @param {number} deltaTime - Time step in seconds
    */
-  update(playerX, time) {
+  update(playerX, time, deltaTime = 1 / 60) {
+    this.time = time;
+
+    // Breaking sections start to peel once the rider reaches them
+    this.wave.update(playerX, time);
+
     // Update camera position
-    this.camera.x = playerX - 200; // Keep player on left side of screen
+    this.updateCamera(playerX);
 
     // Update any dynamic elements (moving obstacles, etc.)
-    this.updateObstacles(time);
+    this.updateObstacles(time, deltaTime);
 
     // Remove collected items
     this.collectibles = this.collectibles.filter((item) => !item.collected);
   }
 
+  /**
+   * Move the camera to follow the player
+   * @param {number} playerX - Player X position
+   */
+  updateCamera(playerX) {
+    this.camera.x = playerX - 200; // Keep player on left side of screen
+  }
+
   /**
    * Update obstacles
-   * @param {number} time - Current time
+   * @param {number} time - Simulation time in seconds
+   * @param {number} deltaTime - Time step in seconds
    */
-  updateObstacles(time) {
-    // Update any moving obstacles
+  updateObstacles(time, deltaTime) {
+    // Moving obstacles sway by the same distance at any step size
+    const frameScale = getFrameScale(deltaTime);
     for (const obstacle of this.obstacles) {
       if (obstacle.properties && obstacle.properties.moving) {
         // Update position for moving obstacles
-        obstacle.x += Math.sin(time * 0.001) * 2;
+        obstacle.x += Math.sin(time) * 2 * frameScale;
       }
     }
   }
 
+  /**
+   * Check whether a rider has crossed the finish line
+   * @param {number} x - Rider's leading edge X position
+   * @returns {boolean} Whether the finish line was crossed
+   */
+  isPastFinish(x) {
+    return x >= this.finishX;
+  }
+
   /**
    * Check collisions with player
    * @param {Object} player - Player object with position and dimensions
@@ -599,31 +880,98 @@ export default class LevelSystem {
     const results = {
       ground: false,
       groundY: 0,
+      groundSlope: 0,
+      surface: null, // Ramp ridden as ground
+      transition: null, // Pipe whose transition is underfoot
+      gap: null,
       obstacles: [],
       collectibles: [],
       zones: [],
     };
 
+    // A grounded player keeps contact over drops up to groundSnap
+    const feetY = player.y + player.height + (player.groundSnap || 0);
+
     // Check ground collision for skate mode
     if (this.gameMode === GAME_MODES.SKATE) {
-      const groundY = this.getGroundYAt(player.x);
-      if (player.y + player.height >= groundY) {
-        results.ground = true;
-        results.groundY = groundY;
+      const centerX = player.x + player.width / 2;
+
+      // A pipe's transition is ridden like ground when reached from just
+      // above it; a sunken halfpipe has no other ground inside it
+      const pipe = this.getTransitionAt(centerX);
+      if (pipe) {
+        const surfaceY = getTransitionSurfaceY(
+          getTransitionProfile(pipe),
+          centerX
+        );
+        const depth = player.y + player.height - surfaceY;
+
+        if (feetY >= surfaceY && depth <= (player.stepUp || 0)) {
+          results.ground = true;
+          results.groundY = surfaceY;
+          results.transition = pipe;
+        }
+      }
+
+      // Elsewhere, and beside a quarter-pipe's wall, ride the ground
+      if (!results.transition && !(pipe && pipe.properties.sunken)) {
+        // Gaps have no ground to land on
+        results.gap = this.getGapAt(centerX);
+
+        const groundY = this.getGroundYAt(player.x);
+        if (!results.gap && feetY >= groundY) {
+          results.ground = true;
+          results.groundY = groundY;
+          results.groundSlope = this.getGroundSlopeAt(player.x);
+        }
+
+        // Ramp slopes are ridden like ground when stepped onto from the foot
+        // or landed on from above
+        const ramp = this.getRampAt(centerX);
+        if (ramp) {
+          const surfaceY = this.getRampSurfaceY(ramp, centerX);
+          const depth = player.y + player.height - surfaceY;
+
+          if (
+            feetY >= surfaceY &&
+            depth <= (player.stepUp || 0) &&
+            (!results.ground || surfaceY < results.groundY)
+          ) {
+            results.ground = true;
+            results.groundY = surfaceY;
+            results.groundSlope = -ramp.height / ramp.width;
+            results.surface = ramp;
+          }
+        }
       }
     } else {
-      // For surf mode, check wave collision
-      const waveY = this.getWaveYAt(player.x, Date.now());
-      if (player.y + player.height >= waveY) {
+      // For surf mode, the wave face under the rider's feet is ridden
+      // like a slope
+      const centerX = player.x + player.width / 2;
+      const waveY = this.getWaveYAt(centerX, this.time);
+      if (feetY >= waveY) {
         results.ground = true;
         results.groundY = waveY;
+        results.groundSlope = this.wave.getSlopeAt(centerX, this.time);
       }
     }
 
-    // Check obstacle collisions
+    // Check obstacle collisions; gaps are open space, not solid
     for (const obstacle of this.obstacles) {
+      const properties = obstacle.properties || {};
+      if (properties.sunken) continue;
+
+      if (properties.launchVelocity || properties.transition) {
+        // Ramps and quarter-pipes are only solid at the back, below the lip
+        const behind =
+          player.x + player.width / 2 > obstacle.x + obstacle.width &&
+          player.y + player.height > obstacle.y + (player.stepUp || 0);
+        if (!behind) continue;
+      }
+
       if (
         obstacle.type !== "ground" &&
+        obstacle.type !== "gap" &&
         this.checkObjectCollision(player, obstacle)
       ) {
         const overlap = this.getCollisionOverlap(player, obstacle);
@@ -652,13 +1000,25 @@ export default class LevelSystem {
 
     // Check special zone collisions
     for (const zone of this.specialZones) {
-      if (
-        zone.active &&
-        player.x >= zone.x &&
-        player.x <= zone.x + zone.width
-      ) {
+      const inside =
+        zone.active && player.x >= zone.x && player.x <= zone.x + zone.width;
+
+      if (inside) {
         results.zones.push(zone);
       }
+
+      // Trigger zone events when the player crosses a zone edge
+      if (inside && !zone.occupied) {
+        zone.occupied = true;
+        if (this.onSpecialZoneEntered) {
+          this.onSpecialZoneEntered(zone);
+        }
+      } else if (!inside && zone.occupied) {
+        zone.occupied = false;
+        if (this.onSpecialZoneExited) {
+          this.onSpecialZoneExited(zone);
+        }
+      }
     }
 
     return results;
@@ -707,6 +1067,9 @@ export default class LevelSystem {
 
     // Render special zones
     this.renderSpecialZones(context, resources);
+
+    // Render finish line
+    this.renderFinishLine(context, resources);
   }
 
   /**
@@ -776,7 +1139,7 @@ export default class LevelSystem {
 
       for (let x = 0; x < context.canvas.width; x += 5) {
         const worldX = x + this.camera.x;
-        const y = this.getWaveYAt(worldX, Date.now());
+        const y = this.getWaveYAt(worldX, this.time);
 
         if (x === 0) {
           context.moveTo(x, y);
@@ -786,6 +1149,87 @@ export default class LevelSystem {
       }
 
       context.stroke();
+
+      this.renderBreakingWaves(context);
+      this.renderRollers(context);
+    }
+  }
+
+  /**
+   * Render the foam on each roller crest of the swell in view
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  renderRollers(context) {
+    const time = this.time;
+    const viewEnd = this.camera.x + context.canvas.width;
+
+    // Step from crest to crest across the view
+    let crest = this.wave.getCrestAt(this.camera.x, time);
+    while (crest.x < viewEnd + this.wave.wavelength) {
+      if (this.wave.isRoller(crest.index)) {
+        const screenX = crest.x - this.camera.x;
+        const y = this.getWaveYAt(crest.x, time);
+
+        context.fillStyle = "rgba(255, 255, 255, 0.8)";
+        context.beginPath();
+        context.ellipse(screenX, y, 30, 8, 0, 0, Math.PI * 2);
+        context.fill();
+      }
+
+      crest = this.wave.getCrestAt(crest.x + this.wave.wavelength, time);
+    }
+  }
+
+  /**
+   * Render the whitewater behind each breaking section's curl and the lip
+   * throwing out over it
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  renderBreakingWaves(context) {
+    const time = this.time;
+    const viewEnd = this.camera.x + context.canvas.width;
+
+    for (const section of this.wave.sections) {
+      const curl = this.wave.getCurlAt(section.x, time);
+      if (!curl) continue;
+
+      // Foam along the surface the curl has already passed
+      const start = Math.max(section.x, this.camera.x);
+      const end = Math.min(curl.x, viewEnd);
+      if (end > start) {
+        const points = [];
+        for (let x = start; x < end; x += 5) points.push(x);
+        points.push(end);
+
+        context.fillStyle = "rgba(255, 255, 255, 0.6)";
+        context.beginPath();
+        for (const x of points) {
+          context.lineTo(x - this.camera.x, this.getWaveYAt(x, time) - 6);
+        }
+        for (const x of points.reverse()) {
+          context.lineTo(x - this.camera.x, this.getWaveYAt(x, time) + 10);
+        }
+        context.closePath();
+        context.fill();
+      }
+
+      // The lip curls over from the face just ahead of the curl
+      const lip = this.wave.getLipAt(curl.x, time);
+      if (!lip || lip.x < this.camera.x - 40 || lip.x > viewEnd + 40) continue;
+
+      const screenX = lip.x - this.camera.x;
+      const faceY = this.getWaveYAt(lip.x + 30, time);
+      context.strokeStyle = "white";
+      context.lineWidth = 4;
+      context.beginPath();
+      context.moveTo(screenX + 30, faceY);
+      context.quadraticCurveTo(
+        screenX + 20,
+        lip.y - 10,
+        screenX - 10,
+        lip.y + 10
+      );
+      context.stroke();
     }
   }
 
@@ -809,6 +1253,7 @@ export default class LevelSystem {
       // Set color based on obstacle type
       switch (obstacle.type) {
         case "rail":
+        case "handrail":
           context.fillStyle = "#A9A9A9"; // Dark gray
           break;
         case "bench":
@@ -830,10 +1275,75 @@ export default class LevelSystem {
           context.fillStyle = "#888888"; // Gray
       }
 
+      // Pipes are drawn as the transitions they are ridden on
+      if (obstacle.properties && obstacle.properties.transition) {
+        this.renderTransition(context, obstacle, screenX);
+        continue;
+      }
+
+      // Ramps are drawn as the slope they are ridden on
+      if (obstacle.properties && obstacle.properties.launchVelocity) {
+        const baseY = obstacle.y + obstacle.height;
+        context.beginPath();
+        context.moveTo(screenX, baseY);
+        context.lineTo(screenX + obstacle.width, obstacle.y);
+        context.lineTo(screenX + obstacle.width, baseY);
+        context.closePath();
+        context.fill();
+        continue;
+      }
+
       context.fillRect(screenX, obstacle.y, obstacle.width, obstacle.height);
     }
   }
 
+  /**
+   * Render a halfpipe or quarter-pipe
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   * @param {Object} obstacle - Pipe obstacle
+   * @param {number} screenX - Obstacle's left edge on screen
+   */
+  renderTransition(context, obstacle, screenX) {
+    const profile = getTransitionProfile(obstacle);
+    const offsetX = screenX - obstacle.x;
+    const bottomY = obstacle.y + obstacle.height;
+
+    // Trace the riding surface from end to end
+    context.beginPath();
+    for (let distance = 0; distance < profile.length + 5; distance += 5) {
+      const point = getTransitionPoint(profile, distance);
+      if (distance === 0) {
+        context.moveTo(point.x + offsetX, point.y);
+      } else {
+        context.lineTo(point.x + offsetX, point.y);
+      }
+    }
+
+    if (obstacle.properties.sunken) {
+      // Open air down to the surface of the pit
+      context.closePath();
+      context.fillStyle = "#87CEEB"; // Sky blue
+      context.fill();
+    } else {
+      // Solid concrete under the wall
+      context.lineTo(screenX + obstacle.width, bottomY);
+      context.closePath();
+      context.fillStyle = "#BDBDBD"; // Concrete
+      context.fill();
+    }
+
+    context.strokeStyle = "#9E9E9E";
+    context.lineWidth = 3;
+    context.stroke();
+
+    // Metal coping along the top of each wall
+    context.fillStyle = "#555555";
+    context.fillRect(screenX + obstacle.width - 3, obstacle.y - 3, 6, 6);
+    if (obstacle.properties.transition === "both") {
+      context.fillRect(screenX - 3, obstacle.y - 3, 6, 6);
+    }
+  }
+
   /**
    * Render collectibles
    * @param {CanvasRenderingContext2D} context - Canvas context
@@ -936,4 +1446,45 @@ export default class LevelSystem {
       context.fillText(zoneLabel, screenX + zone.width / 2, 50);
     }
   }
+
+  /**
+   * Render the finish line as a checkered banner between two posts
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   * @param {ResourceLoader} resources - Resource loader
+   */
+  renderFinishLine(context, resources) {
+    const screenX = this.finishX - this.camera.x;
+
+    // Skip if off screen
+    if (screenX < -10 || screenX > context.canvas.width + 10) return;
+
+    const baseY =
+      this.gameMode === GAME_MODES.SKATE
+        ? this.getGroundYAt(this.finishX)
+        : this.getWaveYAt(this.finishX, this.time);
+    const squareSize = 10;
+    const bannerY = baseY - 140;
+
+    // Posts
+    context.fillStyle = "#333333";
+    context.fillRect(screenX - 4, bannerY, 4, baseY - bannerY);
+    context.fillRect(screenX + 40, bannerY, 4, baseY - bannerY);
+
+    // Checkered banner
+    for (let row = 0; row < 2; row++) {
+      for (let column = 0; column < 4; column++) {
+        context.fillStyle = (row + column) % 2 === 0 ? "#000000" : "#FFFFFF";
+        context.fillRect(
+          screenX + column * squareSize,
+          bannerY + row * squareSize,
+          squareSize,
+          squareSize
+        );
+      }
+    }
+
+    // Line across the ground
+    context.fillStyle = "#FFFFFF";
+    context.fillRect(screenX, baseY - 2, 40, 4);
+  }
 }
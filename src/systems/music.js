@@ -0,0 +1,182 @@
+/**
+ * Adaptive music
+ * Plays each level's track as stems started together, and brings layers in
+ * and out with the run: speed, combo length, special scoring modes and the
+ * last seconds on the clock. Layer changes wait for the next beat so they
+ * land in time with the music.
+ */
+
+import SoundSynth, {MUSIC_STEMS, createStem} from "./synth";
+
+/**
+ * Adaptive music settings
+ */
+export const MUSIC_CONFIG = {
+  startFadeTime: 1000, // Milliseconds the track takes to fade in
+  layerFadeTime: 250, // Milliseconds a layer takes to come in or drop out
+  // Each level track's tempo (beats per minute) and root note (Hz)
+  tracks: {
+    "skate-theme-1": {tempo: 120, root: 110},
+    "skate-theme-2": {tempo: 132, root: 98},
+    "surf-theme-1": {tempo: 96, root: 130.81},
+    "surf-theme-2": {tempo: 104, root: 116.54},
+  },
+  // Layers over the base stem and what brings each in: a share of top
+  // speed, tricks in the combo, a special scoring mode, or seconds left on
+  // the clock
+  layers: [
+    {stem: "drums", speed: 0.5},
+    {stem: "lead", combo: 2},
+    {stem: "harmony", combo: 4},
+    {stem: "special", special: true},
+    {stem: "urgency", timeLeft: 20},
+  ],
+};
+
+/**
+ * Check whether the run calls for a layer
+ * @param {Object} layer - Layer from MUSIC_CONFIG.layers
+ * @param {Object} run - Run state {speed, combo, special, timeRemaining}
+ * @returns {boolean} Whether the layer should be playing
+ */
+function isLayerWanted(layer, run) {
+  if (layer.speed !== undefined) return run.speed >= layer.speed;
+  if (layer.combo !== undefined) return run.combo >= layer.combo;
+  if (layer.special) return run.special;
+  if (layer.timeLeft !== undefined) {
+    return run.timeRemaining !== null && run.timeRemaining <= layer.timeLeft;
+  }
+  return false;
+}
+
+export default class AdaptiveMusic {
+  /**
+   * Create the adaptive music player
+   * @param {AudioManager} audio - Audio manager the stems play through
+   */
+  constructor(audio) {
+    this.audio = audio;
+
+    // Track playing {id, tempo, root}
+    this.track = null;
+
+    // Whether each layer is in, by stem name
+    this.layers = {};
+  }
+
+  /**
+   * Get the sound id a track's stem is loaded under
+   * @param {string} trackId - Track identifier
+   * @param {string} stem - Stem name
+   * @returns {string} Sound identifier
+   */
+  getStemId(trackId, stem) {
+    return `${trackId}/${stem}`;
+  }
+
+  /**
+   * Render a track's stems into the audio manager, once
+   * Sampled stems loaded under the same ids beforehand are used instead.
+   * @param {string} trackId - Track identifier
+   * @param {Object} track - Track {tempo, root}
+   */
+  loadTrack(trackId, track) {
+    const synth = new SoundSynth(this.audio.context.sampleRate);
+
+    for (const stem in MUSIC_STEMS) {
+      const id = this.getStemId(trackId, stem);
+      if (this.audio.sounds[id]) continue;
+
+      const effect = createStem(MUSIC_STEMS[stem], track);
+      this.audio.loadSamples(
+        id,
+        synth.render(effect),
+        synth.sampleRate,
+        effect.group,
+        effect.options
+      );
+    }
+  }
+
+  /**
+   * Start a level's track with only its base stem audible
+   * @param {string} trackId - Track identifier from the level data
+   * @returns {boolean} Whether the track started
+   */
+  start(trackId) {
+    const track = MUSIC_CONFIG.tracks[trackId];
+    // The same track carries on, picking up again if it was paused
+    if (this.track && this.track.id === trackId) {
+      this.audio.resumeMusic();
+      return true;
+    }
+
+    // Levels without a known track play in silence
+    this.stop();
+    if (!this.audio.audioSupported || !track) return false;
+
+    this.loadTrack(trackId, track);
+    this.track = {id: trackId, ...track};
+
+    const layers = {};
+    for (const layer of MUSIC_CONFIG.layers) {
+      layers[this.getStemId(trackId, layer.stem)] = 0;
+      this.layers[layer.stem] = false;
+    }
+
+    const voice = this.audio.playMusic(
+      this.getStemId(trackId, "base"),
+      true,
+      MUSIC_CONFIG.startFadeTime,
+      layers
+    );
+    return voice !== null;
+  }
+
+  /**
+   * Bring layers in and out to match the run, on the next beat
+   * @param {Object} run - Run state {speed, combo, special, timeRemaining}:
+   *   speed as a share of top speed, combo as tricks in the current combo,
+   *   special as whether a special scoring mode is on, and seconds left
+   *   (null when untimed)
+   */
+  update(run) {
+    if (!this.track) return;
+
+    for (const layer of MUSIC_CONFIG.layers) {
+      const wanted = isLayerWanted(layer, run);
+      if (wanted === this.layers[layer.stem]) continue;
+
+      this.layers[layer.stem] = wanted;
+      this.audio.setMusicLayerVolume(
+        this.getStemId(this.track.id, layer.stem),
+        wanted ? 1 : 0,
+        MUSIC_CONFIG.layerFadeTime,
+        this.getTimeToNextBeat()
+      );
+    }
+  }
+
+  /**
+   * Get how long until the next beat of the track
+   * @returns {number} Seconds
+   */
+  getTimeToNextBeat() {
+    const beat = 60 / this.track.tempo;
+    const position = this.audio.getMusicPosition();
+    const beats = Math.floor(position / beat) + 1;
+
+    return beats * beat - position;
+  }
+
+  /**
+   * Fade the track out
+   */
+  stop() {
+    if (!this.track) return;
+
+    this.audio.stopMusic(true, MUSIC_CONFIG.startFadeTime);
+    this.track = null;
+    this.layers = {};
+  }
+}
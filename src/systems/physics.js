@@ -4,7 +4,14 @@
  */
 
 import {GAME_MODES, PHYSICS_CONFIG} from "../constants/game-modes";
-import {clamp} from "../utils/math";
+import {TIMING_CONFIG, getFrameScale} from "../constants/timing";
+import {clamp, lerp, degToRad} from "../utils/math";
+import {
+  getTransitionProfile,
+  getTransitionPoint,
+  getTransitionDistance,
+} from "../utils/transition";
+import {WAVE_CONFIG} from "./wave";
 
 export default class PhysicsController {
   /**
@@ -24,52 +31,327 @@ export default class PhysicsController {
     this.maxSpeed = config.maxSpeed;
     this.acceleration = config.acceleration;
     this.jumpForce = config.jumpForce;
+    this.groundSnap = config.groundSnap || 0;
+    this.stepUp = config.rampStepUp || 0;
+    this.spinSpeed = config.spinSpeed || 0;
 
     // Dynamic state
     this.position = {x: 100, y: 200};
     this.velocity = {x: 0, y: 0};
     this.grounded = false;
 
-    // Terrain factors - for surfing mode
+    // Slope of the surface underfoot (rise in Y per unit X, positive
+    // downhill to the right) and the ramp being ridden, if any
+    this.slope = 0;
+    this.surface = null;
+
+    // Degrees turned in the air since leaving the ground; positive is
+    // clockwise
+    this.rotation = 0;
+
+    // Position at the start of the last step, used for render interpolation
+    this.previousPosition = {x: 100, y: 200};
+
+    // Base frames covered by the current step (1 at 60fps)
+    this.frameScale = 1;
+
+    // Simulation time in seconds, drives wave motion deterministically
+    this.time = 0;
+
+    // Terrain factors - for surfing mode: the wave model ridden, and the
+    // water's height, slope and breaking state under the rider this step
+    this.wave = null;
     this.waveHeight = 0;
     this.waveSlope = 0;
+    this.waveBreak = null;
+
+    // Whether the surfer is lying on the board paddling for a wave, and
+    // pushing it under the water to duck-dive
+    this.paddling = false;
+    this.duckDiving = false;
 
     // Collision state
     this.collisionResponse = null;
+
+    // Grind state {obstacle, riderHeight, balance} while on a grindable
+    this.grind = null;
+
+    // Why the last grind ended ('end', 'balance' or 'jump')
+    this.grindExit = null;
+
+    // Whether the rider is rolling on two wheels in a manual
+    this.manual = false;
+
+    // Pipe state {obstacle, profile, distance, speed, tangent} while riding
+    // a transition, and {obstacle} while in the air above its coping
+    this.vert = null;
+    this.vertAir = null;
   }
 
   /**
    * Update physics simulation
    * @param {number} deltaTime - Time since last update in seconds
+   * @param {number} time - Simulation time in seconds, shared with the level
+   *   and wave so they all read the same moment
    */
-  update(deltaTime = 1 / 60) {
-    // Apply gravity if not grounded
-    if (!this.grounded) {
-      this.velocity.y += this.gravity;
+  update(deltaTime = 1 / 60, time = this.time + deltaTime) {
+    // Remember where this step started for interpolated rendering
+    this.previousPosition.x = this.position.x;
+    this.previousPosition.y = this.position.y;
+
+    // Config values are per 60fps frame, so scale them to this step
+    this.frameScale = getFrameScale(deltaTime);
+    this.time = time;
+    this.grindExit = null;
+
+    // Riding a transition follows its curve instead of moving freely
+    if (this.vert) {
+      this.updateVert();
+      this.collisionResponse = null;
+      return;
     }
 
-    // Apply friction
-    this.velocity.x *= this.friction;
+    if (this.grind) {
+      // Slide along the grindable instead of falling
+      this.updateGrind();
+    } else {
+      // Apply gravity if not grounded; on a slope, only the part of it
+      // along the surface pulls the rider. Lying on a surfboard, the swell
+      // lifts the rider and passes underneath.
+      if (!this.grounded) {
+        this.velocity.y += this.gravity * this.frameScale;
+      } else if (!this.paddling) {
+        this.velocity.x +=
+          ((this.gravity * this.slope) / (1 + this.slope * this.slope)) *
+          this.frameScale;
+      }
+
+      // Apply friction; a manual rolls on without pushing, and a board
+      // paddled or pushed under drags through the water
+      const config = PHYSICS_CONFIG[this.gameMode];
+      let friction = this.friction;
+      if (this.manual) {
+        friction = config.manualFriction;
+      } else if (this.paddling) {
+        friction = this.duckDiving
+          ? config.duckDiveFriction
+          : config.paddleFriction;
+      }
+      this.velocity.x *= Math.pow(friction, this.frameScale);
+
+      // Rolling follows the slope
+      if (this.grounded) {
+        this.velocity.y = this.velocity.x * this.slope;
+      }
+    }
 
     // Special surfing mechanics
     if (this.gameMode === GAME_MODES.SURF) {
-      this.updateWavePhysics(deltaTime);
+      this.updateWavePhysics();
     }
 
     // Update position based on velocity
-    this.position.x += this.velocity.x;
-    this.position.y += this.velocity.y;
+    this.position.x += this.velocity.x * this.frameScale;
+    this.position.y += this.velocity.y * this.frameScale;
+
+    // Drop off once past either end of the grindable or out of balance
+    if (this.grind) {
+      this.checkGrindExit();
+    }
 
     // Reset collision response
     this.collisionResponse = null;
   }
 
+  /**
+   * Start grinding on an obstacle
+   * @param {Object} obstacle - Grindable obstacle
+   * @param {number} riderHeight - Rider height, used to keep feet on top
+   */
+  startGrind(obstacle, riderHeight) {
+    const config = PHYSICS_CONFIG[this.gameMode];
+
+    this.grind = {
+      obstacle,
+      riderHeight,
+      // The board tips toward the direction of travel on landing
+      balance: config.grindStartLean * (this.velocity.x < 0 ? -1 : 1),
+    };
+
+    this.position.y = obstacle.y - riderHeight;
+    this.velocity.y = 0;
+    this.grounded = true;
+    this.vertAir = null;
+  }
+
+  /**
+   * Advance the grind: keep the rider on top and let the lean grow
+   */
+  updateGrind() {
+    const config = PHYSICS_CONFIG[this.gameMode];
+
+    this.velocity.x *= Math.pow(config.grindFriction, this.frameScale);
+    this.velocity.y = 0;
+    this.position.y = this.grind.obstacle.y - this.grind.riderHeight;
+
+    // Balance is unstable: any lean grows unless the player corrects it
+    this.grind.balance +=
+      this.grind.balance * config.grindBalanceDrift * this.frameScale;
+  }
+
+  /**
+   * Lean against the current grind balance
+   * @param {number} direction - -1 to lean back, 1 to lean forward
+   */
+  balanceGrind(direction) {
+    if (!this.grind) return;
+
+    const config = PHYSICS_CONFIG[this.gameMode];
+    this.grind.balance +=
+      direction * config.grindBalanceControl * this.frameScale;
+  }
+
+  /**
+   * End the grind if the rider left the obstacle or lost balance
+   */
+  checkGrindExit() {
+    const obstacle = this.grind.obstacle;
+    const centerX = this.position.x + this.getDimensions().width / 2;
+
+    if (centerX < obstacle.x || centerX > obstacle.x + obstacle.width) {
+      this.endGrind("end");
+    } else if (Math.abs(this.grind.balance) >= 1) {
+      this.endGrind("balance");
+    }
+  }
+
+  /**
+   * Leave the grindable
+   * @param {string} reason - Why the grind ended ('end', 'balance' or 'jump')
+   */
+  endGrind(reason) {
+    if (!this.grind) return;
+
+    this.grind = null;
+    this.grindExit = reason;
+    this.grounded = false;
+  }
+
+  /**
+   * Start or stop rolling in a manual
+   * @param {boolean} active - Whether the rider is in a manual
+   */
+  setManual(active) {
+    this.manual = active;
+  }
+
+  /**
+   * Start riding a pipe's transition from the current position
+   * The velocity is turned to run along the surface, keeping the part of it
+   * that points along the wall.
+   * @param {Object} obstacle - Halfpipe or quarter-pipe
+   */
+  startVert(obstacle) {
+    const profile = getTransitionProfile(obstacle);
+    const centerX = this.position.x + this.getDimensions().width / 2;
+    const distance = getTransitionDistance(profile, centerX);
+    const point = getTransitionPoint(profile, distance);
+
+    this.vert = {
+      obstacle,
+      profile,
+      distance,
+      speed:
+        this.velocity.x * point.tangent.x + this.velocity.y * point.tangent.y,
+      tangent: point.tangent,
+    };
+    this.vertAir = null;
+    this.grounded = true;
+    this.slope = 0;
+    this.surface = null;
+
+    this.placeOnVert(point);
+  }
+
+  /**
+   * Advance along the transition: gravity pulls along the wall, and riding
+   * past either end leaves it
+   */
+  updateVert() {
+    const config = PHYSICS_CONFIG[this.gameMode];
+    const vert = this.vert;
+
+    vert.speed += this.gravity * vert.tangent.y * this.frameScale;
+    vert.speed *= Math.pow(config.vertFriction, this.frameScale);
+    vert.speed = clamp(vert.speed, -config.vertMaxSpeed, config.vertMaxSpeed);
+    vert.distance += vert.speed * this.frameScale;
+
+    const point = getTransitionPoint(vert.profile, vert.distance);
+    this.placeOnVert(point);
+
+    if (vert.distance >= 0 && vert.distance <= vert.profile.length) return;
+
+    if (Math.abs(point.tangent.y) > 0.5) {
+      // Out over the coping, straight up the wall's line and just inside
+      // it, so the rider comes back down onto the wall
+      this.position.x += vert.distance < 0 ? 1 : -1;
+      this.vertAir = {obstacle: vert.obstacle};
+      this.leaveVert();
+    } else {
+      // Rolled off the flat end onto the ground, just clear of the pipe
+      this.position.x += vert.distance < 0 ? -1 : 1;
+      this.leaveVert();
+      this.velocity.y = 0;
+      this.grounded = true;
+    }
+  }
+
+  /**
+   * Stand the rider on a point of the transition, moving along it
+   * @param {Object} point - Point from getTransitionPoint
+   */
+  placeOnVert(point) {
+    const {width, height} = this.getDimensions();
+
+    this.vert.tangent = point.tangent;
+    this.position.x = point.x - width / 2;
+    this.position.y = point.y - height;
+    this.velocity.x = point.tangent.x * this.vert.speed;
+    this.velocity.y = point.tangent.y * this.vert.speed;
+  }
+
+  /**
+   * Pump the transition: crouching while dropping down a wall adds speed
+   */
+  pumpVert() {
+    if (!this.vert) return;
+
+    const config = PHYSICS_CONFIG[this.gameMode];
+    const dropping = this.vert.tangent.y * this.vert.speed > 0;
+    if (!dropping) return;
+
+    this.vert.speed +=
+      Math.sign(this.vert.speed) *
+      config.vertPumpAcceleration *
+      this.frameScale;
+  }
+
+  /**
+   * Leave the transition, keeping the velocity along it
+   */
+  leaveVert() {
+    if (!this.vert) return;
+
+    this.vert = null;
+    this.grounded = false;
+  }
+
   /**
    * Move character left
    */
   moveLeft() {
     if (this.velocity.x > -this.maxSpeed) {
-      this.velocity.x -= this.acceleration;
+      this.velocity.x -= this.acceleration * this.frameScale;
       // Cap the speed
       this.velocity.x = Math.max(this.velocity.x, -this.maxSpeed);
     }
@@ -80,7 +362,7 @@ export default class PhysicsController {
    */
   moveRight() {
     if (this.velocity.x < this.maxSpeed) {
-      this.velocity.x += this.acceleration;
+      this.velocity.x += this.acceleration * this.frameScale;
       // Cap the speed
       this.velocity.x = Math.min(this.velocity.x, this.maxSpeed);
     }
@@ -92,6 +374,8 @@ export default class PhysicsController {
    */
   jump() {
     if (this.grounded) {
+      this.endGrind("jump");
+      this.leaveVert();
       this.velocity.y = -this.jumpForce;
       this.grounded = false;
       return true;
@@ -99,6 +383,34 @@ export default class PhysicsController {
     return false;
   }
 
+  /**
+   * Turn in the air
+   * @param {number} direction - -1 to spin anticlockwise, 1 clockwise
+   */
+  spin(direction) {
+    if (this.grounded) return;
+
+    this.rotation += direction * this.spinSpeed * this.frameScale;
+  }
+
+  /**
+   * Finish the spin on touching down
+   * @returns {number} Degrees turned in the air; positive is clockwise
+   */
+  endSpin() {
+    const rotation = this.rotation;
+    this.rotation = 0;
+    return rotation;
+  }
+
+  /**
+   * Set the wave model surfed on
+   * @param {WaveSystem} wave - Wave model shared with the level
+   */
+  setWave(wave) {
+    this.wave = wave;
+  }
+
   /**
    * Set character position
    * @param {number} x - X position
@@ -107,6 +419,20 @@ export default class PhysicsController {
   setPosition(x, y) {
     this.position.x = x;
     this.position.y = y;
+    this.previousPosition.x = x;
+    this.previousPosition.y = y;
+  }
+
+  /**
+   * Get position blended between the previous and current step
+   * @param {number} alpha - Interpolation factor (0-1)
+   * @returns {Object} Position {x, y}
+   */
+  getInterpolatedPosition(alpha) {
+    return {
+      x: lerp(this.previousPosition.x, this.position.x, alpha),
+      y: lerp(this.previousPosition.y, this.position.y, alpha),
+    };
   }
 
   /**
@@ -119,14 +445,51 @@ export default class PhysicsController {
     this.velocity.y = y;
   }
 
+  /**
+   * Check whether the rider is moving into a surface rather than away
+   * from it, so contact from the air only counts when coming down onto it
+   * @param {number} slope - Surface slope (rise in Y per unit X)
+   * @returns {boolean} Whether the velocity points into the surface
+   */
+  isMovingIntoSurface(slope = 0) {
+    return this.velocity.y >= this.velocity.x * slope;
+  }
+
   /**
    * Handle collision with ground
+   * Velocity is turned to run along the surface, keeping the part of it
+   * that points along the slope: landing on a downslope carries the fall
+   * into speed, and hitting an upslope costs some.
    * @param {number} groundY - Y position of ground
+   * @param {number} slope - Surface slope (rise in Y per unit X)
+   * @param {Object} surface - Ramp obstacle being ridden (optional)
    */
-  handleGroundCollision(groundY) {
+  handleGroundCollision(groundY, slope = 0, surface = null) {
+    const lengthSquared = 1 + slope * slope;
+    const along = (this.velocity.x + this.velocity.y * slope) / lengthSquared;
+
     this.position.y = groundY;
-    this.velocity.y = 0;
+    this.velocity.x = along;
+    this.velocity.y = along * slope;
     this.grounded = true;
+    this.slope = slope;
+    this.surface = surface;
+    this.vertAir = null;
+  }
+
+  /**
+   * Launch off the lip of a ramp
+   * @param {Object} properties - Ramp properties {launchVelocity, angle}
+   */
+  launch(properties) {
+    const direction = this.velocity.x < 0 ? -1 : 1;
+    const angle = degToRad(properties.angle);
+
+    this.velocity.x = Math.cos(angle) * properties.launchVelocity * direction;
+    this.velocity.y = -Math.sin(angle) * properties.launchVelocity;
+    this.grounded = false;
+    this.slope = 0;
+    this.surface = null;
   }
 
   /**
@@ -154,12 +517,16 @@ export default class PhysicsController {
     } else {
       // Vertical collision
       if (this.position.y < obstacle.y) {
+        // Landed on top
         this.position.y -= overlap.height;
         this.velocity.y = Math.min(0, this.velocity.y);
+        this.grounded = true;
+        this.slope = 0;
+        this.surface = null;
+        this.vertAir = null;
       } else {
         this.position.y += overlap.height;
         this.velocity.y = Math.max(0, this.velocity.y);
-        this.grounded = true;
       }
     }
   }
@@ -198,25 +565,32 @@ export default class PhysicsController {
 
   /**
    * Update wave physics for surf mode
-   * @param {number} deltaTime - Time since last update
    */
-  updateWavePhysics(deltaTime) {
-    if (this.gameMode !== GAME_MODES.SURF) return;
-
-    // Update wave parameters based on time
-    const config = PHYSICS_CONFIG[GAME_MODES.SURF];
-
-    this.waveHeight =
-      config.waterLevel + Math.sin(Date.now() / 1000) * config.waveAmplitude;
+  updateWavePhysics() {
+    if (this.gameMode !== GAME_MODES.SURF || !this.wave) return;
 
-    this.waveSlope = Math.cos(Date.now() / 1000) * 0.5;
+    // Read the water under the rider's feet
+    const centerX = this.position.x + this.getDimensions().width / 2;
+    this.waveHeight = this.wave.getHeightAt(centerX, this.time);
+    this.waveSlope = this.wave.getSlopeAt(centerX, this.time);
+    this.waveBreak = this.wave.getBreakAt(centerX, this.time);
 
-    // Apply wave forces
-    this.velocity.x += this.waveSlope * 0.2;
+    // Only a rider up on the board is carried by the wave
+    if (this.paddling) return;
 
-    // If on steep part of wave, accelerate
+    // The face itself pulls the rider like any slope; on a steep part of
+    // it, accelerate
     if (this.onWaveFace() && this.waveSlope > 0.2) {
-      this.velocity.x += 0.1;
+      this.velocity.x += 0.1 * this.frameScale;
+    }
+
+    // A breaking wave drives the rider on in its pocket and holds them back
+    // in the whitewater behind the curl
+    const config = PHYSICS_CONFIG[GAME_MODES.SURF];
+    if (this.grounded && this.waveBreak === "pocket") {
+      this.velocity.x += config.pocketPush * this.frameScale;
+    } else if (this.grounded && this.waveBreak === "whitewater") {
+      this.velocity.x *= Math.pow(config.whitewaterDrag, this.frameScale);
     }
   }
 
@@ -225,14 +599,10 @@ export default class PhysicsController {
    * @returns {number} Y position of wave
    */
   getWaveY() {
-    if (this.gameMode !== GAME_MODES.SURF) return 0;
+    if (this.gameMode !== GAME_MODES.SURF || !this.wave) return 0;
 
-    const config = PHYSICS_CONFIG[GAME_MODES.SURF];
-
-    return (
-      config.waterLevel +
-      Math.sin(this.position.x * config.waveFrequency) * config.waveAmplitude
-    );
+    const centerX = this.position.x + this.getDimensions().width / 2;
+    return this.wave.getHeightAt(centerX, this.time);
   }
 
   /**
@@ -242,8 +612,96 @@ export default class PhysicsController {
   onWaveFace() {
     if (this.gameMode !== GAME_MODES.SURF) return false;
 
+    // Compare the rider's feet with the wave surface
     const waveY = this.getWaveY();
-    return Math.abs(this.position.y - waveY) < 20;
+    const feetY = this.position.y + this.getDimensions().height;
+    return Math.abs(feetY - waveY) < 20;
+  }
+
+  /**
+   * Keep pace with a breaking wave's curl while inside its barrel
+   */
+  rideBarrel() {
+    this.velocity.x = WAVE_CONFIG.curlSpeed / TIMING_CONFIG.baseFrameRate;
+  }
+
+  /**
+   * Lie down on the board to paddle, at a standstill
+   */
+  startPaddling() {
+    this.paddling = true;
+    this.duckDiving = false;
+    this.velocity.x = 0;
+  }
+
+  /**
+   * Pull one paddle stroke
+   */
+  paddle() {
+    const config = PHYSICS_CONFIG[GAME_MODES.SURF];
+    this.velocity.x = Math.min(
+      this.velocity.x + config.paddleStroke,
+      config.paddleMaxSpeed
+    );
+  }
+
+  /**
+   * Push the board under the water or let it back up
+   * @param {boolean} active - Whether the rider is duck-diving
+   */
+  duckDive(active) {
+    this.duckDiving = active;
+  }
+
+  /**
+   * Get pushed back by a roller of whitewater
+   */
+  washBack() {
+    this.velocity.x = -PHYSICS_CONFIG[GAME_MODES.SURF].rollerWashBack;
+  }
+
+  /**
+   * Spring up from paddling onto a caught wave
+   */
+  popUp() {
+    this.paddling = false;
+    this.duckDiving = false;
+    this.velocity.x = Math.max(
+      this.velocity.x,
+      PHYSICS_CONFIG[GAME_MODES.SURF].popUpSpeed
+    );
+  }
+
+  /**
+   * Get the crest of the swell nearest the rider
+   * @returns {Object|null} Swell {index, offset, roller}; offset is how far
+   *   the rider is ahead of the crest. Null when there is no wave.
+   */
+  getSwell() {
+    if (this.gameMode !== GAME_MODES.SURF || !this.wave) return null;
+
+    const centerX = this.position.x + this.getDimensions().width / 2;
+    const crest = this.wave.getCrestAt(centerX, this.time);
+    return {
+      index: crest.index,
+      offset: centerX - crest.x,
+      roller: this.wave.isRoller(crest.index),
+    };
+  }
+
+  /**
+   * Check if the rider's feet are close enough to touch a breaking lip
+   * @returns {boolean} Whether the rider is at the lip
+   */
+  isNearLip() {
+    if (this.gameMode !== GAME_MODES.SURF || !this.wave) return false;
+
+    const {width, height} = this.getDimensions();
+    return this.wave.isNearLip(
+      this.position.x + width / 2,
+      this.position.y + height,
+      this.time
+    );
   }
 
   /**
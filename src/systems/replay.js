@@ -0,0 +1,211 @@
+/**
+ * Replay system
+ * Records gameplay inputs per simulation tick and plays them back
+ */
+
+import {TIMING_CONFIG} from "../constants/timing";
+import {saveReplay, loadReplay} from "../utils/storage";
+
+/**
+ * Replay format version, bumped when recorded data changes shape
+ */
+export const REPLAY_VERSION = 2;
+
+/**
+ * Recordable actions; events store an index into this list
+ */
+export const REPLAY_ACTIONS = [
+  "left",
+  "right",
+  "up",
+  "down",
+  "jump",
+  "trick1",
+  "trick2",
+  "trick3",
+];
+
+/**
+ * Build the storage key for a mode and level
+ * @param {string} mode - Game mode
+ * @param {string} levelId - Level identifier
+ * @returns {string} Replay key
+ */
+export function getReplayKey(mode, levelId) {
+  return `${mode}_${levelId}`;
+}
+
+export default class ReplaySystem {
+  /**
+   * Create a replay system
+   */
+  constructor() {
+    this.state = "idle"; // idle, recording, playing
+
+    // Replay being recorded or played
+    this.replay = null;
+
+    // Playback cursor into replay.events
+    this.eventIndex = 0;
+  }
+
+  /**
+   * Start recording a run
+   * @param {Object} info - Run info {mode, levelId, seed}
+   */
+  startRecording(info) {
+    this.state = "recording";
+    this.eventIndex = 0;
+    this.replay = {
+      version: REPLAY_VERSION,
+      tickRate: TIMING_CONFIG.tickRate,
+      mode: info.mode,
+      levelId: info.levelId,
+      seed: info.seed,
+      length: 0, // Tick the run ended on
+      score: 0,
+      // Each event is [tick, actionIndex, active (1 or 0)]
+      events: [],
+    };
+  }
+
+  /**
+   * Record an input change
+   * @param {number} tick - Simulation tick the input applies to
+   * @param {string} action - Input action
+   * @param {boolean} active - Whether action is active
+   */
+  recordInput(tick, action, active) {
+    if (this.state !== "recording") return;
+
+    const actionIndex = REPLAY_ACTIONS.indexOf(action);
+    if (actionIndex === -1) return;
+
+    this.replay.events.push([tick, actionIndex, active ? 1 : 0]);
+  }
+
+  /**
+   * Stop recording
+   * @param {number} tick - Tick the run ended on
+   * @param {Object} stats - Final run stats
+   * @returns {Object|null} Finished replay or null if not recording
+   */
+  stopRecording(tick, stats = {}) {
+    if (this.state !== "recording") return null;
+
+    this.state = "idle";
+    this.replay.length = tick;
+    this.replay.score = stats.score || 0;
+
+    return this.replay;
+  }
+
+  /**
+   * Save a finished replay
+   * @param {Object} replay - Replay data
+   * @returns {boolean} Whether replay was saved
+   */
+  save(replay = this.replay) {
+    if (!replay) return false;
+
+    return saveReplay(getReplayKey(replay.mode, replay.levelId), replay);
+  }
+
+  /**
+   * Load the saved replay for a mode and level
+   * @param {string} mode - Game mode
+   * @param {string} levelId - Level identifier
+   * @returns {Object|null} Replay data or null if none saved
+   */
+  load(mode, levelId) {
+    return loadReplay(getReplayKey(mode, levelId));
+  }
+
+  /**
+   * Start playing back a replay
+   * @param {Object} replay - Replay data
+   * @returns {boolean} Whether playback started
+   */
+  startPlayback(replay) {
+    if (!replay || replay.version !== REPLAY_VERSION) {
+      console.warn("Unsupported replay version");
+      return false;
+    }
+
+    if (replay.tickRate !== TIMING_CONFIG.tickRate) {
+      console.warn(
+        `Replay recorded at ${replay.tickRate}Hz cannot play at ${TIMING_CONFIG.tickRate}Hz`
+      );
+      return false;
+    }
+
+    this.state = "playing";
+    this.replay = replay;
+    this.eventIndex = 0;
+    return true;
+  }
+
+  /**
+   * Get recorded inputs for a tick, advancing the playback cursor
+   * @param {number} tick - Simulation tick
+   * @returns {Array} Inputs [{action, active}]
+   */
+  getInputsForTick(tick) {
+    const inputs = [];
+    if (this.state !== "playing") return inputs;
+
+    const events = this.replay.events;
+    while (
+      this.eventIndex < events.length &&
+      events[this.eventIndex][0] <= tick
+    ) {
+      const [, actionIndex, active] = events[this.eventIndex];
+      inputs.push({action: REPLAY_ACTIONS[actionIndex], active: active === 1});
+      this.eventIndex++;
+    }
+
+    return inputs;
+  }
+
+  /**
+   * Check if playback has reached the end of the replay
+   * @param {number} tick - Simulation tick
+   * @returns {boolean} Whether playback is finished
+   */
+  isPlaybackFinished(tick) {
+    return this.state === "playing" && tick > this.replay.length;
+  }
+
+  /**
+   * Stop playback
+   */
+  stopPlayback() {
+    if (this.state === "playing") {
+      this.state = "idle";
+    }
+  }
+
+  /**
+   * Stop recording or playback, keeping the last replay
+   */
+  stop() {
+    this.state = "idle";
+    this.eventIndex = 0;
+  }
+
+  /**
+   * Check if a run is being recorded
+   * @returns {boolean} Whether recording
+   */
+  isRecording() {
+    return this.state === "recording";
+  }
+
+  /**
+   * Check if a replay is playing
+   * @returns {boolean} Whether playing
+   */
+  isPlaying() {
+    return this.state === "playing";
+  }
+}
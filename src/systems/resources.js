@@ -1,3 +1,5 @@
+import { parseAtlas } from '../utils/atlas';
+
 /**
  * Resource loader for managing game assets
  */
@@ -85,6 +87,9 @@ export default class ResourceLoader {
         case 'json':
           this._loadJSON(asset, resolve, reject);
           break;
+        case 'atlas':
+          this._loadAtlas(asset, resolve, reject);
+          break;
         default:
           const error = new Error(`Unknown asset type: ${asset.type}`);
           this.resources[asset.id].error = error;
@@ -179,6 +184,45 @@ export default class ResourceLoader {
       });
   }
   
+  /**
+   * Load a texture atlas: its JSON, then the packed sheet it names
+   * The sheet is found beside the JSON unless the asset gives an image path.
+   * The resource is the parsed atlas with the sheet as its image.
+   * @private
+   */
+  _loadAtlas(asset, resolve, reject) {
+    fetch(asset.src)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load atlas: ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        const atlas = parseAtlas(data);
+        const folder = asset.src.slice(0, asset.src.lastIndexOf('/') + 1);
+        const src = asset.image || folder + atlas.image;
+
+        return new Promise((imageLoaded, imageFailed) => {
+          const img = new Image();
+          img.onload = () => imageLoaded({ ...atlas, image: img });
+          img.onerror = () => imageFailed(new Error(`Failed to load ${src}`));
+          img.src = src;
+        });
+      })
+      .then(atlas => {
+        this.resources[asset.id].resource = atlas;
+        this.resources[asset.id].loaded = true;
+        this._assetLoaded(asset.id);
+        resolve();
+      })
+      .catch(error => {
+        this.resources[asset.id].error = error;
+        console.error(`Failed to load atlas: ${asset.src}`, error);
+        reject(error);
+      });
+  }
+  
   /**
    * Called when an asset finishes loading
    * @private
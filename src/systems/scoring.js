@@ -3,9 +3,22 @@
  * Handles points, combos, multipliers, and level goals
  */
 
-import {GAME_MODES} from "../constants/game-modes";
+import {GAME_MODES, SCORING_CONFIG} from "../constants/game-modes";
+import {getFrameScale} from "../constants/timing";
 import {saveHighScores, loadHighScores} from "../utils/storage";
 
+/**
+ * Get the kind of a trick, for rewarding combos that mix kinds
+ * @param {Object} trick - Trick definition
+ * @returns {string} 'grind', 'manual', 'tube' or 'air'
+ */
+function getTrickKind(trick) {
+  if (trick.grindTrick) return "grind";
+  if (trick.manualTrick) return "manual";
+  if (trick.tubeTrick) return "tube";
+  return "air";
+}
+
 export default class ScoringSystem {
   /**
    * Create a scoring system
@@ -42,6 +55,11 @@ export default class ScoringSystem {
     this.totalTricks = 0;
     this.uniqueTricks = {};
     this.collectiblesGathered = 0;
+    this.grindTime = 0; // Seconds
+    this.manualTime = 0; // Seconds
+    this.tubeTime = 0; // Seconds
+    this.bails = 0;
+    this.missedWaves = 0;
     this.specialGoalsProgress = {};
 
     // Achievement system
@@ -57,6 +75,9 @@ export default class ScoringSystem {
       special: 0,
     };
 
+    // Events
+    this.onObjectivesComplete = null;
+
     // Initialize
     this.loadHighScore();
     this.initializeSpecialGoals();
@@ -88,8 +109,12 @@ export default class ScoringSystem {
 
   /**
    * Initialize special goals tracking based on level data
+   * Trick goals are keyed per trick (PERFORM_TRICK_<id>) so a level can ask
+   * for several different tricks.
    */
   initializeSpecialGoals() {
+    this.specialGoalsProgress = {};
+
     if (
       !this.levelData ||
       !this.levelData.objectives ||
@@ -99,7 +124,12 @@ export default class ScoringSystem {
     }
 
     for (const goal of this.levelData.objectives.specialGoals) {
-      this.specialGoalsProgress[goal.type] = {
+      const key =
+        goal.type === "PERFORM_TRICK" && goal.trickId
+          ? `${goal.type}_${goal.trickId}`
+          : goal.type;
+
+      this.specialGoalsProgress[key] = {
         current: 0,
         target: goal.count || goal.duration || 1,
         complete: false,
@@ -189,6 +219,10 @@ export default class ScoringSystem {
    * @returns {Object} Combo info
    */
   recordTrick(trick, trickScore) {
+    const config = SCORING_CONFIG[this.gameMode] || {};
+    const kind = getTrickKind(trick);
+    const previous = this.currentCombo[this.currentCombo.length - 1];
+
     // Add to trick counters
     this.totalTricks++;
     this.uniqueTricks[trick.id] = true;
@@ -197,6 +231,7 @@ export default class ScoringSystem {
     this.currentCombo.push({
       name: trick.name,
       id: trick.id,
+      kind,
       score: trickScore,
       time: Date.now(),
     });
@@ -204,11 +239,17 @@ export default class ScoringSystem {
     // Reset combo timer
     this.comboTimer = this.maxComboTimer;
 
-    // Update multiplier based on combo length
-    this.multiplier = Math.min(
-      10.0,
-      1.0 + (this.currentCombo.length - 1) * 0.5
-    );
+    // Each trick after the first grows the multiplier, and linking a
+    // different kind of trick (air into manual into grind) grows it more
+    if (previous) {
+      const growth =
+        (config.comboMultiplier ?? 0.5) +
+        (previous.kind !== kind ? config.comboLinkBonus || 0 : 0);
+      this.multiplier = Math.min(
+        config.maxMultiplier || 10.0,
+        this.multiplier + growth
+      );
+    }
 
     // Add combo points based on trick score
     this.comboPoints += trickScore;
@@ -235,6 +276,117 @@ export default class ScoringSystem {
     };
   }
 
+  /**
+   * Record a finished grind
+   * @param {Object} trick - Grind trick definition
+   * @param {number} duration - Time spent grinding in seconds
+   * @returns {Object} Points info
+   */
+  recordGrind(trick, duration) {
+    this.grindTime += duration;
+
+    // The grind keeps the combo going
+    this.comboTimer = this.maxComboTimer;
+
+    // Points accrue for every second on the grindable
+    const points = this.addPoints(
+      Math.floor((trick.scorePerSecond || 0) * duration),
+      "trick"
+    );
+
+    this.updateSpecialGoals("GRIND", duration);
+
+    return points;
+  }
+
+  /**
+   * Record a finished manual
+   * @param {Object} trick - Manual trick definition
+   * @param {number} duration - Time spent in the manual in seconds
+   * @returns {Object} Points info
+   */
+  recordManual(trick, duration) {
+    this.manualTime += duration;
+
+    // The manual keeps the combo going
+    this.comboTimer = this.maxComboTimer;
+
+    // Points accrue for every second balanced
+    return this.addPoints(
+      Math.floor((trick.scorePerSecond || 0) * duration),
+      "trick"
+    );
+  }
+
+  /**
+   * Keep the combo from timing out while the rider links tricks on the
+   * ground
+   */
+  extendCombo() {
+    if (this.currentCombo.length > 0) {
+      this.comboTimer = this.maxComboTimer;
+    }
+  }
+
+  /**
+   * Record a finished tube ride
+   * @param {Object} ride - Tube ride {trick, zone, duration, exit, wipedOut}
+   * @returns {Object|null} Points info, or null after a wipeout
+   */
+  recordTubeRide(ride) {
+    // A wipeout scores nothing; the bail it causes drops the combo
+    if (ride.wipedOut) return null;
+
+    this.tubeTime += ride.duration;
+
+    // The tube ride keeps the combo going
+    this.comboTimer = this.maxComboTimer;
+
+    // Points accrue for every second in the barrel
+    const config = SCORING_CONFIG[this.gameMode] || {};
+    const pointsPerSecond =
+      ride.zone.properties.scorePerSecond ||
+      ride.trick.scorePerSecond ||
+      config.tubeRidePointsPerSecond ||
+      0;
+
+    let points = pointsPerSecond * ride.duration;
+    if (ride.exit === "clean") {
+      points *= config.tubeCleanExitMultiplier || 1;
+    }
+
+    const result = this.addPoints(Math.floor(points), "trick");
+
+    this.updateSpecialGoals("TUBE_RIDE", ride.duration);
+
+    return result;
+  }
+
+  /**
+   * Record a bail or wipeout, throwing away the pending combo
+   */
+  recordBail() {
+    this.bails++;
+
+    this.currentCombo = [];
+    this.comboPoints = 0;
+    this.comboTimer = 0;
+    this.multiplier = 1.0;
+  }
+
+  /**
+   * Record a wave the surfer paddled for but didn't catch
+   * @returns {number} Points taken off the score
+   */
+  recordMissedWave() {
+    const config = SCORING_CONFIG[this.gameMode] || {};
+    const penalty = Math.min(this.score, config.missedWavePenalty || 0);
+
+    this.score -= penalty;
+    this.missedWaves++;
+    return penalty;
+  }
+
   /**
    * Update special goals progress
    * @param {string} type - Goal type
@@ -311,11 +463,15 @@ export default class ScoringSystem {
 
   /**
    * Update system state
+   * @param {number} deltaTime - Time step in seconds
    */
-  update() {
+  update(deltaTime = 1 / 60) {
+    // Timers count 60fps frames regardless of the step size
+    const frameScale = getFrameScale(deltaTime);
+
     // Update combo timer
     if (this.comboTimer > 0) {
-      this.comboTimer--;
+      this.comboTimer = Math.max(0, this.comboTimer - frameScale);
 
       // If combo timer expires, finalize combo
       if (this.comboTimer === 0) {
@@ -325,7 +481,7 @@ export default class ScoringSystem {
 
     // Update special mode timer
     if (this.specialModeActive && this.specialModeTimer > 0) {
-      this.specialModeTimer--;
+      this.specialModeTimer = Math.max(0, this.specialModeTimer - frameScale);
 
       if (this.specialModeTimer === 0) {
         this.endSpecialMode();
@@ -441,13 +597,20 @@ export default class ScoringSystem {
       !this.levelData.objectives.collectiblesTarget ||
       this.collectiblesGathered >= this.levelData.objectives.collectiblesTarget;
 
-    // Level is complete if all objectives are met
+    // Level is complete if all objectives are met; the run itself ends at
+    // the finish line
+    const wasComplete = this.levelComplete;
     this.levelComplete =
       scoreComplete && collectiblesComplete && this.objectivesComplete;
 
     // Save high score if level is complete
     if (this.levelComplete) {
       this.saveHighScore();
+
+      // Notify once when the objectives are first all met
+      if (!wasComplete && this.onObjectivesComplete) {
+        this.onObjectivesComplete();
+      }
     }
 
     return {
@@ -486,6 +649,11 @@ export default class ScoringSystem {
         totalTricks: this.totalTricks,
         uniqueTricks: Object.keys(this.uniqueTricks).length,
         collectiblesGathered: this.collectiblesGathered,
+        grindTime: this.grindTime,
+        manualTime: this.manualTime,
+        tubeTime: this.tubeTime,
+        bails: this.bails,
+        missedWaves: this.missedWaves,
       },
       breakdown: this.pointsBreakdown,
     };
@@ -499,6 +667,66 @@ export default class ScoringSystem {
     return this.specialGoalsProgress;
   }
 
+  /**
+   * Get every level objective as a checklist
+   * @returns {Array} Objectives [{id, label, current, target, complete}]
+   */
+  getObjectives() {
+    const objectives = [];
+    if (!this.levelData || !this.levelData.objectives) return objectives;
+
+    const {scoreTarget, collectiblesTarget} = this.levelData.objectives;
+
+    if (scoreTarget) {
+      objectives.push({
+        id: "SCORE_TARGET",
+        label: `Score ${scoreTarget} points`,
+        current: Math.min(this.score, scoreTarget),
+        target: scoreTarget,
+        complete: this.score >= scoreTarget,
+      });
+    }
+
+    if (collectiblesTarget) {
+      objectives.push({
+        id: "COLLECTIBLES_TARGET",
+        label: `Collect ${collectiblesTarget} items`,
+        current: Math.min(this.collectiblesGathered, collectiblesTarget),
+        target: collectiblesTarget,
+        complete: this.collectiblesGathered >= collectiblesTarget,
+      });
+    }
+
+    const goals = this.getSpecialGoalsProgress();
+    for (const id in goals) {
+      const goal = goals[id];
+      objectives.push({
+        id,
+        label: goal.label || id,
+        current: Math.min(goal.current, goal.target),
+        target: goal.target,
+        complete: goal.complete,
+      });
+    }
+
+    return objectives;
+  }
+
+  /**
+   * Rate a finished run by the objectives met
+   * Finishing earns one star, meeting at least half the objectives two and
+   * meeting all of them three.
+   * @returns {number} Star rating (1-3)
+   */
+  getStarRating() {
+    const objectives = this.getObjectives();
+    const met = objectives.filter((objective) => objective.complete).length;
+
+    if (met === objectives.length) return 3;
+    if (met * 2 >= objectives.length) return 2;
+    return 1;
+  }
+
   /**
    * Reset scoring system
    */
@@ -517,6 +745,11 @@ export default class ScoringSystem {
     this.totalTricks = 0;
     this.uniqueTricks = {};
     this.collectiblesGathered = 0;
+    this.grindTime = 0;
+    this.manualTime = 0;
+    this.tubeTime = 0;
+    this.bails = 0;
+    this.missedWaves = 0;
     this.scoreHistory = [];
     this.pointsBreakdown = {
       tricks: 0,
@@ -0,0 +1,537 @@
+/**
+ * Gameplay simulation
+ * Wires physics, character, level and scoring together and advances them in
+ * fixed steps. Has no DOM dependencies, so it runs the same in the browser,
+ * in tests and from the command line.
+ */
+
+import PhysicsController from "./physics";
+import CharacterController from "./character";
+import LevelSystem from "./level";
+import ScoringSystem from "./scoring";
+import ReplaySystem from "./replay";
+
+import {GAME_MODES, PHYSICS_CONFIG} from "../constants/game-modes";
+import {getLevelByIndex, getLevelIndexById} from "../constants/levels";
+import {TIMING_CONFIG, FIXED_TIME_STEP} from "../constants/timing";
+
+export default class Simulation {
+  /**
+   * Create a simulation
+   * @param {Object} options - Simulation options
+   * @param {string} options.mode - Game mode ('skate' or 'surf')
+   * @param {number} options.levelIndex - Level index to load
+   * @param {number|string} options.seed - Level generation seed
+   * @param {Object} options.levelData - Level definition to build and score
+   *   (defaults to the definition for levelIndex)
+   * @param {AnimationSystem} options.animations - Animation system (optional)
+   */
+  constructor({
+    mode = GAME_MODES.SKATE,
+    levelIndex = 0,
+    seed = null,
+    levelData = getLevelByIndex(levelIndex, mode),
+    animations = null,
+  } = {}) {
+    this.gameMode = mode;
+    this.levelIndex = levelIndex;
+
+    // Gameplay systems
+    this.physics = new PhysicsController(mode);
+    this.character = new CharacterController(this.physics, animations, mode);
+    this.level = new LevelSystem(mode, levelIndex, seed, levelData);
+    this.level.initializeLevel();
+    this.physics.setWave(this.level.wave);
+    this.scoring = new ScoringSystem(mode, levelData);
+
+    // Simulation clock
+    this.tick = 0;
+    this.time = 0; // Seconds
+
+    // Run limits; a time limit of 0 means the run is untimed
+    this.timeLimit = (levelData && levelData.timeLimit) || 0;
+    this.gapFallDepth = PHYSICS_CONFIG[mode].gapFallDepth || 0;
+
+    // Set once the rider crosses the finish line
+    this.levelComplete = false;
+
+    // Set once the run has failed
+    this.gameOver = false;
+    this.gameOverReason = null; // 'time' or 'gap'
+
+    // Gameplay events for presentation (UI, audio)
+    this.onJump = null;
+    this.onLand = null;
+    this.onTrickPerformed = null;
+    this.onComboEnd = null;
+    this.onCollectibleCollected = null;
+    this.onSpecialZoneEntered = null;
+    this.onGrindEnd = null;
+    this.onManualEnd = null;
+    this.onTubeRideEnd = null;
+    this.onBail = null;
+    this.onObstacleHit = null;
+    this.onWaveMissed = null;
+    this.onObjectivesComplete = null;
+    this.onLevelComplete = null;
+    this.onGameOver = null;
+
+    this.connectSystems();
+  }
+
+  /**
+   * Connect systems together
+   */
+  connectSystems() {
+    // Connect character and scoring system
+    this.character.onTrickPerformed = (trick, score, combo) => {
+      this.scoring.recordTrick(trick, score);
+
+      if (this.onTrickPerformed) {
+        this.onTrickPerformed(trick, score, combo);
+      }
+    };
+
+    this.character.onComboEnd = (comboCount) => {
+      if (this.onComboEnd) {
+        this.onComboEnd(comboCount);
+      }
+    };
+
+    this.character.onGrindEnd = (trick, duration, reason) => {
+      // Falling off loses the grind along with the combo
+      const points =
+        reason === "balance" ? null : this.scoring.recordGrind(trick, duration);
+
+      if (this.onGrindEnd) {
+        const total = points ? points.totalPoints : 0;
+        this.onGrindEnd(trick, duration, total, reason);
+      }
+    };
+
+    this.character.onManualEnd = (trick, duration, reason) => {
+      // Losing balance loses the manual along with the combo
+      const points =
+        reason === "balance"
+          ? null
+          : this.scoring.recordManual(trick, duration);
+
+      if (this.onManualEnd) {
+        const total = points ? points.totalPoints : 0;
+        this.onManualEnd(trick, duration, total, reason);
+      }
+    };
+
+    this.character.onTubeRideEnd = (ride) => {
+      const points = this.scoring.recordTubeRide(ride);
+
+      if (this.onTubeRideEnd) {
+        this.onTubeRideEnd(ride, points ? points.totalPoints : 0);
+      }
+    };
+
+    this.character.onBail = (reason) => {
+      this.scoring.recordBail();
+
+      if (this.onBail) {
+        this.onBail(reason);
+      }
+    };
+
+    this.character.onWaveMissed = () => {
+      const penalty = this.scoring.recordMissedWave();
+
+      if (this.onWaveMissed) {
+        this.onWaveMissed(penalty);
+      }
+    };
+
+    // Connect level system with scoring
+    this.level.onCollectibleCollected = (collectible) => {
+      this.scoring.recordCollectible(collectible);
+
+      if (this.onCollectibleCollected) {
+        this.onCollectibleCollected(collectible);
+      }
+    };
+
+    this.level.onSpecialZoneEntered = (zone) => {
+      if (zone.subType === "score_multiplier") {
+        this.scoring.startSpecialMode(
+          zone.properties.duration,
+          zone.properties.scoreMultiplier
+        );
+      } else if (zone.subType === "speed_boost") {
+        this.physics.velocity.x *= zone.properties.velocityBoost;
+      }
+
+      if (this.onSpecialZoneEntered) {
+        this.onSpecialZoneEntered(zone);
+      }
+    };
+
+    // Meeting every objective is announced; the run goes on to the finish
+    this.scoring.onObjectivesComplete = () => {
+      if (this.onObjectivesComplete) {
+        this.onObjectivesComplete();
+      }
+    };
+  }
+
+  /**
+   * Set a gameplay input
+   * @param {string} action - Input action
+   * @param {boolean} active - Whether action is active
+   */
+  setInput(action, active) {
+    this.character.setKey(action, active);
+  }
+
+  /**
+   * Advance the simulation by one fixed step
+   * @param {number} deltaTime - Step duration in seconds
+   */
+  step(deltaTime = FIXED_TIME_STEP) {
+    if (this.isFinished()) return;
+
+    const {width, height} = this.character.getDimensions();
+
+    // One clock in seconds runs the step; physics, the level and its wave
+    // all move to it before anything is checked against the water
+    this.time += deltaTime;
+
+    // Update character physics, then the level at the rider's new position
+    this.physics.update(deltaTime, this.time);
+    this.level.update(this.physics.position.x, this.time, deltaTime);
+
+    // Update controls
+    this.character.setAvailableTube(
+      this.level.getTubeAt(this.physics.position.x + width / 2)
+    );
+    const groundedBefore = this.physics.grounded;
+    this.character.update(deltaTime);
+
+    // Controls only leave the ground by jumping
+    if (groundedBefore && !this.physics.grounded && this.onJump) {
+      this.onJump();
+    }
+
+    // Land on rails, benches and handrails
+    if (
+      !this.physics.grind &&
+      !this.physics.vert &&
+      this.physics.velocity.y >= 0
+    ) {
+      const grindable = this.level.findGrindable(
+        this.physics.position.x + width / 2,
+        this.physics.previousPosition.y + height,
+        this.physics.position.y + height
+      );
+
+      if (grindable) {
+        this.character.startGrind(grindable);
+      }
+    }
+
+    // Contacts are found again every step; a grind or a pipe's transition
+    // holds the rider up
+    const wasGrounded = this.physics.grounded;
+    const wasOnRamp = wasGrounded ? this.physics.surface : null;
+    if (!this.physics.grind && !this.physics.vert) {
+      this.physics.grounded = false;
+    }
+
+    // Check collisions with level
+    const collisions = this.level.checkCollisions({
+      x: this.physics.position.x,
+      y: this.physics.position.y,
+      width,
+      height,
+      // Follow the surface down slopes instead of hopping off each step
+      groundSnap: wasGrounded ? this.physics.groundSnap : 0,
+      stepUp: this.physics.stepUp,
+    });
+
+    // Drop into a pipe's transition when rolling or coming down onto it
+    if (
+      collisions.transition &&
+      !this.physics.vert &&
+      (wasGrounded || this.physics.velocity.y >= 0)
+    ) {
+      this.physics.startVert(collisions.transition);
+    }
+
+    // Handle ground collision, standing the rider's feet on the surface;
+    // from the air the rider only lands when coming down onto it
+    if (
+      collisions.ground &&
+      !collisions.transition &&
+      !this.physics.vert &&
+      (wasGrounded || this.physics.isMovingIntoSurface(collisions.groundSlope))
+    ) {
+      this.physics.handleGroundCollision(
+        collisions.groundY - height,
+        collisions.groundSlope,
+        collisions.surface
+      );
+    }
+
+    // Rolling forward off a ramp's lip launches the rider
+    if (
+      wasOnRamp &&
+      !collisions.surface &&
+      this.physics.velocity.x > 0 &&
+      this.physics.position.x + width / 2 > wasOnRamp.x + wasOnRamp.width
+    ) {
+      this.physics.launch(wasOnRamp.properties);
+    }
+
+    // Handle obstacle collisions; the obstacle being ground on is skipped
+    const grind = this.physics.grind;
+    for (const collision of collisions.obstacles) {
+      if (grind && collision.obstacle === grind.obstacle) continue;
+
+      this.physics.handleObstacleCollision(
+        collision.obstacle,
+        collision.overlap
+      );
+
+      // Hazards knock the rider off the board
+      const properties = collision.obstacle.properties;
+      if (
+        properties &&
+        properties.damageOnHit &&
+        !this.character.isBailing()
+      ) {
+        this.character.bail("obstacle");
+
+        if (this.onObstacleHit) {
+          this.onObstacleHit(collision.obstacle);
+        }
+      }
+    }
+
+    // Touching down validates any trick still in progress
+    if (!wasGrounded && this.physics.grounded) {
+      this.character.land();
+
+      if (this.onLand) {
+        this.onLand();
+      }
+    }
+
+    // Sinking too far into a gap ends the run
+    if (
+      collisions.gap &&
+      this.physics.position.y + height > collisions.gap.y + this.gapFallDepth
+    ) {
+      this.endRun("gap");
+    }
+
+    // Update scoring system; grinds and manuals hold the combo open
+    if (this.character.isGrinding() || this.character.isManualing()) {
+      this.scoring.extendCombo();
+    }
+    this.scoring.update(deltaTime);
+
+    this.tick++;
+
+    // Crossing the finish line ends the run
+    if (this.level.isPastFinish(this.physics.position.x + width)) {
+      this.finishLevel();
+    }
+
+    // Running out of time ends the run
+    if (this.timeLimit > 0 && this.time >= this.timeLimit) {
+      this.endRun("time");
+    }
+  }
+
+  /**
+   * Stand the rider on the course at a position, to start part way along
+   * @param {number} x - X position
+   */
+  placeRider(x) {
+    const {height} = this.character.getDimensions();
+    const surfaceY =
+      this.gameMode === GAME_MODES.SKATE
+        ? this.level.getGroundYAt(x)
+        : this.level.getWaveYAt(x, this.level.time);
+
+    this.physics.setPosition(x, surfaceY - height);
+    this.level.updateCamera(x);
+  }
+
+  /**
+   * End the run at the finish line
+   */
+  finishLevel() {
+    if (this.isFinished()) return;
+
+    // Whatever the rider is in the middle of counts toward the results
+    this.character.finishRun();
+    this.scoring.finalizeCombo();
+
+    this.levelComplete = true;
+
+    if (this.onLevelComplete) {
+      this.onLevelComplete();
+    }
+  }
+
+  /**
+   * End the run as failed
+   * @param {string} reason - Why the run ended ('time' or 'gap')
+   */
+  endRun(reason) {
+    if (this.isFinished()) return;
+
+    this.gameOver = true;
+    this.gameOverReason = reason;
+
+    if (this.onGameOver) {
+      this.onGameOver(reason);
+    }
+  }
+
+  /**
+   * Check if the run is over, by reaching the finish or failing
+   * @returns {boolean} Whether the run is finished
+   */
+  isFinished() {
+    return this.gameOver || this.levelComplete;
+  }
+
+  /**
+   * Get seconds left before the time limit
+   * @returns {number|null} Seconds remaining, or null if the run is untimed
+   */
+  getTimeRemaining() {
+    if (this.timeLimit <= 0) return null;
+
+    return Math.max(0, this.timeLimit - this.time);
+  }
+
+  /**
+   * Get end-of-run stats for the results screens
+   * @returns {Object} Run stats
+   */
+  getRunStats() {
+    const score = this.scoring.getScoreState();
+
+    return {
+      score: this.scoring.score,
+      seed: this.level.seed,
+      levelId: this.level.levelData.id,
+      time: this.time,
+      timeLimit: this.timeLimit,
+      finished: this.levelComplete,
+      complete: this.scoring.levelComplete,
+      reason: this.gameOverReason,
+      objectives: this.scoring.getObjectives(),
+      stars: this.levelComplete ? this.scoring.getStarRating() : 0,
+      tricks: score.stats.totalTricks,
+      collectibles: score.stats.collectiblesGathered,
+      longestCombo: score.combo.longestCombo,
+      bails: score.stats.bails,
+    };
+  }
+
+  /**
+   * Get a snapshot of the simulation state
+   * @returns {Object} Simulation state
+   */
+  getState() {
+    return {
+      mode: this.gameMode,
+      levelIndex: this.levelIndex,
+      levelId: this.level.levelData.id,
+      seed: this.level.seed,
+      tick: this.tick,
+      time: this.time,
+      levelComplete: this.levelComplete,
+      objectivesComplete: this.scoring.levelComplete,
+      gameOver: this.gameOver,
+      gameOverReason: this.gameOverReason,
+      timeRemaining: this.getTimeRemaining(),
+      character: this.character.getState(),
+      score: this.scoring.getScoreState(),
+      goals: this.scoring.getSpecialGoalsProgress(),
+      objectives: this.scoring.getObjectives(),
+    };
+  }
+}
+
+/**
+ * Run a level headlessly with scripted input
+ * @param {Object} options - Run options
+ * @param {string} options.mode - Game mode
+ * @param {number} options.levelIndex - Level index
+ * @param {number|string} options.seed - Level generation seed
+ * @param {number} options.ticks - Maximum ticks to simulate
+ *   (defaults to the level's time limit)
+ * @param {Array} options.inputs - Scripted inputs [{tick, action, active}];
+ *   active defaults to true
+ * @param {Object} options.replay - Recorded replay to play instead of inputs;
+ *   its mode, level and seed override the options above
+ * @returns {Object} Final simulation state
+ */
+export function runSimulation({
+  mode = GAME_MODES.SKATE,
+  levelIndex = 0,
+  seed = null,
+  ticks = null,
+  inputs = [],
+  replay = null,
+} = {}) {
+  let player = null;
+
+  if (replay) {
+    player = new ReplaySystem();
+    if (!player.startPlayback(replay)) {
+      throw new Error("Replay cannot be played back");
+    }
+
+    mode = replay.mode;
+    levelIndex = getLevelIndexById(replay.levelId, mode);
+    seed = replay.seed;
+    if (levelIndex === -1) {
+      throw new Error(`Replay level "${replay.levelId}" not found`);
+    }
+    ticks = ticks ?? replay.length + 1;
+  }
+
+  const simulation = new Simulation({mode, levelIndex, seed});
+
+  if (ticks === null) {
+    const timeLimit = simulation.level.levelData.timeLimit || 120;
+    ticks = timeLimit * TIMING_CONFIG.tickRate;
+  }
+
+  // Scripted inputs are applied in tick order
+  const script = [...inputs].sort((a, b) => a.tick - b.tick);
+  let scriptIndex = 0;
+
+  while (simulation.tick < ticks) {
+    if (player) {
+      for (const input of player.getInputsForTick(simulation.tick)) {
+        simulation.setInput(input.action, input.active);
+      }
+    } else {
+      while (
+        scriptIndex < script.length &&
+        script[scriptIndex].tick <= simulation.tick
+      ) {
+        const input = script[scriptIndex++];
+        simulation.setInput(input.action, input.active !== false);
+      }
+    }
+
+    simulation.step();
+
+    // The run ends on completing the level or failing it
+    if (simulation.isFinished()) break;
+  }
+
+  return simulation.getState();
+}
@@ -0,0 +1,463 @@
+/**
+ * Sound synthesizer
+ * Renders the game's sound effects from oscillators and filtered noise so
+ * there is audio without any asset files. Each effect is a few layers mixed
+ * into one buffer; a sampled asset loaded under the same id replaces it.
+ * Music stems are built the same way from note patterns.
+ */
+
+import {clamp, createRandom} from "../utils/math";
+
+/**
+ * Synthesizer settings
+ */
+export const SYNTH_CONFIG = {
+  attackTime: 0.005, // Seconds each hit layer takes to reach full volume
+  noiseSeed: 1, // Noise is seeded so every run renders the same sounds
+};
+
+/**
+ * Sound effects, by the id they are played with
+ * A layer is an oscillator ('sine', 'square', 'triangle' or 'sawtooth')
+ * sweeping its pitch from `from` to `to` Hz, or 'noise' through a low-pass
+ * filter sweeping its cutoff the same way. `start` and `duration` are in
+ * seconds. The envelope is 'hit' (sharp attack, fading out), 'flat' or
+ * 'swell' (rising and falling back); loops use the last two so they repeat
+ * without clicks; a loop's duration can run past its last layer to leave
+ * a gap before it repeats.
+ */
+export const SOUND_EFFECTS = {
+  jump: {
+    group: "sfx",
+    layers: [
+      {wave: "square", from: 180, to: 520, duration: 0.15, volume: 0.25},
+    ],
+  },
+  land: {
+    group: "sfx",
+    options: {cooldown: 100},
+    layers: [
+      {wave: "noise", from: 900, to: 200, duration: 0.12, volume: 0.5},
+      {wave: "sine", from: 110, to: 55, duration: 0.12, volume: 0.5},
+    ],
+  },
+  trick: {
+    group: "sfx",
+    layers: [
+      {wave: "triangle", from: 440, to: 880, duration: 0.12, volume: 0.3},
+      {
+        wave: "triangle",
+        from: 660,
+        to: 1320,
+        start: 0.06,
+        duration: 0.14,
+        volume: 0.25,
+      },
+    ],
+  },
+  collect: {
+    group: "sfx",
+    layers: [
+      {wave: "sine", from: 988, to: 988, duration: 0.07, volume: 0.3},
+      {
+        wave: "sine",
+        from: 1319,
+        to: 1319,
+        start: 0.07,
+        duration: 0.15,
+        volume: 0.3,
+      },
+    ],
+  },
+  crash: {
+    group: "sfx",
+    layers: [
+      {wave: "noise", from: 3000, to: 150, duration: 0.6, volume: 0.7},
+      {wave: "sawtooth", from: 90, to: 35, duration: 0.35, volume: 0.3},
+    ],
+  },
+  impact: {
+    group: "sfx",
+    options: {cooldown: 250},
+    layers: [
+      {wave: "noise", from: 1500, to: 100, duration: 0.25, volume: 0.6},
+      {wave: "sine", from: 80, to: 40, duration: 0.2, volume: 0.5},
+    ],
+  },
+  // Loops; their lengths hold whole cycles of any steady tone
+  grind: {
+    group: "sfx",
+    options: {loop: true, maxVoices: 1},
+    layers: [
+      {
+        wave: "noise",
+        from: 4000,
+        to: 4000,
+        duration: 0.5,
+        volume: 0.25,
+        envelope: "flat",
+      },
+      {
+        wave: "square",
+        from: 100,
+        to: 100,
+        duration: 0.5,
+        volume: 0.05,
+        envelope: "flat",
+      },
+    ],
+  },
+  // Wheels and fins, pitched and faded with the rider's speed
+  roll: {
+    group: "sfx",
+    options: {loop: true, maxVoices: 1},
+    layers: [
+      {
+        wave: "noise",
+        from: 1200,
+        to: 1200,
+        duration: 0.5,
+        volume: 0.4,
+        envelope: "flat",
+      },
+      {
+        wave: "sine",
+        from: 60,
+        to: 60,
+        duration: 0.5,
+        volume: 0.15,
+        envelope: "flat",
+      },
+    ],
+  },
+  carve: {
+    group: "sfx",
+    options: {loop: true, maxVoices: 1},
+    layers: [
+      {
+        wave: "noise",
+        from: 3000,
+        to: 3000,
+        duration: 1,
+        volume: 0.35,
+        envelope: "flat",
+      },
+    ],
+  },
+  // Obstacles that make sound while the rider is near, placed at the
+  // nearest one
+  bell: {
+    group: "sfx",
+    options: {loop: true, maxVoices: 1},
+    duration: 2.5,
+    layers: [
+      {wave: "sine", from: 880, to: 880, duration: 1.2, volume: 0.25},
+      {wave: "sine", from: 2200, to: 2200, duration: 0.6, volume: 0.1},
+    ],
+  },
+  splash: {
+    group: "sfx",
+    options: {loop: true, maxVoices: 1},
+    duration: 1.6,
+    layers: [0, 0.6, 1.2].map((start) => ({
+      wave: "noise",
+      from: 2000,
+      to: 600,
+      start,
+      duration: 0.25,
+      volume: 0.4,
+    })),
+  },
+  // Ambient beds, chosen by the level data
+  crowd: {
+    group: "ambience",
+    options: {loop: true, maxVoices: 1},
+    layers: [
+      {
+        wave: "noise",
+        from: 1000,
+        to: 1000,
+        duration: 4,
+        volume: 0.3,
+        envelope: "flat",
+      },
+      // Cheers rising out of the murmur
+      ...[0, 1.5, 2.5].map((start) => ({
+        wave: "noise",
+        from: 2500,
+        to: 2500,
+        start,
+        duration: 1.5,
+        volume: 0.3,
+        envelope: "swell",
+      })),
+    ],
+  },
+  city: {
+    group: "ambience",
+    options: {loop: true, maxVoices: 1},
+    layers: [
+      {
+        wave: "noise",
+        from: 250,
+        to: 250,
+        duration: 6,
+        volume: 0.6,
+        envelope: "flat",
+      },
+      // A distant car horn
+      {
+        wave: "square",
+        from: 415,
+        to: 415,
+        start: 3,
+        duration: 0.4,
+        volume: 0.03,
+        envelope: "swell",
+      },
+    ],
+  },
+  ocean: {
+    group: "ambience",
+    options: {loop: true, maxVoices: 1},
+    layers: [
+      {
+        wave: "noise",
+        from: 500,
+        to: 500,
+        duration: 4,
+        volume: 1,
+        envelope: "swell",
+      },
+    ],
+  },
+};
+
+// Note patterns shared by several music stems, in semitones
+const LEAD_PATTERN = [0, 3, 7, 12, 7, 3, 0, 3, 5, 8, 12, 17, 12, 8, 5, 8];
+const SPARKLE_PATTERN = [0, 7, 12, 19];
+
+/**
+ * Music stems, by layer name
+ * Each stem is two bars of 4/4 played by one or more parts. A part is a
+ * voice like an effect layer, with notes [beat, semitones above the track's
+ * root, beats long]; octave shifts the notes up, and sweep gives fixed
+ * frequencies for drums. The same patterns play in every track's key and
+ * tempo.
+ */
+export const MUSIC_STEMS = {
+  base: [
+    {
+      wave: "triangle",
+      volume: 0.35,
+      notes: [0, 0, 7, 5, 0, 0, 3, 5].map((note, beat) => [beat, note, 1]),
+    },
+  ],
+  drums: [
+    // Kick, snare and hi-hat
+    {
+      wave: "sine",
+      volume: 0.6,
+      sweep: [150, 45],
+      notes: [0, 2, 4, 6].map((beat) => [beat, 0, 0.5]),
+    },
+    {
+      wave: "noise",
+      volume: 0.4,
+      sweep: [2500, 1500],
+      notes: [1, 3, 5, 7].map((beat) => [beat, 0, 0.5]),
+    },
+    {
+      wave: "noise",
+      volume: 0.25,
+      sweep: [8000, 8000],
+      notes: [0, 1, 2, 3, 4, 5, 6, 7].map((beat) => [beat + 0.5, 0, 0.25]),
+    },
+  ],
+  lead: [
+    {
+      wave: "square",
+      volume: 0.08,
+      octave: 2,
+      notes: LEAD_PATTERN.map((note, i) => [i / 2, note, 0.5]),
+    },
+  ],
+  harmony: [
+    {
+      wave: "sawtooth",
+      volume: 0.05,
+      octave: 1,
+      envelope: "swell",
+      notes: [
+        [0, 0, 4],
+        [0, 3, 4],
+        [0, 7, 4],
+        [4, 5, 4],
+        [4, 8, 4],
+        [4, 12, 4],
+      ],
+    },
+  ],
+  special: [
+    {
+      wave: "sine",
+      volume: 0.1,
+      octave: 3,
+      notes: Array.from({length: 32}, (_, i) => [
+        i / 4,
+        SPARKLE_PATTERN[i % 4],
+        0.25,
+      ]),
+    },
+  ],
+  urgency: [
+    // A ticking clock over fast hi-hats
+    {
+      wave: "sine",
+      volume: 0.12,
+      octave: 3,
+      notes: [0, 1, 2, 3, 4, 5, 6, 7].map((beat) => [beat, 0, 0.25]),
+    },
+    {
+      wave: "noise",
+      volume: 0.15,
+      sweep: [6000, 6000],
+      notes: Array.from({length: 32}, (_, i) => [i / 4, 0, 0.25]),
+    },
+  ],
+};
+
+/**
+ * Build the effect that renders a music stem in a track's key and tempo
+ * @param {Array} parts - Stem parts from MUSIC_STEMS
+ * @param {Object} track - Track {tempo, root}; tempo in beats per minute,
+ *   root in Hz
+ * @returns {Object} Looping effect definition
+ */
+export function createStem(parts, {tempo, root}) {
+  const beat = 60 / tempo;
+  const layers = [];
+
+  for (const part of parts) {
+    for (const [start, note, length] of part.notes) {
+      const frequency = root * Math.pow(2, (part.octave || 0) + note / 12);
+      const [from, to] = part.sweep || [frequency, frequency];
+
+      layers.push({
+        wave: part.wave,
+        from,
+        to,
+        start: start * beat,
+        duration: length * beat,
+        volume: part.volume,
+        envelope: part.envelope,
+      });
+    }
+  }
+
+  return {
+    group: "music",
+    options: {loop: true},
+    duration: 8 * beat, // Two bars, so every stem loops together
+    layers,
+  };
+}
+
+/**
+ * Get the value of an oscillator wave at a point in its cycle
+ * @param {string} wave - 'sine', 'square', 'triangle' or 'sawtooth'
+ * @param {number} cycle - Position in the cycle, 0 to 1
+ * @returns {number} Value from -1 to 1
+ */
+function oscillate(wave, cycle) {
+  if (wave === "square") return cycle < 0.5 ? 1 : -1;
+  if (wave === "sawtooth") return cycle * 2 - 1;
+  if (wave === "triangle") return 1 - 4 * Math.abs(cycle - 0.5);
+  return Math.sin(cycle * Math.PI * 2);
+}
+
+/**
+ * Get a layer's envelope at a point in it
+ * @param {Object} layer - Layer definition
+ * @param {number} time - Seconds into the layer
+ * @returns {number} Gain from 0 to 1
+ */
+function getEnvelope(layer, time) {
+  const progress = time / layer.duration;
+
+  if (layer.envelope === "flat") return 1;
+  if (layer.envelope === "swell") return Math.sin(progress * Math.PI);
+
+  const attack = Math.min(1, time / SYNTH_CONFIG.attackTime);
+  return attack * (1 - progress) * (1 - progress);
+}
+
+export default class SoundSynth {
+  /**
+   * Create a sound synthesizer
+   * @param {number} sampleRate - Samples per second to render at
+   */
+  constructor(sampleRate = 44100) {
+    this.sampleRate = sampleRate;
+  }
+
+  /**
+   * Render a sound effect
+   * @param {Object} effect - Effect definition from SOUND_EFFECTS or
+   *   createStem; its duration defaults to the end of its last layer
+   * @returns {Float32Array} Mono samples from -1 to 1
+   */
+  render(effect) {
+    const length =
+      effect.duration ??
+      Math.max(
+        ...effect.layers.map((layer) => (layer.start || 0) + layer.duration)
+      );
+    const samples = new Float32Array(Math.ceil(length * this.sampleRate));
+
+    for (const layer of effect.layers) {
+      this.renderLayer(layer, samples);
+    }
+
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = clamp(samples[i], -1, 1);
+    }
+    return samples;
+  }
+
+  /**
+   * Mix one layer of an effect into its samples
+   * @param {Object} layer - Layer definition
+   * @param {Float32Array} samples - Samples to mix into
+   */
+  renderLayer(layer, samples) {
+    const first = Math.round((layer.start || 0) * this.sampleRate);
+    const count = Math.min(
+      Math.round(layer.duration * this.sampleRate),
+      samples.length - first
+    );
+    const random = createRandom(SYNTH_CONFIG.noiseSeed);
+
+    let cycle = 0;
+    let filtered = 0;
+    for (let i = 0; i < count; i++) {
+      const time = i / this.sampleRate;
+      const frequency =
+        layer.from + (layer.to - layer.from) * (time / layer.duration);
+
+      let value;
+      if (layer.wave === "noise") {
+        // One-pole low-pass with the cutoff at the swept frequency
+        const smoothing =
+          1 - Math.exp((-2 * Math.PI * frequency) / this.sampleRate);
+        filtered += (random() * 2 - 1 - filtered) * smoothing;
+        value = filtered;
+      } else {
+        value = oscillate(layer.wave, cycle);
+        cycle = (cycle + frequency / this.sampleRate) % 1;
+      }
+
+      samples[first + i] += value * layer.volume * getEnvelope(layer, time);
+    }
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Trick input parser
+ * Buffers recent action presses and matches them against the input each
+ * trick declares, so tricks are added purely in constants/tricks.js.
+ * A trick's input.combo is a sequence of keys pressed one after another
+ * (down then Z); input.keys is a chord held together, triggered by pressing
+ * any of its keys.
+ */
+
+/**
+ * Trick input settings
+ */
+export const TRICK_INPUT_CONFIG = {
+  sequenceWindow: 0.25, // Seconds allowed between presses of a sequence
+  bufferTime: 0.5, // Seconds a press is remembered; above sequenceWindow
+  bufferSize: 8, // Presses remembered at most
+};
+
+// Actions the keys named in trick definitions stand for
+const KEY_ACTIONS = {
+  LEFT: "left",
+  RIGHT: "right",
+  UP: "up",
+  DOWN: "down",
+  SPACE: "jump",
+  Z: "trick1",
+  X: "trick2",
+  C: "trick3",
+};
+
+/**
+ * Get the input pattern a trick declares
+ * @param {Object} trick - Trick definition
+ * @returns {Object|null} Pattern {actions, sequence}; sequence is false for
+ *   chords. Null when the trick has no usable input.
+ */
+function getPattern(trick) {
+  const input = trick.input || {};
+  const sequence = Boolean(input.combo);
+  const actions = (input.combo || input.keys || []).map(
+    (key) => KEY_ACTIONS[key]
+  );
+
+  if (actions.length === 0 || actions.some((action) => !action)) return null;
+  return {actions, sequence};
+}
+
+/**
+ * Check whether the latest presses are the start of a sequence
+ * Only presses made within the sequence window of each other count.
+ * @param {Array} presses - Presses {action, time}, oldest first
+ * @param {Array} actions - Actions in order
+ * @param {number} count - Number of leading actions to look for
+ * @returns {boolean} Whether the latest presses are those actions
+ */
+function endsWith(presses, actions, count) {
+  if (count > presses.length) return false;
+
+  const start = presses.length - count;
+  for (let i = 0; i < count; i++) {
+    const press = presses[start + i];
+    if (press.action !== actions[i]) return false;
+
+    const previous = presses[start + i - 1];
+    if (
+      i > 0 &&
+      press.time - previous.time > TRICK_INPUT_CONFIG.sequenceWindow
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check whether the latest presses could be the start of a sequence
+ * @param {Object} pattern - Pattern from getPattern
+ * @param {Array} presses - Presses {action, time}, oldest first
+ * @returns {boolean} Whether more presses could still complete it
+ */
+function isStarted(pattern, presses) {
+  if (!pattern.sequence) return false;
+
+  for (let count = 1; count < pattern.actions.length; count++) {
+    if (endsWith(presses, pattern.actions, count)) return true;
+  }
+  return false;
+}
+
+export default class TrickInputParser {
+  /**
+   * Create a trick input parser
+   */
+  constructor() {
+    // Seconds of simulation time; presses are stamped with it so replays
+    // parse the same way they were played
+    this.time = 0;
+
+    // Recent presses {action, time}, oldest first
+    this.buffer = [];
+
+    // Actions currently held
+    this.held = {};
+  }
+
+  /**
+   * Advance the parser's clock and forget presses nothing used in time
+   * @param {number} deltaTime - Time step in seconds
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    this.buffer = this.buffer.filter(
+      (press) => this.time - press.time <= TRICK_INPUT_CONFIG.bufferTime
+    );
+  }
+
+  /**
+   * Record an action being pressed
+   * @param {string} action - Action name
+   */
+  press(action) {
+    this.held[action] = true;
+    this.buffer.push({action, time: this.time});
+
+    if (this.buffer.length > TRICK_INPUT_CONFIG.bufferSize) {
+      this.buffer.shift();
+    }
+  }
+
+  /**
+   * Record an action being released
+   * @param {string} action - Action name
+   */
+  release(action) {
+    this.held[action] = false;
+  }
+
+  /**
+   * Forget all presses and held actions
+   */
+  clear() {
+    this.buffer = [];
+    this.held = {};
+  }
+
+  /**
+   * Forget buffered presses but keep the held actions
+   */
+  clearPresses() {
+    this.buffer = [];
+  }
+
+  /**
+   * Match the latest presses to a trick
+   * Presses of actions no candidate uses are skipped, so jumping or
+   * steering doesn't break a sequence. The trick with the longest complete
+   * input wins; while a longer sequence could still be finished, the match
+   * waits out the sequence window so a prefix doesn't fire in its place.
+   * Presses are used up by a match.
+   * @param {Array} tricks - Tricks that can be performed right now
+   * @returns {Object|null} Matched trick definition
+   */
+  match(tricks) {
+    const candidates = tricks
+      .map((trick) => ({trick, pattern: getPattern(trick)}))
+      .filter((candidate) => candidate.pattern);
+
+    const used = new Set();
+    for (const candidate of candidates) {
+      candidate.pattern.actions.forEach((action) => used.add(action));
+    }
+    const presses = this.buffer.filter((press) => used.has(press.action));
+    if (presses.length === 0) return null;
+
+    let best = null;
+    for (const candidate of candidates) {
+      if (!this.isComplete(candidate.pattern, presses)) continue;
+
+      const length = candidate.pattern.actions.length;
+      if (!best || length > best.pattern.actions.length) {
+        best = candidate;
+      }
+    }
+    if (!best) return null;
+
+    // Give a longer sequence the rest of the window to be finished
+    const last = presses[presses.length - 1];
+    const pending = candidates.some(
+      (candidate) =>
+        candidate.pattern.actions.length > best.pattern.actions.length &&
+        isStarted(candidate.pattern, presses)
+    );
+    if (
+      pending &&
+      this.time - last.time < TRICK_INPUT_CONFIG.sequenceWindow
+    ) {
+      return null;
+    }
+
+    this.buffer = [];
+    return best.trick;
+  }
+
+  /**
+   * Check whether the latest presses trigger a pattern
+   * @param {Object} pattern - Pattern from getPattern
+   * @param {Array} presses - Presses {action, time}, oldest first
+   * @returns {boolean} Whether the pattern is complete
+   */
+  isComplete(pattern, presses) {
+    const {actions} = pattern;
+    if (pattern.sequence) return endsWith(presses, actions, actions.length);
+
+    // The press itself counts even if it was a quick tap
+    const last = presses[presses.length - 1];
+    return (
+      actions.includes(last.action) &&
+      actions.every((action) => action === last.action || this.held[action])
+    );
+  }
+
+  /**
+   * Match held actions to a trick, for tricks entered by holding keys as
+   * something else happens (like touching down into a manual)
+   * @param {Array} tricks - Tricks that can be started right now
+   * @returns {Object|null} Trick whose keys are all held; the largest chord
+   *   wins
+   */
+  matchHeld(tricks) {
+    let best = null;
+
+    for (const trick of tricks) {
+      const pattern = getPattern(trick);
+      if (!pattern || !pattern.actions.every((action) => this.held[action])) {
+        continue;
+      }
+
+      if (!best || pattern.actions.length > getPattern(best).actions.length) {
+        best = trick;
+      }
+    }
+    return best;
+  }
+}
@@ -3,6 +3,8 @@
  * Handles game UI elements, menus, HUD, etc.
  */
 
+import {getFrameScale} from "../constants/timing";
+
 export default class UIManager {
   /**
    * Create a UI manager
@@ -23,6 +25,37 @@ export default class UIManager {
     this.multiplier = 1;
     this.comboCounter = 0;
 
+    // Level generation seed, shown so courses can be shared
+    this.seed = null;
+
+    // Whether a recorded replay is driving the game
+    this.replayActive = false;
+
+    // Time difference to the ghost at the last checkpoint
+    this.ghostDelta = null;
+    this.ghostDeltaTimer = 0;
+
+    // Final time difference to the ghost on the level complete screen
+    this.levelGhostDelta = null;
+
+    // Tube ride meter while inside a barrel
+    this.tubeMeter = null;
+
+    // Balance meter while in a manual
+    this.manualMeter = null;
+
+    // Seconds left on the level clock (null when untimed)
+    this.timeRemaining = null;
+
+    // Stats of the run shown on the game over screen
+    this.gameOverStats = null;
+
+    // Level objectives checklist [{label, current, target, complete}]
+    this.objectives = [];
+
+    // Stats of the run shown on the level complete screen
+    this.levelCompleteStats = null;
+
     // Trick display
     this.currentTrick = null;
     this.trickTimer = 0;
@@ -50,8 +83,12 @@ export default class UIManager {
   /**
    * Update UI state
    * @param {Object} gameState - Current game state
+   * @param {number} deltaTime - Time since last update in seconds
    */
-  update(gameState) {
+  update(gameState, deltaTime = 1 / 60) {
+    // Display timers count 60fps frames regardless of refresh rate
+    const frameScale = getFrameScale(deltaTime);
+
     // Update score display
     if (gameState && gameState.score !== undefined) {
       this.score = gameState.score;
@@ -67,15 +104,23 @@ export default class UIManager {
 
     // Update trick display
     if (this.trickTimer > 0) {
-      this.trickTimer--;
+      this.trickTimer -= frameScale;
       if (this.trickTimer <= 0) {
         this.currentTrick = null;
       }
     }
 
+    // Update ghost checkpoint display
+    if (this.ghostDeltaTimer > 0) {
+      this.ghostDeltaTimer -= frameScale;
+      if (this.ghostDeltaTimer <= 0) {
+        this.ghostDelta = null;
+      }
+    }
+
     // Update message display
     if (this.messageTimer > 0) {
-      this.messageTimer--;
+      this.messageTimer -= frameScale;
       if (this.messageTimer <= 0) {
         this.message = null;
       }
@@ -83,7 +128,7 @@ export default class UIManager {
 
     // Update notifications
     for (let i = this.notifications.length - 1; i >= 0; i--) {
-      this.notifications[i].timer--;
+      this.notifications[i].timer -= frameScale;
 
       if (this.notifications[i].timer <= 0) {
         this.notifications.splice(i, 1);
@@ -92,7 +137,7 @@ export default class UIManager {
 
     // Update fade effect
     if (this.fadeDirection === "in") {
-      this.fadeAlpha += 0.05;
+      this.fadeAlpha += 0.05 * frameScale;
       if (this.fadeAlpha >= 1) {
         this.fadeAlpha = 1;
         this.fadeDirection = "none";
@@ -102,7 +147,7 @@ export default class UIManager {
         }
       }
     } else if (this.fadeDirection === "out") {
-      this.fadeAlpha -= 0.05;
+      this.fadeAlpha -= 0.05 * frameScale;
       if (this.fadeAlpha <= 0) {
         this.fadeAlpha = 0;
         this.fadeDirection = "none";
@@ -214,6 +259,22 @@ export default class UIManager {
       this.canvas.width / 2 + 100,
       this.canvas.height * 0.65
     );
+
+    // Level editor
+    context.fillStyle = "#aaaaaa";
+    context.font = "16px Arial";
+    context.fillText(
+      "Press E for the level editor",
+      this.canvas.width / 2,
+      this.canvas.height * 0.75
+    );
+
+    // Saved replay of the first level
+    context.fillText(
+      "Press R to watch your last finished run",
+      this.canvas.width / 2,
+      this.canvas.height * 0.8
+    );
   }
 
   /**
@@ -254,6 +315,64 @@ export default class UIManager {
       );
     }
 
+    // Level countdown, red for the last ten seconds
+    if (this.timeRemaining !== null) {
+      const seconds = Math.ceil(this.timeRemaining);
+      const minutes = Math.floor(seconds / 60);
+      context.fillStyle = seconds <= 10 ? "#FF5252" : "white";
+      context.font = "bold 28px Arial";
+      context.textAlign = "right";
+      context.fillText(
+        `${minutes}:${String(seconds % 60).padStart(2, "0")}`,
+        this.canvas.width - 20,
+        40
+      );
+    }
+
+    // Replay indicator
+    if (this.replayActive) {
+      context.fillStyle = "#FF5252";
+      context.font = "bold 20px Arial";
+      context.textAlign = "right";
+      context.fillText("REPLAY", this.canvas.width - 20, 100);
+    }
+
+    // Ghost checkpoint delta (green when ahead of the ghost)
+    if (this.ghostDelta !== null) {
+      const sign = this.ghostDelta > 0 ? "+" : "-";
+      context.fillStyle = this.ghostDelta > 0 ? "#FF5252" : "#4CAF50";
+      context.font = "bold 24px Arial";
+      context.textAlign = "right";
+      context.fillText(
+        `${sign}${Math.abs(this.ghostDelta).toFixed(2)}s`,
+        this.canvas.width - 20,
+        70
+      );
+    }
+
+    // Tube ride meter
+    if (this.tubeMeter) {
+      this.renderTubeMeter(context);
+    }
+
+    // Manual balance meter
+    if (this.manualMeter) {
+      this.renderManualMeter(context);
+    }
+
+    // Objectives checklist
+    if (this.objectives.length > 0) {
+      this.renderObjectives(context);
+    }
+
+    // Level seed
+    if (this.seed !== null) {
+      context.fillStyle = "white";
+      context.font = "14px Arial";
+      context.textAlign = "left";
+      context.fillText(`Seed: ${this.seed}`, 20, this.canvas.height - 20);
+    }
+
     // Message display
     if (this.message) {
       context.font = "bold 32px Arial";
@@ -274,6 +393,94 @@ export default class UIManager {
     }
   }
 
+  /**
+   * Render the objectives checklist below the combo counter
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  renderObjectives(context) {
+    context.font = "14px Arial";
+    context.textAlign = "left";
+
+    this.objectives.forEach((objective, index) => {
+      const progress = `${Math.floor(objective.current)}/${objective.target}`;
+
+      context.fillStyle = objective.complete ? "#4CAF50" : "white";
+      context.fillText(
+        `${objective.complete ? "\u2713" : "\u25CB"} ${objective.label}` +
+          (objective.complete ? "" : ` (${progress})`),
+        20,
+        135 + index * 20
+      );
+    });
+  }
+
+  /**
+   * Render the manual balance meter, tail on the left and nose on the right
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  renderManualMeter(context) {
+    const meter = this.manualMeter;
+    const width = 200;
+    const x = this.canvas.width / 2 - width / 2;
+    const y = this.canvas.height - 80;
+
+    // Balance bar with a marker that must stay off the edges
+    context.fillStyle = "rgba(0, 0, 0, 0.5)";
+    context.fillRect(x, y, width, 12);
+    context.fillStyle = Math.abs(meter.balance) > 0.7 ? "#FF5252" : "#FFD54F";
+    context.fillRect(x + ((meter.balance + 1) / 2) * width - 3, y - 2, 6, 16);
+
+    context.fillStyle = "white";
+    context.font = "bold 16px Arial";
+    context.textAlign = "center";
+    context.fillText(
+      `${meter.name.toUpperCase()} ${meter.time.toFixed(1)}s`,
+      this.canvas.width / 2,
+      y - 10
+    );
+  }
+
+  /**
+   * Render the tube ride meter: balance on top, time until closeout below
+   * @param {CanvasRenderingContext2D} context - Canvas context
+   */
+  renderTubeMeter(context) {
+    const meter = this.tubeMeter;
+    const width = 200;
+    const x = this.canvas.width / 2 - width / 2;
+    const y = this.canvas.height - 80;
+
+    // Balance bar with a marker that must stay off the edges
+    context.fillStyle = "rgba(0, 0, 0, 0.5)";
+    context.fillRect(x, y, width, 12);
+    context.fillStyle = Math.abs(meter.balance) > 0.7 ? "#FF5252" : "#4FC3F7";
+    context.fillRect(x + ((meter.balance + 1) / 2) * width - 3, y - 2, 6, 16);
+
+    // Closeout timer with the clean exit window marked in green
+    if (meter.maxDuration > 0) {
+      const windowStart =
+        Math.max(0, meter.maxDuration - meter.exitWindow) / meter.maxDuration;
+      const progress = Math.min(1, meter.time / meter.maxDuration);
+
+      context.fillStyle = "rgba(0, 0, 0, 0.5)";
+      context.fillRect(x, y + 20, width, 8);
+      context.fillStyle = "rgba(76, 175, 80, 0.6)";
+      context.fillRect(
+        x + windowStart * width,
+        y + 20,
+        (1 - windowStart) * width,
+        8
+      );
+      context.fillStyle = "white";
+      context.fillRect(x, y + 22, progress * width, 4);
+    }
+
+    context.fillStyle = "white";
+    context.font = "bold 16px Arial";
+    context.textAlign = "center";
+    context.fillText("IN THE TUBE", this.canvas.width / 2, y - 10);
+  }
+
   /**
    * Render pause menu
    * @param {CanvasRenderingContext2D} context - Canvas context
@@ -344,6 +551,21 @@ export default class UIManager {
       this.canvas.height / 3
     );
 
+    // What ended the run
+    const stats = this.gameOverStats;
+    const reasons = {
+      time: "Time's up!",
+      gap: "Fell into a gap!",
+    };
+    if (stats && reasons[stats.reason]) {
+      context.font = "24px Arial";
+      context.fillText(
+        reasons[stats.reason],
+        this.canvas.width / 2,
+        this.canvas.height / 3 + 40
+      );
+    }
+
     // Score display
     context.font = "32px Arial";
     context.fillText(
@@ -352,6 +574,17 @@ export default class UIManager {
       this.canvas.height / 2
     );
 
+    // Run summary
+    if (stats) {
+      context.font = "16px Arial";
+      context.fillText(
+        `Tricks: ${stats.tricks}   Longest combo: ${stats.longestCombo}   ` +
+          `Collectibles: ${stats.collectibles}   Bails: ${stats.bails}`,
+        this.canvas.width / 2,
+        this.canvas.height / 2 + 28
+      );
+    }
+
     // Restart/quit options
     context.font = "24px Arial";
 
@@ -392,59 +625,85 @@ export default class UIManager {
     context.fillStyle = "rgba(0, 0, 0, 0.7)";
     context.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-    // Level complete title
+    const stats = this.levelCompleteStats || {};
+    const objectives = stats.objectives || [];
+    const centerX = this.canvas.width / 2;
+    let y = this.canvas.height / 6;
+
+    // Level complete title; unmet objectives keep the next level locked
     context.fillStyle = "white";
     context.font = "bold 48px Arial";
     context.textAlign = "center";
     context.fillText(
-      "LEVEL COMPLETE!",
-      this.canvas.width / 2,
-      this.canvas.height / 3
+      stats.complete === false ? "FINISHED" : "LEVEL COMPLETE!",
+      centerX,
+      y
     );
 
+    // Star rating
+    if (stats.stars) {
+      y += 50;
+      context.font = "36px Arial";
+      context.fillStyle = "#FFD700";
+      context.fillText(
+        "\u2605".repeat(stats.stars) + "\u2606".repeat(3 - stats.stars),
+        centerX,
+        y
+      );
+    }
+
     // Score display
+    y += 45;
+    context.fillStyle = "white";
     context.font = "32px Arial";
-    context.fillText(
-      `Score: ${this.score}`,
-      this.canvas.width / 2,
-      this.canvas.height / 2
-    );
+    context.fillText(`Score: ${this.score}`, centerX, y);
 
-    // Next level/quit options
-    context.font = "24px Arial";
+    // Ghost comparison
+    if (this.levelGhostDelta !== null) {
+      const sign = this.levelGhostDelta > 0 ? "+" : "-";
+      y += 30;
+      context.font = "20px Arial";
+      context.fillStyle = this.levelGhostDelta > 0 ? "#FF5252" : "#4CAF50";
+      context.fillText(
+        `Ghost: ${sign}${Math.abs(this.levelGhostDelta).toFixed(2)}s`,
+        centerX,
+        y
+      );
+      context.fillStyle = "white";
+    }
 
-    // Next level option
-    context.fillStyle =
-      this.components.levelCompleteMenu?.selectedOption === 0
-        ? "#4CAF50"
-        : "white";
-    context.fillText(
-      "Next Level",
-      this.canvas.width / 2,
-      this.canvas.height / 2 + 60
-    );
+    // Objectives, met or unmet
+    y += 10;
+    context.font = "18px Arial";
+    for (const objective of objectives) {
+      y += 26;
+      context.fillStyle = objective.complete ? "#4CAF50" : "#FF5252";
+      context.fillText(
+        `${objective.complete ? "\u2713" : "\u2717"} ${objective.label}`,
+        centerX,
+        y
+      );
+    }
+    context.fillStyle = "white";
 
-    // Restart option
-    context.fillStyle =
-      this.components.levelCompleteMenu?.selectedOption === 1
-        ? "#4CAF50"
-        : "white";
-    context.fillText(
-      "Restart Level",
-      this.canvas.width / 2,
-      this.canvas.height / 2 + 100
-    );
+    // Seed display
+    if (this.seed !== null) {
+      y += 30;
+      context.font = "16px Arial";
+      context.fillText(`Seed: ${this.seed}`, centerX, y);
+    }
 
-    // Quit option
-    context.fillStyle =
-      this.components.levelCompleteMenu?.selectedOption === 2
-        ? "#4CAF50"
-        : "white";
-    context.fillText(
-      "Quit",
-      this.canvas.width / 2,
-      this.canvas.height / 2 + 140
-    );
+    // Menu options (next level, restart, replay, quit)
+    context.font = "24px Arial";
+
+    const levelCompleteMenu = this.components.levelCompleteMenu;
+    const options = levelCompleteMenu ? levelCompleteMenu.options : [];
+
+    options.forEach((option, index) => {
+      context.fillStyle =
+        levelCompleteMenu.selectedOption === index ? "#4CAF50" : "white";
+      context.fillText(option.text, centerX, y + 45 + index * 34);
+    });
 
     // Instructions
     context.fillStyle = "white";
@@ -512,6 +771,13 @@ export default class UIManager {
     this.currentScreen = "game";
   }
 
+  /**
+   * Show the level editor; the editor draws itself under the UI
+   */
+  showEditor() {
+    this.currentScreen = "editor";
+  }
+
   /**
    * Show pause menu
    * @param {Function} resumeCallback - Resume game callback
@@ -555,18 +821,24 @@ export default class UIManager {
    * @param {Object} stats - Game stats
    * @param {Function} restartCallback - Restart game callback
    * @param {Function} quitCallback - Quit game callback
+   * @param {Function} replayCallback - Watch the level's saved replay
+   *   callback (optional, left out when none is saved)
    */
-  showGameOver(stats, restartCallback, quitCallback) {
+  showGameOver(stats, restartCallback, quitCallback, replayCallback = null) {
     this.currentScreen = "gameover";
 
     // Store stats
     this.score = stats.score || 0;
+    this.gameOverStats = stats;
 
     // Create game over menu component
     this.components.gameOverMenu = {
       selectedOption: 0,
       options: [
         {text: "Try Again", action: restartCallback},
+        ...(replayCallback
+          ? [{text: "Watch Last Finish", action: replayCallback}]
+          : []),
         {text: "Quit", action: quitCallback},
       ],
       visible: true,
@@ -593,22 +865,45 @@ export default class UIManager {
   /**
    * Show level complete screen
    * @param {Object} stats - Level stats
-   * @param {Function} nextLevelCallback - Next level callback
+   * @param {Function} nextLevelCallback - Next level callback (optional,
+   *   left out while objectives are unmet)
    * @param {Function} restartCallback - Restart level callback
    * @param {Function} quitCallback - Quit game callback
+   * @param {Function} replayCallback - Watch replay callback (optional)
+   * @param {Function} saveGhostCallback - Replace ghost callback (optional)
    */
-  showLevelComplete(stats, nextLevelCallback, restartCallback, quitCallback) {
+  showLevelComplete(
+    stats,
+    nextLevelCallback,
+    restartCallback,
+    quitCallback,
+    replayCallback = null,
+    saveGhostCallback = null
+  ) {
     this.currentScreen = "levelcomplete";
 
     // Store stats
     this.score = stats.score || 0;
+    if (stats.seed !== undefined) {
+      this.seed = stats.seed;
+    }
+    this.levelGhostDelta = stats.ghostDelta ?? null;
+    this.levelCompleteStats = stats;
 
     // Create level complete menu component
     this.components.levelCompleteMenu = {
       selectedOption: 0,
       options: [
-        {text: "Next Level", action: nextLevelCallback},
+        ...(nextLevelCallback
+          ? [{text: "Next Level", action: nextLevelCallback}]
+          : []),
         {text: "Restart Level", action: restartCallback},
+        ...(replayCallback
+          ? [{text: "Watch Replay", action: replayCallback}]
+          : []),
+        ...(saveGhostCallback
+          ? [{text: "Replace Ghost", action: saveGhostCallback}]
+          : []),
         {text: "Quit", action: quitCallback},
       ],
       visible: true,
@@ -635,6 +930,65 @@ export default class UIManager {
     };
   }
 
+  /**
+   * Set the level seed shown in the HUD
+   * @param {number} seed - Level generation seed
+   */
+  setSeed(seed) {
+    this.seed = seed;
+  }
+
+  /**
+   * Show the time difference to the ghost at a checkpoint
+   * @param {number} seconds - Seconds behind (+) or ahead (-) of the ghost
+   */
+  showGhostDelta(seconds) {
+    this.ghostDelta = seconds;
+    this.ghostDeltaTimer = 180; // 3 seconds at 60fps
+  }
+
+  /**
+   * Set the objectives checklist shown in the HUD
+   * @param {Array} objectives - Objectives from ScoringSystem.getObjectives
+   */
+  setObjectives(objectives) {
+    this.objectives = objectives;
+  }
+
+  /**
+   * Set the countdown shown in the HUD
+   * @param {number|null} seconds - Seconds remaining, or null when untimed
+   */
+  setTimeRemaining(seconds) {
+    this.timeRemaining = seconds;
+  }
+
+  /**
+   * Set the tube ride meter shown in the HUD
+   * @param {Object|null} meter - Meter {balance, time, maxDuration,
+   *   exitWindow} or null to hide it
+   */
+  setTubeMeter(meter) {
+    this.tubeMeter = meter;
+  }
+
+  /**
+   * Set the manual balance meter shown in the HUD
+   * @param {Object|null} meter - Meter {name, balance, time} or null to
+   *   hide it
+   */
+  setManualMeter(meter) {
+    this.manualMeter = meter;
+  }
+
+  /**
+   * Toggle the replay indicator
+   * @param {boolean} active - Whether a replay is playing
+   */
+  setReplayMode(active) {
+    this.replayActive = active;
+  }
+
   /**
    * Show trick animation
    * @param {Object} trick - Trick data
@@ -748,6 +1102,16 @@ export default class UIManager {
           this.onMenuAction("start", this.components.modeSelector.selectedMode);
         }
         return true;
+      case "editor":
+        if (this.onMenuAction) {
+          this.onMenuAction("editor", modeSelector.selectedMode);
+        }
+        return true;
+      case "replay":
+        if (this.onMenuAction) {
+          this.onMenuAction("replay", modeSelector.selectedMode);
+        }
+        return true;
       case "left":
       case "s":
         this.components.modeSelector.selectedMode = "skate";
@@ -0,0 +1,281 @@
+/**
+ * Wave model
+ * The one description of the surf: height, slope, breaking state and lip
+ * position at any X and simulation time. Physics, collision, rendering and
+ * trick checks all read the water from here so the rider sits on the wave
+ * that is drawn.
+ *
+ * A breaking section starts to break once the rider reaches it: its curl
+ * peels from the start of the section toward the end. The water just ahead
+ * of the curl is the pocket, everything behind it is whitewater, and the lip
+ * throws out over the curl.
+ *
+ * Every few crests of the swell is a roller: a wall of whitewater a
+ * paddling rider has to duck-dive under rather than catch.
+ */
+
+/**
+ * Wave settings
+ */
+export const WAVE_CONFIG = {
+  waterLevel: 250, // Still water Y position
+  wavelength: 300, // Distance between crests
+  speed: 40, // Pixels per second the swell travels toward the shore (right)
+  blendWidth: 60, // Distance over which one section's shape eases into the next
+  // Shape of each section type
+  types: {
+    normal: {amplitude: 20, chop: 0},
+    breaking: {amplitude: 35, chop: 0},
+    choppy: {amplitude: 15, chop: 8},
+  },
+  // Layout waveHeight and waveFrequency scale amplitude and crest spacing
+  heightScale: {low: 0.7, medium: 1, high: 1.4},
+  frequencyScale: {low: 0.75, medium: 1, high: 1.3},
+  curlSpeed: 240, // Pixels per second a breaking section peels
+  pocketWidth: 120, // Distance ahead of the curl that is the pocket
+  lipHeight: 20, // How far the lip stands above the wave at the curl
+  lipDistance: 48, // How close the rider's feet must be to the lip
+  rollerInterval: 3, // One crest in every this many is a roller of whitewater
+};
+
+export default class WaveSystem {
+  /**
+   * Create a wave model
+   * @param {Object} layout - Level layout {waveHeight, waveFrequency}
+   */
+  constructor(layout = {}) {
+    this.heightScale = WAVE_CONFIG.heightScale[layout.waveHeight] || 1;
+    this.wavelength =
+      WAVE_CONFIG.wavelength /
+      (WAVE_CONFIG.frequencyScale[layout.waveFrequency] || 1);
+
+    // Sections {x, width, type, amplitude, chop, breakTime}, in order along
+    // the level; breakTime is when a breaking section started to peel
+    this.sections = [];
+  }
+
+  /**
+   * Start breaking sections the rider has reached
+   * @param {number} riderX - Rider X position
+   * @param {number} time - Simulation time in seconds
+   */
+  update(riderX, time) {
+    for (const section of this.sections) {
+      if (
+        section.type === "breaking" &&
+        section.breakTime === null &&
+        riderX >= section.x
+      ) {
+        section.breakTime = time;
+      }
+    }
+  }
+
+  /**
+   * Add a section of water
+   * @param {number} x - X position
+   * @param {string} type - Wave type ('normal', 'breaking' or 'choppy')
+   * @param {number} width - Section width
+   * @returns {Object} Added section
+   */
+  addSection(x, type, width) {
+    const shape = WAVE_CONFIG.types[type] || WAVE_CONFIG.types.normal;
+    const section = {
+      x,
+      width,
+      type,
+      amplitude: shape.amplitude * this.heightScale,
+      chop: shape.chop * this.heightScale,
+      breakTime: null,
+    };
+
+    this.sections.push(section);
+    this.sections.sort((a, b) => a.x - b.x);
+    return section;
+  }
+
+  /**
+   * Get the section at an X position
+   * @param {number} x - X position
+   * @returns {Object|null} Section or null if none
+   */
+  getSectionAt(x) {
+    for (const section of this.sections) {
+      if (x >= section.x && x < section.x + section.width) {
+        return section;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the wave shape at an X position, eased into the neighbouring
+   * sections near their boundaries so the surface has no steps
+   * @param {number} x - X position
+   * @returns {Object} Shape {amplitude, chop}
+   */
+  getShapeAt(x) {
+    const blend = WAVE_CONFIG.blendWidth;
+    let amplitude = 0;
+    let chop = 0;
+    let weight = 0;
+
+    // Each section fades in and out over half the blend width either side
+    // of its edges; a normal swell fills any gaps
+    for (const section of this.sections) {
+      const fromStart = x - section.x + blend / 2;
+      const toEnd = section.x + section.width + blend / 2 - x;
+      const share = Math.max(0, Math.min(1, fromStart / blend, toEnd / blend));
+      if (share <= 0) continue;
+
+      amplitude += section.amplitude * share;
+      chop += section.chop * share;
+      weight += share;
+    }
+
+    const gap = Math.max(0, 1 - weight);
+    amplitude += WAVE_CONFIG.types.normal.amplitude * this.heightScale * gap;
+    weight += gap;
+
+    return {amplitude: amplitude / weight, chop: chop / weight};
+  }
+
+  /**
+   * Get the phase of the swell at a position and time
+   * @param {number} x - X position
+   * @param {number} time - Simulation time in seconds
+   * @returns {number} Phase in radians; crests are at PI / 2
+   */
+  getPhaseAt(x, time) {
+    return ((x - WAVE_CONFIG.speed * time) / this.wavelength) * Math.PI * 2;
+  }
+
+  /**
+   * Get the crest of the swell nearest an X position
+   * @param {number} x - X position
+   * @param {number} time - Simulation time in seconds
+   * @returns {Object} Crest {x, index}; index counts crests along the swell
+   *   and stays with a crest as it travels
+   */
+  getCrestAt(x, time) {
+    // Whole cycles past the first crest; crests sit at a quarter cycle
+    const cycle = this.getPhaseAt(x, time) / (Math.PI * 2) - 0.25;
+    const index = Math.round(cycle);
+
+    return {x: x - (cycle - index) * this.wavelength, index};
+  }
+
+  /**
+   * Check whether a crest of the swell is a roller of whitewater
+   * @param {number} index - Crest index from getCrestAt
+   * @returns {boolean} Whether the crest is a roller
+   */
+  isRoller(index) {
+    // Crests reach the start from behind in falling index order; each set
+    // ends in a roller, so the first to arrive is clean
+    const interval = WAVE_CONFIG.rollerInterval;
+    return ((index % interval) + interval) % interval === 1;
+  }
+
+  /**
+   * Get the height of the water surface
+   * @param {number} x - X position
+   * @param {number} time - Simulation time in seconds
+   * @returns {number} Surface Y position
+   */
+  getHeightAt(x, time) {
+    const {amplitude, chop} = this.getShapeAt(x);
+    const phase = this.getPhaseAt(x, time);
+
+    return (
+      WAVE_CONFIG.waterLevel -
+      Math.sin(phase) * amplitude -
+      Math.sin(phase * 3 + 1) * chop
+    );
+  }
+
+  /**
+   * Get the slope of the water surface
+   * @param {number} x - X position
+   * @param {number} time - Simulation time in seconds
+   * @returns {number} Rise in Y per unit X, positive downhill to the right
+   */
+  getSlopeAt(x, time) {
+    return (this.getHeightAt(x + 1, time) - this.getHeightAt(x - 1, time)) / 2;
+  }
+
+  /**
+   * Check whether the wave breaks at an X position
+   * @param {number} x - X position
+   * @returns {boolean} Whether the section there is a breaking one
+   */
+  isBreakingAt(x) {
+    const section = this.getSectionAt(x);
+    return Boolean(section && section.type === "breaking");
+  }
+
+  /**
+   * Get the curl of the breaking section at an X position
+   * @param {number} x - X position
+   * @param {number} time - Simulation time in seconds
+   * @returns {Object|null} Curl {x, section}, or null where nothing is
+   *   breaking yet; the curl stops at the end of its section once it has
+   *   closed out
+   */
+  getCurlAt(x, time) {
+    const section = this.getSectionAt(x);
+    if (!section || section.type !== "breaking") return null;
+    if (section.breakTime === null) return null;
+
+    const peeled = (time - section.breakTime) * WAVE_CONFIG.curlSpeed;
+    return {x: section.x + Math.min(section.width, peeled), section};
+  }
+
+  /**
+   * Get the breaking state of the water at an X position
+   * @param {number} x - X position
+   * @param {number} time - Simulation time in seconds
+   * @returns {string|null} 'whitewater' behind the curl, 'pocket' just ahead
+   *   of it, 'shoulder' further ahead or before the section breaks; null
+   *   where the wave doesn't break
+   */
+  getBreakAt(x, time) {
+    if (!this.isBreakingAt(x)) return null;
+
+    const curl = this.getCurlAt(x, time);
+    if (!curl) return "shoulder";
+    if (x < curl.x) return "whitewater";
+    if (x < curl.x + WAVE_CONFIG.pocketWidth) return "pocket";
+    return "shoulder";
+  }
+
+  /**
+   * Get the lip of the wave at an X position, thrown out over the curl
+   * @param {number} x - X position
+   * @param {number} time - Simulation time in seconds
+   * @returns {Object|null} Lip {x, y}, or null where nothing is breaking
+   */
+  getLipAt(x, time) {
+    const curl = this.getCurlAt(x, time);
+    if (!curl || curl.x >= curl.section.x + curl.section.width) return null;
+
+    return {
+      x: curl.x,
+      y: this.getHeightAt(curl.x, time) - WAVE_CONFIG.lipHeight,
+    };
+  }
+
+  /**
+   * Check whether a point is close enough to touch the lip
+   * @param {number} x - X position
+   * @param {number} y - Y position, usually the rider's feet
+   * @param {number} time - Simulation time in seconds
+   * @returns {boolean} Whether the lip is within reach
+   */
+  isNearLip(x, y, time) {
+    const lip = this.getLipAt(x, time);
+    if (!lip) return false;
+
+    return Math.hypot(lip.x - x, lip.y - y) <= WAVE_CONFIG.lipDistance;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Texture atlas data
+ * Reads the JSON that TexturePacker and Aseprite export beside a packed
+ * sprite sheet, in either their hash or array layout, into named frames and
+ * animation tags. Trimmed frames keep the offset of their pixels inside the
+ * untrimmed sprite so every frame of an animation lines up.
+ */
+
+/**
+ * Read one frame of an atlas
+ * @param {string} name - Frame name
+ * @param {Object} entry - Exported frame {frame, trimmed, spriteSourceSize,
+ *   sourceSize, rotated, duration}
+ * @returns {Object} Frame {x, y, width, height, offsetX, offsetY,
+ *   sourceWidth, sourceHeight, duration}; duration is in milliseconds, or
+ *   null when the atlas doesn't time its frames
+ */
+function parseFrame(name, entry) {
+  if (entry.rotated) {
+    throw new Error(`Atlas frame "${name}" is rotated; export unrotated`);
+  }
+
+  const {x, y, w, h} = entry.frame;
+  const trim = entry.trimmed ? entry.spriteSourceSize : {x: 0, y: 0};
+  const source = entry.sourceSize || {w, h};
+
+  return {
+    x,
+    y,
+    width: w,
+    height: h,
+    offsetX: trim.x,
+    offsetY: trim.y,
+    sourceWidth: source.w,
+    sourceHeight: source.h,
+    duration: entry.duration ?? null,
+  };
+}
+
+/**
+ * List the frames a tag plays, in order
+ * @param {Array} names - Frame names in atlas order
+ * @param {Object} tag - Aseprite frame tag {from, to, direction}
+ * @returns {Array} Frame names
+ */
+function getTagFrames(names, tag) {
+  const frames = names.slice(tag.from, tag.to + 1);
+  const direction = tag.direction || "forward";
+
+  if (direction === "reverse") return frames.reverse();
+  // Ping-pong plays back without repeating the frames at either end
+  const back = frames.slice(1, -1).reverse();
+  if (direction === "pingpong") return [...frames, ...back];
+  if (direction === "pingpong_reverse") {
+    return [...frames.reverse(), ...back.reverse()];
+  }
+  return frames;
+}
+
+/**
+ * Parse texture atlas JSON
+ * Animations come from Aseprite frame tags (meta.frameTags) or
+ * TexturePacker animation lists (animations); a tag with a repeat count
+ * plays that many times and so doesn't loop.
+ * @param {Object} data - Atlas JSON {frames, meta, animations}
+ * @returns {Object} Atlas {image, frames, frameNames, tags}: image is the
+ *   sheet's file name, frames are keyed by name, frameNames keep the export
+ *   order and tags are {name, frames, loop}
+ */
+export function parseAtlas(data) {
+  if (!data || !data.frames) {
+    throw new Error("Atlas data has no frames");
+  }
+
+  // The array layout names each frame in it; the hash layout keys them
+  const entries = Array.isArray(data.frames)
+    ? data.frames.map((entry) => [entry.filename, entry])
+    : Object.entries(data.frames);
+
+  const frames = {};
+  const frameNames = [];
+  for (const [name, entry] of entries) {
+    frames[name] = parseFrame(name, entry);
+    frameNames.push(name);
+  }
+
+  const meta = data.meta || {};
+  const tags = (meta.frameTags || []).map((tag) => ({
+    name: tag.name,
+    frames: getTagFrames(frameNames, tag),
+    loop: !tag.repeat || Number(tag.repeat) === 0,
+  }));
+
+  for (const [name, names] of Object.entries(data.animations || {})) {
+    tags.push({name, frames: [...names], loop: true});
+  }
+
+  return {image: meta.image || null, frames, frameNames, tags};
+}
@@ -0,0 +1,398 @@
+/**
+ * Level pack validation
+ * Checks level packs against the published level schema, then checks what
+ * the schema cannot express: object types per game mode, overlapping
+ * objects, objects placed beyond the end of the level and tube zones
+ * running past the finish line.
+ */
+
+import LEVEL_SCHEMA from "../constants/level-schema.json";
+import {GAME_MODES, ENVIRONMENT_CONFIG} from "../constants/game-modes";
+import {getTricksForMode} from "../constants/tricks";
+
+/**
+ * Obstacle and zone types each game mode can build
+ */
+export const LEVEL_OBJECT_TYPES = {
+  [GAME_MODES.SKATE]: {
+    obstacles: [
+      "rail",
+      "handrail",
+      "bench",
+      "ramp",
+      "gap",
+      "halfpipe",
+      "quarterpipe",
+      "stairs",
+      "planter",
+      "car",
+    ],
+    zones: ["trick_zone", "speed_boost", "score_multiplier"],
+  },
+  [GAME_MODES.SURF]: {
+    obstacles: ["buoy", "swimmer", "rock", "driftwood", "seaweed"],
+    zones: ["tube_zone", "wave_boost", "score_multiplier"],
+  },
+};
+
+// Footprint of obstacles that level data doesn't size (matches LevelSystem)
+const OBSTACLE_WIDTHS = {
+  rail: 150,
+  handrail: 200,
+  bench: 100,
+  ramp: 80,
+  gap: 120,
+  halfpipe: 200,
+  quarterpipe: 80,
+  buoy: 20,
+  swimmer: 40,
+  rock: 50,
+  driftwood: 60,
+  seaweed: 30,
+};
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Value to check
+ * @returns {string} Type name as used by JSON Schema
+ */
+function getJSONType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema node
+ * Supports the subset of JSON Schema the level schema uses.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path of the value, for error messages
+ * @param {Array} errors - Errors found so far; new ones are appended
+ * @param {Set} broken - Paths with the wrong type or missing fields; new
+ *   ones are added
+ */
+function checkSchema(value, schema, path, errors, broken) {
+  if (schema.$ref) {
+    const name = schema.$ref.replace("#/definitions/", "");
+    checkSchema(value, LEVEL_SCHEMA.definitions[name], path, errors, broken);
+    return;
+  }
+
+  // Type; integers are numbers too
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const type = getJSONType(value);
+    const matches =
+      types.includes(type) || (type === "integer" && types.includes("number"));
+
+    if (!matches) {
+      errors.push({path, message: `must be of type ${types.join(" or ")}`});
+      broken.add(path);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({path, message: `must be one of ${schema.enum.join(", ")}`});
+  }
+
+  // Numbers
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({path, message: `must be at least ${schema.minimum}`});
+  }
+  if (
+    schema.exclusiveMinimum !== undefined &&
+    value <= schema.exclusiveMinimum
+  ) {
+    errors.push({
+      path,
+      message: `must be greater than ${schema.exclusiveMinimum}`,
+    });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({path, message: `must be at most ${schema.maximum}`});
+  }
+
+  // Strings
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({path, message: "must not be empty"});
+  }
+
+  // Arrays
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        path,
+        message: `must have at least ${schema.minItems} item(s)`,
+      });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => {
+        checkSchema(item, schema.items, `${path}[${index}]`, errors, broken);
+      });
+    }
+    return;
+  }
+
+  // Objects
+  if (getJSONType(value) === "object") {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({path, message: `is missing required field "${key}"`});
+        broken.add(path);
+      }
+    }
+
+    for (const key in value) {
+      const childPath = path ? `${path}.${key}` : key;
+
+      if (properties[key]) {
+        checkSchema(value[key], properties[key], childPath, errors, broken);
+      } else if (schema.additionalProperties === false) {
+        errors.push({path: childPath, message: "is not a known field"});
+      }
+    }
+  }
+}
+
+/**
+ * Report objects whose spans overlap along the level
+ * @param {Array} spans - Spans {start, end, path, type}
+ * @param {string} kind - Object kind for messages
+ * @param {Array} errors - Errors found so far; new ones are appended
+ */
+function checkOverlaps(spans, kind, errors) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    const current = sorted[i];
+
+    if (current.start < previous.end) {
+      errors.push({
+        path: current.path,
+        message:
+          `${kind} "${current.type}" at x=${current.start} overlaps ` +
+          `"${previous.type}" at ${previous.path} ` +
+          `(${previous.start}-${previous.end})`,
+      });
+    }
+  }
+}
+
+/**
+ * Report objects that end beyond the level's length
+ * @param {Array} spans - Spans {start, end, path, type}
+ * @param {string} kind - Object kind for messages
+ * @param {number} length - Level length
+ * @param {Array} errors - Errors found so far; new ones are appended
+ */
+function checkBounds(spans, kind, length, errors) {
+  for (const span of spans) {
+    if (span.end > length) {
+      errors.push({
+        path: span.path,
+        message:
+          `${kind} "${span.type}" ends at x=${span.end}, beyond ` +
+          `layout.length (${length})`,
+      });
+    }
+  }
+}
+
+/**
+ * Check the parts of a schema-valid level that depend on its game mode
+ * @param {Object} level - Level definition
+ * @param {string} mode - Game mode
+ * @param {string} path - Path of the level, for error messages
+ * @param {Array} errors - Errors found so far; new ones are appended
+ */
+function checkLevelContents(level, mode, path, errors) {
+  const types = LEVEL_OBJECT_TYPES[mode];
+  const length = level.layout.length;
+
+  // Obstacles
+  const obstacles = [];
+  (level.obstacles || []).forEach((obstacle, index) => {
+    const obstaclePath = `${path}.obstacles[${index}]`;
+
+    if (!types.obstacles.includes(obstacle.type)) {
+      errors.push({
+        path: `${obstaclePath}.type`,
+        message:
+          `unknown obstacle type "${obstacle.type}" for ${mode} ` +
+          `(expected one of ${types.obstacles.join(", ")})`,
+      });
+      return;
+    }
+
+    // Quarter-pipes are as wide as they are tall
+    const size =
+      obstacle.type === "quarterpipe"
+        ? obstacle.height
+        : obstacle.length || obstacle.width;
+    const width = size || OBSTACLE_WIDTHS[obstacle.type] || 0;
+    obstacles.push({
+      start: obstacle.x,
+      end: obstacle.x + width,
+      path: obstaclePath,
+      type: obstacle.type,
+    });
+  });
+  checkOverlaps(obstacles, "Obstacle", errors);
+  checkBounds(obstacles, "Obstacle", length, errors);
+
+  // Special zones
+  const zones = [];
+  (level.specialZones || []).forEach((zone, index) => {
+    const zonePath = `${path}.specialZones[${index}]`;
+
+    if (!types.zones.includes(zone.type)) {
+      errors.push({
+        path: `${zonePath}.type`,
+        message:
+          `unknown zone type "${zone.type}" for ${mode} ` +
+          `(expected one of ${types.zones.join(", ")})`,
+      });
+      return;
+    }
+
+    // A tube ride has to end before the run does
+    const finishX = length - ENVIRONMENT_CONFIG[mode].finishRunout;
+    if (zone.type === "tube_zone" && zone.x + zone.width > finishX) {
+      errors.push({
+        path: zonePath,
+        message:
+          `Zone "tube_zone" ends at x=${zone.x + zone.width}, past the ` +
+          `finish line (${finishX})`,
+      });
+    }
+
+    zones.push({
+      start: zone.x,
+      end: zone.x + zone.width,
+      path: zonePath,
+      type: zone.type,
+    });
+  });
+  checkOverlaps(zones, "Zone", errors);
+  checkBounds(zones, "Zone", length, errors);
+
+  // Wave sections only shape surf levels
+  if (level.waveSections && mode !== GAME_MODES.SURF) {
+    errors.push({
+      path: `${path}.waveSections`,
+      message: `wave sections are only used by ${GAME_MODES.SURF} levels`,
+    });
+  } else if (level.waveSections) {
+    const sections = level.waveSections.map((section, index) => ({
+      start: section.x,
+      end: section.x + section.length,
+      path: `${path}.waveSections[${index}]`,
+      type: section.type,
+    }));
+    checkOverlaps(sections, "Wave section", errors);
+    checkBounds(sections, "Wave section", length, errors);
+  }
+
+  // Ground sections only shape skate levels
+  if (level.groundSections && mode !== GAME_MODES.SKATE) {
+    errors.push({
+      path: `${path}.groundSections`,
+      message: `ground sections are only used by ${GAME_MODES.SKATE} levels`,
+    });
+  } else if (level.groundSections) {
+    const sections = level.groundSections.map((section, index) => ({
+      start: section.x,
+      end: section.x + section.length,
+      path: `${path}.groundSections[${index}]`,
+      type: section.type,
+    }));
+    checkOverlaps(sections, "Ground section", errors);
+    checkBounds(sections, "Ground section", length, errors);
+  }
+
+  // Goals need a target, and trick goals a trick of this mode
+  const tricks = Object.values(getTricksForMode(mode)).map((trick) => trick.id);
+  (level.objectives.specialGoals || []).forEach((goal, index) => {
+    const goalPath = `${path}.objectives.specialGoals[${index}]`;
+
+    if (goal.type === "PERFORM_TRICK" && !tricks.includes(goal.trickId)) {
+      errors.push({
+        path: `${goalPath}.trickId`,
+        message: `unknown trick "${goal.trickId}" for ${mode}`,
+      });
+    }
+
+    if (goal.count === undefined && goal.duration === undefined) {
+      errors.push({
+        path: goalPath,
+        message: "needs a count or a duration",
+      });
+    }
+  });
+}
+
+/**
+ * Validate a level pack
+ * @param {Object} pack - Level pack data
+ * @returns {Array} Errors [{path, message}]; empty when the pack is valid
+ */
+export function validateLevelPack(pack) {
+  const errors = [];
+  const broken = new Set();
+  checkSchema(pack, LEVEL_SCHEMA, "", errors, broken);
+
+  // Contents are only checked where the structure is sound
+  const isBroken = (path) =>
+    [...broken].some(
+      (brokenPath) =>
+        brokenPath === path ||
+        brokenPath.startsWith(`${path}.`) ||
+        brokenPath.startsWith(`${path}[`)
+    );
+  if (isBroken("") || isBroken("mode") || isBroken("levels")) {
+    return errors;
+  }
+
+  const ids = new Set();
+  pack.levels.forEach((level, index) => {
+    const path = `levels[${index}]`;
+
+    if (ids.has(level.id)) {
+      errors.push({
+        path: `${path}.id`,
+        message: `duplicate level id "${level.id}"`,
+      });
+    }
+    ids.add(level.id);
+
+    if (!isBroken(path)) {
+      checkLevelContents(level, pack.mode, path, errors);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Format validation errors as readable lines
+ * @param {Array} errors - Errors from validateLevelPack
+ * @returns {string} One error per line
+ */
+export function formatLevelErrors(errors) {
+  return errors
+    .map((error) => `${error.path || "(pack)"}: ${error.message}`)
+    .join("\n");
+}
+
+export default {
+  validate: validateLevelPack,
+  formatErrors: formatLevelErrors,
+  OBJECT_TYPES: LEVEL_OBJECT_TYPES,
+};
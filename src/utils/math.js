@@ -28,22 +28,79 @@ export function lerp(a, b, t) {
  * Get a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} random - Random source returning [0, 1)
  * @returns {number} Random integer
  */
-export function randomInt(min, max) {
+export function randomInt(min, max, random = Math.random) {
   min = Math.ceil(min);
   max = Math.floor(max);
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
  * Get a random float between min and max
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} random - Random source returning [0, 1)
  * @returns {number} Random float
  */
-export function randomFloat(min, max) {
-  return Math.random() * (max - min) + min;
+export function randomFloat(min, max, random = Math.random) {
+  return random() * (max - min) + min;
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * The same seed always produces the same sequence.
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {Function} Random source returning [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normalize a seed value to a 32-bit unsigned integer
+ * Numeric strings are used as-is, other strings are hashed (FNV-1a).
+ * @param {number|string} value - Seed value
+ * @returns {number|null} Seed or null if value is empty
+ */
+export function normalizeSeed(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return Math.floor(value) >>> 0;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Generate a fresh random seed
+ * @returns {number} 32-bit unsigned integer seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
 }
 
 /**
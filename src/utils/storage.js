@@ -5,6 +5,9 @@
 // Prefix for all storage keys to avoid conflicts
 const STORAGE_PREFIX = "sidewave_rider_";
 
+// Headless runs (tests, command line) have no localStorage
+const HAS_STORAGE = typeof localStorage !== "undefined";
+
 /**
  * Save data to local storage
  * @param {string} key - Storage key
@@ -12,6 +15,8 @@ const STORAGE_PREFIX = "sidewave_rider_";
  * @returns {boolean} True if successful
  */
 export function saveData(key, data) {
+  if (!HAS_STORAGE) return false;
+
   try {
     const prefixedKey = STORAGE_PREFIX + key;
     const serializedData = JSON.stringify(data);
@@ -30,6 +35,8 @@ export function saveData(key, data) {
  * @returns {*} Loaded data or default value
  */
 export function loadData(key, defaultValue = null) {
+  if (!HAS_STORAGE) return defaultValue;
+
   try {
     const prefixedKey = STORAGE_PREFIX + key;
     const serializedData = localStorage.getItem(prefixedKey);
@@ -51,6 +58,8 @@ export function loadData(key, defaultValue = null) {
  * @returns {boolean} True if successful
  */
 export function deleteData(key) {
+  if (!HAS_STORAGE) return false;
+
   try {
     const prefixedKey = STORAGE_PREFIX + key;
     localStorage.removeItem(prefixedKey);
@@ -66,6 +75,8 @@ export function deleteData(key) {
  * @returns {boolean} True if successful
  */
 export function clearAllData() {
+  if (!HAS_STORAGE) return false;
+
   try {
     // Only clear keys that belong to this game
     Object.keys(localStorage).forEach((key) => {
@@ -132,6 +143,54 @@ export function loadProgress() {
   return loadData("progress", {});
 }
 
+/**
+ * Load all saved replays
+ * @returns {Object} Replays keyed by replay key
+ */
+export function loadReplays() {
+  return loadData("replays", {});
+}
+
+/**
+ * Save a replay
+ * @param {string} key - Replay key (mode and level)
+ * @param {Object} replay - Replay data
+ * @returns {boolean} True if successful
+ */
+export function saveReplay(key, replay) {
+  const replays = loadReplays();
+  replays[key] = replay;
+  return saveData("replays", replays);
+}
+
+/**
+ * Load a replay
+ * @param {string} key - Replay key (mode and level)
+ * @returns {Object|null} Replay data or null if none saved
+ */
+export function loadReplay(key) {
+  return loadReplays()[key] || null;
+}
+
+/**
+ * Save a ghost run
+ * @param {string} key - Ghost key (mode and level)
+ * @param {Object} ghost - Ghost data
+ * @returns {boolean} True if successful
+ */
+export function saveGhost(key, ghost) {
+  return saveData(`ghost_${key}`, ghost);
+}
+
+/**
+ * Load a ghost run
+ * @param {string} key - Ghost key (mode and level)
+ * @returns {Object|null} Ghost data or null if none saved
+ */
+export function loadGhost(key) {
+  return loadData(`ghost_${key}`, null);
+}
+
 /**
  * Check if the browser supports localStorage
  * @returns {boolean} True if localStorage is supported
@@ -149,7 +208,7 @@ export function isLocalStorageSupported() {
 
 // Initialize storage system
 const storageSupported = isLocalStorageSupported();
-if (!storageSupported) {
+if (!storageSupported && HAS_STORAGE) {
   console.warn(
     "localStorage is not supported in this browser. Game progress will not be saved."
   );
@@ -166,5 +225,10 @@ export default {
   loadSettings,
   saveProgress,
   loadProgress,
+  saveReplay,
+  loadReplay,
+  loadReplays,
+  saveGhost,
+  loadGhost,
   isSupported: storageSupported,
 };
@@ -0,0 +1,105 @@
+/**
+ * Transition geometry for halfpipes and quarter-pipes
+ * A transition is the curved wall of a pipe: a quarter circle running from
+ * flat at the bottom to vertical at the coping. Positions along it are
+ * measured as distance along the surface from the pipe's left end.
+ */
+
+/**
+ * Get the shape of an obstacle's transitions
+ * Halfpipes have a wall at each end with flat bottom between; quarter-pipes
+ * have flat bottom leading to a single wall on the right. The coping is at
+ * the obstacle's top and the walls' radius is its height.
+ * @param {Object} obstacle - Obstacle with a transition property
+ *   ('both' or 'right')
+ * @returns {Object} Profile {x, top, radius, leftWall, flat, length}; wall
+ *   and flat values are lengths along the surface
+ */
+export function getTransitionProfile(obstacle) {
+  const radius = obstacle.height;
+  const walls = obstacle.properties.transition === "both" ? 2 : 1;
+
+  return {
+    x: obstacle.x,
+    top: obstacle.y,
+    radius,
+    leftWall: walls === 2 ? (Math.PI * radius) / 2 : 0,
+    flat: obstacle.width - radius * walls,
+    length: (Math.PI * radius * walls) / 2 + obstacle.width - radius * walls,
+  };
+}
+
+/**
+ * Get the point on a transition at a distance along its surface
+ * @param {Object} profile - Profile from getTransitionProfile
+ * @param {number} distance - Distance from the left end; clamped to the
+ *   surface
+ * @returns {Object} Point {x, y, tangent: {x, y}}; the tangent is a unit
+ *   vector pointing toward the right end
+ */
+export function getTransitionPoint(profile, distance) {
+  const {x, top, radius, leftWall, flat} = profile;
+  const s = Math.max(0, Math.min(profile.length, distance));
+  const flatStart = x + (leftWall > 0 ? radius : 0);
+
+  // Left wall, dropping from the coping to the bottom
+  if (s < leftWall) {
+    const angle = s / radius;
+    return {
+      x: flatStart - radius * Math.cos(angle),
+      y: top + radius * Math.sin(angle),
+      tangent: {x: Math.sin(angle), y: Math.cos(angle)},
+    };
+  }
+
+  // Flat bottom
+  if (s < leftWall + flat) {
+    return {
+      x: flatStart + s - leftWall,
+      y: top + radius,
+      tangent: {x: 1, y: 0},
+    };
+  }
+
+  // Right wall, climbing from the bottom to the coping
+  const angle = (s - leftWall - flat) / radius;
+  return {
+    x: flatStart + flat + radius * Math.sin(angle),
+    y: top + radius * Math.cos(angle),
+    tangent: {x: Math.cos(angle), y: -Math.sin(angle)},
+  };
+}
+
+/**
+ * Get the distance along a transition's surface at an X position
+ * @param {Object} profile - Profile from getTransitionProfile
+ * @param {number} x - X position; clamped to the pipe
+ * @returns {number} Distance from the left end
+ */
+export function getTransitionDistance(profile, x) {
+  const {radius, leftWall, flat} = profile;
+  const flatStart = profile.x + (leftWall > 0 ? radius : 0);
+  const flatEnd = flatStart + flat;
+
+  if (x < flatStart) {
+    const offset = Math.min(radius, flatStart - x);
+    return radius * Math.acos(offset / radius);
+  }
+
+  if (x <= flatEnd) {
+    return leftWall + x - flatStart;
+  }
+
+  const offset = Math.min(radius, x - flatEnd);
+  return leftWall + flat + radius * Math.asin(offset / radius);
+}
+
+/**
+ * Get the height of a transition's surface at an X position
+ * @param {Object} profile - Profile from getTransitionProfile
+ * @param {number} x - X position
+ * @returns {number} Surface Y position
+ */
+export function getTransitionSurfaceY(profile, x) {
+  return getTransitionPoint(profile, getTransitionDistance(profile, x)).y;
+}
@@ -0,0 +1,50 @@
+import AnimationSystem from "../src/systems/animation";
+
+describe("animations", () => {
+  /**
+   * Create an animation system with a 10fps animation defined
+   * @param {Object} options - Animation options
+   * @returns {AnimationSystem} Animation system
+   */
+  function createAnimations(options = {}) {
+    const animations = new AnimationSystem({});
+    animations.define("move", "skater", [0, 1, 2], 10, options);
+    return animations;
+  }
+
+  test("advance frames with the time they are updated by", () => {
+    const animations = createAnimations();
+    animations.play("character", "move");
+
+    animations.update(0.05);
+    expect(animations.getState("character").currentFrame).toBe(0);
+    animations.update(0.05);
+    expect(animations.getState("character").currentFrame).toBe(1);
+    animations.update(0.1);
+    expect(animations.getState("character").currentFrame).toBe(2);
+    animations.update(0.1);
+    expect(animations.getState("character").currentFrame).toBe(0);
+  });
+
+  test("hold still while not updated", () => {
+    const animations = createAnimations();
+    animations.play("character", "move");
+
+    animations.update(0.05);
+    animations.update(0);
+    expect(animations.getState("character").currentFrame).toBe(0);
+  });
+
+  test("stop a one-shot animation on its last frame", () => {
+    const animations = createAnimations({loop: false});
+    const completed = [];
+    animations.play("character", "move", {
+      onComplete: (id, name) => completed.push(name),
+    });
+
+    for (let i = 0; i < 3; i++) animations.update(0.1);
+
+    expect(completed).toEqual(["move"]);
+    expect(animations.isPlaying("character")).toBe(false);
+  });
+});
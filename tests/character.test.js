@@ -0,0 +1,222 @@
+import Simulation from "../src/systems/simulation";
+
+/**
+ * Build a flat skate level holding the given obstacles
+ * @param {Array} obstacles - Level obstacles
+ * @returns {Object} Level definition
+ */
+function flatLevel(obstacles = []) {
+  return {
+    id: "flat",
+    name: "Flat",
+    timeLimit: 0,
+    objectives: {},
+    specialZones: [],
+    layout: {length: 3000, obstacleFrequency: 0, collectibleFrequency: 0},
+    groundSections: [{type: "flat", x: 0, length: 3000}],
+    obstacles,
+  };
+}
+
+/**
+ * Record the simulation's trick, bail and end-of-move events
+ * @param {Simulation} simulation - Simulation to watch
+ * @returns {Array} Events as [name, ...details]
+ */
+function watch(simulation) {
+  const events = [];
+  simulation.onTrickPerformed = (trick) => events.push(["trick", trick.id]);
+  simulation.onGrindEnd = (obstacle, duration, points, reason) =>
+    events.push(["grindEnd", reason, duration]);
+  simulation.onManualEnd = (trick, duration, points, reason) =>
+    events.push(["manualEnd", reason, duration]);
+  simulation.onBail = (reason) => events.push(["bail", reason]);
+  return events;
+}
+
+describe("grinds", () => {
+  test("lock onto a rail jumped onto and end with points", () => {
+    const simulation = new Simulation({
+      seed: 1,
+      levelData: flatLevel([{type: "rail", x: 800, length: 400, height: 20}]),
+    });
+    const events = watch(simulation);
+    simulation.setInput("right", true);
+
+    let jumpedAt = null;
+    let grinding = false;
+    for (let tick = 0; tick < 900; tick++) {
+      const {x} = simulation.physics.position;
+      if (jumpedAt === null && simulation.physics.grounded && x > 710) {
+        jumpedAt = tick;
+      }
+      simulation.setInput("jump", jumpedAt !== null && tick - jumpedAt < 3);
+
+      // Keep the balance centred
+      if (simulation.character.isGrinding()) {
+        grinding = true;
+        const {balance} = simulation.physics.grind;
+        simulation.setInput("up", balance > 0);
+        simulation.setInput("down", balance < 0);
+      }
+      simulation.step();
+    }
+
+    const grindEnd = events.find((event) => event[0] === "grindEnd");
+    expect(grinding).toBe(true);
+    expect(grindEnd).toBeDefined();
+    expect(grindEnd[2]).toBeGreaterThan(0);
+    expect(simulation.scoring.grindTime).toBeGreaterThan(0);
+  });
+});
+
+describe("manuals", () => {
+  test("start on a landing with up held and link out with an ollie", () => {
+    const simulation = new Simulation({seed: 1, levelData: flatLevel()});
+    const events = watch(simulation);
+    simulation.setInput("right", true);
+
+    let manualed = false;
+    for (let tick = 0; tick < 600; tick++) {
+      if (tick === 100) simulation.setInput("jump", true);
+      if (tick === 102) simulation.setInput("jump", false);
+      if (tick === 110) simulation.setInput("up", true);
+
+      const manual = simulation.character.manual;
+      if (manual) {
+        manualed = true;
+        // Keep the balance on the tail, then ollie out after a second
+        simulation.setInput("up", manual.balance > -0.05);
+        simulation.setInput("down", manual.balance < -0.3);
+        simulation.setInput("jump", manual.time > 1);
+      } else if (manualed) {
+        simulation.setInput("up", false);
+        simulation.setInput("down", false);
+        simulation.setInput("jump", false);
+      }
+      simulation.step();
+    }
+
+    const manualEnd = events.find((event) => event[0] === "manualEnd");
+    expect(manualed).toBe(true);
+    expect(manualEnd).toEqual(["manualEnd", "jump", expect.any(Number)]);
+    expect(manualEnd[2]).toBeGreaterThan(1);
+    expect(events.some((event) => event[0] === "bail")).toBe(false);
+  });
+});
+
+describe("air tricks", () => {
+  test("don't fire from a press made before the jump", () => {
+    const simulation = new Simulation({seed: 1, levelData: flatLevel()});
+    const events = watch(simulation);
+
+    /**
+     * Press and release an action, then ride on
+     * @param {string} action - Action to tap
+     * @param {number} ticks - Ticks to ride on for
+     */
+    function tap(action, ticks) {
+      simulation.setInput(action, true);
+      simulation.step();
+      simulation.setInput(action, false);
+      for (let tick = 0; tick < ticks; tick++) simulation.step();
+    }
+
+    // Down on the ground, then a jump well within the buffer time
+    simulation.setInput("right", true);
+    for (let tick = 0; tick < 100; tick++) simulation.step();
+    tap("down", 20);
+    tap("jump", 10);
+    expect(simulation.physics.grounded).toBe(false);
+    expect(events).not.toContainEqual(["trick", "ollie"]);
+
+    // Down pressed in the air is still an ollie
+    tap("down", 40);
+    expect(events).toContainEqual(["trick", "ollie"]);
+  });
+});
+
+describe("bails", () => {
+  /**
+   * Jump, start a trick some ticks later and ride on
+   * @param {number} trickDelay - Ticks between the jump and the trick
+   * @returns {Object} Result {simulation, events}
+   */
+  function jumpAndTrick(trickDelay) {
+    const simulation = new Simulation({seed: 1, levelData: flatLevel()});
+    const events = watch(simulation);
+    simulation.setInput("right", true);
+
+    for (let tick = 0; tick < 100; tick++) simulation.step();
+    simulation.setInput("jump", true);
+    simulation.step();
+    simulation.setInput("jump", false);
+    for (let tick = 0; tick < trickDelay; tick++) simulation.step();
+    simulation.setInput("trick1", true);
+    simulation.step();
+    simulation.setInput("trick1", false);
+
+    return {simulation, events};
+  }
+
+  test("don't happen when a trick finishes before landing", () => {
+    const {simulation, events} = jumpAndTrick(5);
+    for (let tick = 0; tick < 250; tick++) simulation.step();
+
+    expect(events.some((event) => event[0] === "trick")).toBe(true);
+    expect(events.some((event) => event[0] === "bail")).toBe(false);
+    expect(simulation.scoring.bails).toBe(0);
+  });
+
+  test("happen when landing mid-trick, then the rider recovers", () => {
+    const {simulation, events} = jumpAndTrick(70);
+
+    let bailed = false;
+    for (let tick = 0; tick < 250; tick++) {
+      simulation.step();
+      bailed = bailed || simulation.character.isBailing();
+    }
+
+    expect(bailed).toBe(true);
+    expect(events.some((event) => event[0] === "bail")).toBe(true);
+    expect(simulation.scoring.bails).toBe(1);
+    expect(simulation.character.isBailing()).toBe(false);
+  });
+});
+
+describe("finishing", () => {
+  test("scores a grind still going at the finish and banks its combo", () => {
+    const simulation = new Simulation({
+      seed: 1,
+      levelData: flatLevel([{type: "rail", x: 800, length: 600, height: 20}]),
+    });
+    const events = watch(simulation);
+    simulation.setInput("right", true);
+
+    // Kickflip onto the rail and finish the level halfway along it
+    let jumpedAt = null;
+    for (let tick = 0; tick < 900; tick++) {
+      const {x} = simulation.physics.position;
+      if (jumpedAt === null && simulation.physics.grounded && x > 700) {
+        jumpedAt = tick;
+      }
+      simulation.setInput("jump", jumpedAt !== null && tick - jumpedAt < 3);
+      simulation.setInput("trick1", jumpedAt !== null && tick === jumpedAt + 5);
+      simulation.step();
+
+      if (simulation.character.isGrinding() && x > 1000) break;
+    }
+    expect(simulation.character.isGrinding()).toBe(true);
+    expect(simulation.scoring.currentCombo.length).toBe(2);
+
+    const score = simulation.scoring.score;
+    simulation.finishLevel();
+
+    expect(events).toContainEqual(["grindEnd", "end", expect.any(Number)]);
+    expect(simulation.character.isGrinding()).toBe(false);
+    expect(simulation.character.comboCounter).toBe(0);
+    expect(simulation.scoring.currentCombo).toEqual([]);
+    expect(simulation.scoring.grindTime).toBeGreaterThan(0);
+    expect(simulation.getRunStats().score).toBeGreaterThan(score);
+  });
+});
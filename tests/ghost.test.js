@@ -0,0 +1,76 @@
+import GhostSystem, {GHOST_CONFIG} from "../src/systems/ghost";
+
+// Ghosts are kept in memory in place of localStorage
+jest.mock("../src/utils/storage", () => {
+  const stored = new Map();
+  return {
+    saveGhost: (key, ghost) => {
+      stored.set(key, JSON.parse(JSON.stringify(ghost)));
+      return true;
+    },
+    loadGhost: (key) => stored.get(key) || null,
+  };
+});
+
+/**
+ * Record a run and save it as the ghost if it may be saved
+ * @param {Object} info - Run info {mode, levelId, seed, levelWidth}
+ * @param {number} length - Tick the run finished on
+ * @returns {boolean} Whether the run was saved
+ */
+function saveRun(info, length) {
+  const ghosts = new GhostSystem();
+  ghosts.start(info);
+  for (let tick = 0; tick < length; tick++) {
+    ghosts.recordFrame({x: tick, y: 0}, null);
+  }
+  ghosts.finish(length, 100);
+  return ghosts.save();
+}
+
+/**
+ * Load the stored ghost for a run
+ * @param {Object} info - Run info {mode, levelId, seed, levelWidth}
+ * @returns {GhostSystem} Ghost system racing the stored ghost
+ */
+function race(info) {
+  const ghosts = new GhostSystem();
+  ghosts.start(info);
+  return ghosts;
+}
+
+describe("ghosts", () => {
+  const info = {mode: "skate", levelId: "downtown", seed: 7, levelWidth: 800};
+
+  test("load only for the seed they were recorded on", () => {
+    const park = {...info, levelId: "park"};
+    saveRun(park, 30);
+
+    expect(race(park).ghost.seed).toBe(7);
+    expect(race({...park, seed: 8}).ghost).toBeNull();
+  });
+
+  test("keep one ghost per level, replaced only when beaten", () => {
+    expect(saveRun(info, 40)).toBe(true);
+
+    // Another seed neither races nor replaces the level's ghost
+    expect(saveRun({...info, seed: 8}, 20)).toBe(false);
+    expect(saveRun(info, 50)).toBe(false);
+    expect(race(info).ghost.length).toBe(40);
+
+    expect(saveRun(info, 35)).toBe(true);
+    expect(race(info).ghost.length).toBe(35);
+  });
+
+  test("record every few ticks and interpolate between them", () => {
+    const ramp = {...info, levelId: "ramp"};
+    saveRun(ramp, 40);
+    const ghosts = race(ramp);
+
+    expect(ghosts.ghost.frames).toHaveLength(
+      (40 / GHOST_CONFIG.frameInterval) * 4
+    );
+    expect(ghosts.getFrame(5).x).toBeCloseTo(5);
+    expect(ghosts.getFrame(5, 0.5).x).toBeCloseTo(5.5);
+  });
+});
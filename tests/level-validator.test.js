@@ -0,0 +1,88 @@
+import fs from "fs";
+import {validateLevelPack} from "../src/utils/level-validator";
+import {getLevelsForMode} from "../src/constants/levels";
+
+/**
+ * Build a pack holding one copy of the first built-in skate level
+ * @param {Object} changes - Fields to replace on the level
+ * @returns {Object} Level pack
+ */
+function skatePack(changes = {}) {
+  const level = JSON.parse(JSON.stringify(getLevelsForMode("skate")[0]));
+  return {version: 1, mode: "skate", levels: [{...level, ...changes}]};
+}
+
+/**
+ * Get the paths and messages of a pack's errors
+ * @param {Object} pack - Level pack
+ * @returns {Array} Error lines "path: message"
+ */
+function errorsOf(pack) {
+  return validateLevelPack(pack).map(
+    (error) => `${error.path}: ${error.message}`
+  );
+}
+
+describe("level validation", () => {
+  test("accepts the built-in levels and the example pack", () => {
+    for (const mode of ["skate", "surf"]) {
+      const pack = {version: 1, mode, levels: getLevelsForMode(mode)};
+      expect(errorsOf(pack)).toEqual([]);
+    }
+
+    const example = "public/levels/example-pack.json";
+    expect(errorsOf(JSON.parse(fs.readFileSync(example, "utf8")))).toEqual([]);
+  });
+
+  test("reports schema errors with their paths", () => {
+    const pack = skatePack();
+    delete pack.levels[0].name;
+    pack.levels[0].timeLimit = -5;
+
+    expect(errorsOf(pack)).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/^levels\[0\]: .*"name"/),
+        expect.stringMatching(/^levels\[0\]\.timeLimit: must be at least/),
+      ])
+    );
+  });
+
+  test("reports objects of another mode, overlaps and out of bounds", () => {
+    const pack = skatePack({
+      layout: {length: 1000, obstacleFrequency: 0, collectibleFrequency: 0},
+      groundSections: [{type: "flat", x: 0, length: 1000}],
+      specialZones: [],
+      obstacles: [
+        {type: "buoy", x: 100},
+        {type: "rail", x: 300, length: 200, height: 20},
+        {type: "bench", x: 400, width: 100},
+        {type: "ramp", x: 950, height: 40, width: 80},
+      ],
+    });
+    const errors = errorsOf(pack);
+
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toMatch(/obstacles\[0\]\.type: unknown obstacle type/);
+    expect(errors[1]).toMatch(/obstacles\[2\]: .*overlaps/);
+    expect(errors[2]).toMatch(/obstacles\[3\]: .*beyond layout\.length/);
+  });
+
+  test("reports a tube zone running past the finish line", () => {
+    const level = JSON.parse(JSON.stringify(getLevelsForMode("surf")[0]));
+    level.specialZones = [{type: "tube_zone", x: 4700, width: 200}];
+    const pack = {version: 1, mode: "surf", levels: [level]};
+
+    expect(errorsOf(pack)).toEqual([
+      expect.stringMatching(/^levels\[0\]\.specialZones\[0\]: .*finish line/),
+    ]);
+  });
+
+  test("reports duplicate level ids", () => {
+    const pack = skatePack();
+    pack.levels.push({...pack.levels[0]});
+
+    expect(errorsOf(pack)).toEqual([
+      expect.stringMatching(/^levels\[1\]\.id: duplicate level id/),
+    ]);
+  });
+});
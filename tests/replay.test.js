@@ -0,0 +1,58 @@
+import ReplaySystem, {REPLAY_VERSION} from "../src/systems/replay";
+import {runSimulation} from "../src/systems/simulation";
+import {getLevelsForMode} from "../src/constants/levels";
+
+const INPUTS = [
+  {tick: 0, action: "right"},
+  {tick: 180, action: "jump"},
+  {tick: 190, action: "jump", active: false},
+  {tick: 400, action: "trick1"},
+  {tick: 410, action: "trick1", active: false},
+];
+
+/**
+ * Record scripted inputs into a replay the way the game does
+ * @param {Object} info - Run info {mode, levelId, seed}
+ * @param {number} length - Tick the run ended on
+ * @returns {Object} Recorded replay
+ */
+function recordReplay(info, length) {
+  const recorder = new ReplaySystem();
+  recorder.startRecording(info);
+  for (const input of INPUTS) {
+    recorder.recordInput(input.tick, input.action, input.active !== false);
+  }
+  return recorder.stopRecording(length);
+}
+
+describe("replays", () => {
+  test("play back to the same final state as the recorded run", () => {
+    const level = getLevelsForMode("skate")[1];
+    const recorded = runSimulation({
+      levelIndex: 1,
+      seed: 42,
+      ticks: 900,
+      inputs: INPUTS,
+    });
+
+    const replay = recordReplay(
+      {mode: "skate", levelId: level.id, seed: 42},
+      recorded.tick - 1,
+    );
+    // Stored replays go through JSON
+    const stored = JSON.parse(JSON.stringify(replay));
+
+    expect(stored.version).toBe(REPLAY_VERSION);
+    expect(stored.levelIndex).toBeUndefined();
+    expect(runSimulation({replay: stored})).toEqual(recorded);
+  });
+
+  test("reject a replay of a level that isn't registered", () => {
+    const replay = recordReplay(
+      {mode: "skate", levelId: "missing_level", seed: 1},
+      10,
+    );
+
+    expect(() => runSimulation({replay})).toThrow("not found");
+  });
+});
@@ -0,0 +1,46 @@
+import {spawnSync} from "child_process";
+
+/**
+ * Run a script from scripts/
+ * @param {string} script - Script file name
+ * @param {Array} args - Command line arguments
+ * @returns {Object} Result {status, stdout, stderr}
+ */
+function run(script, args) {
+  return spawnSync("node", [`scripts/${script}`, ...args], {
+    encoding: "utf8",
+    timeout: 60000,
+  });
+}
+
+describe.each(["simulate.js", "validate-levels.js"])("%s", (script) => {
+  test("prints its usage for --help", () => {
+    const result = run(script, ["--help"]);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toMatch(/^Usage:/);
+  });
+
+  test("rejects unknown options with its usage", () => {
+    const result = run(script, ["--bogus"]);
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toMatch(/--bogus/);
+    expect(result.stderr).toMatch(/Usage:/);
+  });
+});
+
+test("simulate.js rejects an option missing its value", () => {
+  const result = run("simulate.js", ["--seed"]);
+
+  expect(result.status).toBe(1);
+  expect(result.stderr).toMatch(/--seed needs a value/);
+});
+
+test.each(["42", "abc", "1.5"])("simulate.js rejects --level %s", (level) => {
+  const result = run("simulate.js", ["--level", level]);
+
+  expect(result.status).toBe(1);
+  expect(result.stderr).toMatch(`level ${level}`);
+  expect(result.stderr).toMatch(/Usage:/);
+});
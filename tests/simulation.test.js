@@ -0,0 +1,93 @@
+import Simulation, {runSimulation} from "../src/systems/simulation";
+import {TIMING_CONFIG} from "../src/constants/timing";
+import {getLevelsForMode, registerLevelPack} from "../src/constants/levels";
+
+const INPUTS = [
+  {tick: 0, action: "right"},
+  {tick: 200, action: "jump"},
+  {tick: 210, action: "jump", active: false},
+  {tick: 260, action: "trick1"},
+  {tick: 265, action: "trick1", active: false},
+];
+
+describe("runSimulation", () => {
+  test("gives the same final state for the same seed and inputs", () => {
+    for (const mode of ["skate", "surf"]) {
+      const options = {mode, levelIndex: 0, seed: 42, inputs: INPUTS};
+      const first = runSimulation({...options, ticks: 2400});
+      const second = runSimulation({...options, ticks: 2400});
+
+      expect(second).toEqual(first);
+    }
+  });
+
+  test("builds a different level from a different seed", () => {
+    const first = new Simulation({levelIndex: 0, seed: "abc"});
+    const same = new Simulation({levelIndex: 0, seed: "abc"});
+    const other = new Simulation({levelIndex: 0, seed: 12});
+
+    expect(same.level.obstacles).toEqual(first.level.obstacles);
+    expect(same.level.collectibles).toEqual(first.level.collectibles);
+    expect(other.level.obstacles).not.toEqual(first.level.obstacles);
+  });
+
+  test("applies scripted inputs on their ticks", () => {
+    const idle = runSimulation({seed: 1, ticks: 240});
+    const held = runSimulation({
+      seed: 1,
+      ticks: 240,
+      inputs: [{tick: 0, action: "right"}],
+    });
+    const released = runSimulation({
+      seed: 1,
+      ticks: 240,
+      inputs: [
+        {tick: 120, action: "right", active: false},
+        {tick: 0, action: "right"},
+      ],
+    });
+
+    const x = (state) => state.character.position.x;
+    expect(x(held)).toBeGreaterThan(x(idle));
+    expect(x(released)).toBeGreaterThan(x(idle));
+    expect(x(released)).toBeLessThan(x(held));
+  });
+
+  test("runs for the level's time limit by default", () => {
+    const level = getLevelsForMode("skate")[0];
+    const state = runSimulation({seed: 1});
+
+    expect(state.tick).toBe(level.timeLimit * TIMING_CONFIG.tickRate);
+    expect(state.gameOver).toBe(true);
+    expect(state.gameOverReason).toBe("time");
+  });
+
+  test("runs for 120 seconds on an untimed level", () => {
+    const level = {
+      ...getLevelsForMode("skate")[0],
+      id: "untimed",
+      timeLimit: 0,
+    };
+    const [levelIndex] = registerLevelPack({mode: "skate", levels: [level]});
+    const state = runSimulation({levelIndex, seed: 1});
+
+    expect(state.tick).toBe(120 * TIMING_CONFIG.tickRate);
+    expect(state.gameOver).toBe(false);
+  });
+
+  test("steps physics and the level on one clock", () => {
+    const simulation = new Simulation({mode: "surf", levelIndex: 0, seed: 3});
+
+    for (let tick = 0; tick < 30; tick++) {
+      simulation.step();
+
+      expect(simulation.physics.time).toBe(simulation.time);
+      expect(simulation.level.time).toBe(simulation.time);
+    }
+    expect(simulation.time).toBeCloseTo(30 / TIMING_CONFIG.tickRate);
+  });
+
+  test("stops after the given number of ticks", () => {
+    expect(runSimulation({seed: 1, ticks: 90}).tick).toBe(90);
+  });
+});
@@ -0,0 +1,177 @@
+import Simulation from "../src/systems/simulation";
+import {TIMING_CONFIG} from "../src/constants/timing";
+
+const TWENTY_SECONDS = 20 * TIMING_CONFIG.tickRate;
+
+/**
+ * Start a surf run out past the break and record its wave events
+ * @returns {Object} Run {simulation, events}; events are [name, detail]
+ */
+function paddleOut() {
+  const simulation = new Simulation({mode: "surf", levelIndex: 0, seed: 3});
+  const events = [];
+  simulation.onWaveMissed = (penalty) => events.push(["missed", penalty]);
+  simulation.onBail = (reason) => events.push(["bail", reason]);
+  return {simulation, events};
+}
+
+describe("paddling", () => {
+  test("an idle paddler misses waves and is rolled by the whitewater", () => {
+    const {simulation, events} = paddleOut();
+    simulation.scoring.score = 500;
+    for (let tick = 0; tick < TWENTY_SECONDS; tick++) simulation.step();
+
+    expect(events).toContainEqual(["missed", expect.any(Number)]);
+    expect(events).toContainEqual(["bail", "roller"]);
+    expect(simulation.scoring.score).toBeLessThan(500);
+  });
+
+  test("duck diving under whitewater avoids being rolled", () => {
+    const {simulation, events} = paddleOut();
+    for (let tick = 0; tick < TWENTY_SECONDS; tick++) {
+      const swell = simulation.physics.getSwell();
+      simulation.setInput("down", swell.roller && Math.abs(swell.offset) < 60);
+      simulation.step();
+    }
+
+    expect(events).not.toContainEqual(["bail", "roller"]);
+  });
+
+  test("alternating strokes paddle faster than one arm", () => {
+    const oneArm = paddleOut().simulation;
+    const alternating = paddleOut().simulation;
+
+    for (let tick = 0; tick < 60; tick++) {
+      oneArm.setInput("right", tick % 10 < 5);
+      oneArm.step();
+
+      const left = tick % 20 < 10;
+      alternating.setInput("left", left);
+      alternating.setInput("right", !left);
+      alternating.step();
+    }
+
+    expect(alternating.physics.velocity.x).toBeGreaterThan(
+      oneArm.physics.velocity.x + 0.5
+    );
+  });
+
+  test("paddling into a wave and jumping pops the rider up", () => {
+    const {simulation} = paddleOut();
+
+    let poppedUp = false;
+    for (let tick = 0; tick < 30 * TIMING_CONFIG.tickRate; tick++) {
+      const swell = simulation.physics.getSwell();
+      const stroke = Math.floor(tick / 8) % 2 ? "left" : "right";
+      const chase = !swell.roller && swell.offset > 0 && swell.offset < 140;
+      const catchable = !swell.roller && swell.offset > 5 && swell.offset < 50;
+
+      simulation.setInput("left", chase && stroke === "left");
+      simulation.setInput("right", chase && stroke === "right");
+      simulation.setInput("down", swell.roller && Math.abs(swell.offset) < 60);
+      simulation.setInput("jump", catchable && tick % 4 === 0);
+      simulation.step();
+
+      if (simulation.character.state === "pop_up") {
+        poppedUp = true;
+        break;
+      }
+    }
+    for (let tick = 0; tick < 60; tick++) simulation.step();
+
+    expect(poppedUp).toBe(true);
+    expect(simulation.character.isPaddling()).toBe(false);
+  });
+});
+
+describe("tube rides", () => {
+  const barrel = {
+    id: "barrel",
+    name: "Barrel",
+    timeLimit: 0,
+    objectives: {},
+    obstacles: [],
+    layout: {length: 3000, obstacleFrequency: 0, collectibleFrequency: 0},
+    waveSections: [
+      {type: "normal", x: 0, length: 800},
+      {type: "breaking", x: 800, length: 1200},
+      {type: "normal", x: 2000, length: 1000},
+    ],
+    specialZones: [{type: "tube_zone", x: 800, width: 1200}],
+  };
+
+  /**
+   * Ride up to a breaking wave's pocket, pull in and hold the balance
+   * @param {Function} exitAt - Called with the ride, returns the time to
+   *   kick out at
+   * @param {Array} pullIn - Inputs held to pull into the tube
+   * @returns {Object} Result {ends, tricks}: the finished tube rides and
+   *   the ids of the tricks performed
+   */
+  function rideTube(exitAt, pullIn = ["down"]) {
+    const simulation = new Simulation({
+      mode: "surf",
+      seed: 3,
+      levelData: barrel,
+    });
+    simulation.character.paddle = null;
+    simulation.physics.paddling = false;
+    simulation.physics.setPosition(700, 150);
+
+    const ends = [];
+    const tricks = [];
+    simulation.onTubeRideEnd = (ride) => ends.push(ride);
+    simulation.onTrickPerformed = (trick) => tricks.push(trick.id);
+
+    for (let tick = 0; tick < 1500 && ends.length === 0; tick++) {
+      const ride = simulation.character.tubeRide;
+      const pocket = simulation.physics.waveBreak === "pocket";
+
+      if (ride) {
+        simulation.setInput("right", false);
+        simulation.setInput("up", ride.balance > 0.2);
+        simulation.setInput("down", ride.balance < -0.2);
+        const kickOut = ride.time >= exitAt(ride);
+        simulation.setInput("jump", kickOut);
+      } else {
+        simulation.setInput("right", !pocket || pullIn.includes("right"));
+        simulation.setInput("down", pocket && pullIn.includes("down"));
+      }
+      simulation.step();
+    }
+
+    return {ends, tricks};
+  }
+
+  test("close out on a rider who stays in", () => {
+    let maxDuration = null;
+    const {ends} = rideTube((ride) => {
+      maxDuration = ride.maxDuration;
+      return Infinity;
+    });
+
+    expect(ends.map((ride) => ride.exit)).toEqual(["closeout"]);
+    expect(ends[0].duration).toBeCloseTo(maxDuration, 1);
+    expect(ends[0].duration).toBeGreaterThan(3);
+  });
+
+  test("exit cleanly in the window before the close", () => {
+    const {ends} = rideTube((ride) => ride.maxDuration - ride.exitWindow / 2);
+
+    expect(ends.map((ride) => ride.exit)).toEqual(["clean"]);
+  });
+
+  test("exit early before the window", () => {
+    const {ends} = rideTube(() => 0.5);
+
+    expect(ends.map((ride) => ride.exit)).toEqual(["early"]);
+  });
+
+  test("pull in on down and right instead of bottom turning", () => {
+    const {ends, tricks} = rideTube(() => 0.5, ["down", "right"]);
+
+    expect(tricks[0]).toBe("tube_ride");
+    expect(tricks).not.toContain("bottom_turn");
+    expect(ends.map((ride) => ride.exit)).toEqual(["early"]);
+  });
+});